@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util'
+import { createClient, ApiError } from '../src/cli/client.js'
+import { jobRunner } from '../src/cli/run.js'
+import { checkCommands } from '../src/cli/checks.js'
+
+const USAGE = `Usage: pulse [--url <url>] [--api-key <key>] <command>
+
+Commands:
+  run <uuid | ping-key/slug> -- <command> [args...]
+      Sends a start signal, runs the command and reports its exit status,
+      duration and the tail of its output. Exits with the command's exit code.
+  checks list [--project <id>] [--status <status>]... [--tag <tag>] [--search <text>] [--json]
+      --status may be repeated to list checks in any of the statuses; --tag may be
+      given once.
+  checks create --name <name> --schedule <cron> --grace <duration>
+      [--slug <slug>] [--timezone <tz>] [--project <id>] [--tag <tag>]...
+      --tag may be repeated to give the check several tags.
+  checks delete <uuid>
+  checks pause <uuid>
+  checks resume <uuid>
+
+Options:
+  --url <url>        The Pulse server (default: $PULSE_URL or http://localhost:8080).
+  --api-key <key>    The API key for the checks commands (default: $PULSE_API_KEY).
+  -h, --help         Show this help.
+`
+
+const globalOptions = {
+  url: { type: 'string' },
+  'api-key': { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+}
+
+const checkOptions = {
+  ...globalOptions,
+  project: { type: 'string' },
+  status: { type: 'string', multiple: true },
+  tag: { type: 'string', multiple: true },
+  search: { type: 'string' },
+  json: { type: 'boolean' },
+  name: { type: 'string' },
+  schedule: { type: 'string' },
+  grace: { type: 'string' },
+  slug: { type: 'string' },
+  timezone: { type: 'string' }
+}
+
+/** An error in the command line itself, answered with the usage text. */
+class UsageError extends Error {}
+
+/**
+ * Parses the command line and runs the command.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {Promise<number>} The exit code.
+ */
+async function main (argv) {
+  // Everything after `--` belongs to the wrapped command, so it is kept away from the option parser.
+  const separator = argv.indexOf('--')
+  const command = separator === -1 ? [] : argv.slice(separator + 1)
+  const { values, positionals } = parseArgs({
+    args: separator === -1 ? argv : argv.slice(0, separator),
+    options: checkOptions,
+    allowPositionals: true
+  })
+  if (values.help || positionals.length === 0) {
+    process.stdout.write(USAGE)
+    return 0
+  }
+
+  const baseUrl = values.url || process.env.PULSE_URL || 'http://localhost:8080'
+  const client = createClient({ baseUrl, apiKey: values['api-key'] || process.env.PULSE_API_KEY })
+  const [name, subcommand, argument] = positionals
+
+  if (name === 'run') {
+    if (!subcommand || command.length === 0) {
+      throw new UsageError('run needs a check and a command: pulse run <uuid> -- <command>')
+    }
+    return jobRunner.runJob(client, subcommand, command)
+  }
+  if (name !== 'checks') {
+    throw new UsageError(`Unknown command "${name}".`)
+  }
+
+  switch (subcommand) {
+    case 'list':
+      // The API filters by one tag at a time.
+      if (values.tag?.length > 1) throw new UsageError('checks list accepts a single --tag.')
+      await checkCommands.list(client, { ...values, tag: values.tag?.[0] })
+      return 0
+    case 'create':
+      for (const option of ['name', 'schedule', 'grace']) {
+        if (!values[option]) throw new UsageError(`checks create needs --${option}.`)
+      }
+      await checkCommands.create(client, values, baseUrl)
+      return 0
+    case 'delete':
+    case 'pause':
+    case 'resume':
+      if (!argument) throw new UsageError(`checks ${subcommand} needs a check UUID.`)
+      await checkCommands[subcommand === 'delete' ? 'remove' : subcommand](client, argument)
+      return 0
+    default:
+      throw new UsageError(subcommand ? `Unknown checks command "${subcommand}".` : 'checks needs a command.')
+  }
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2))
+} catch (error) {
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    console.error(`pulse: ${error.message}\n\n${USAGE}`)
+    process.exitCode = 2
+  } else if (error instanceof ApiError) {
+    // The message of a validation error repeats its field errors, which are clearer one per line.
+    if (error.fieldErrors.length > 0) {
+      console.error(`pulse: The request was rejected (HTTP ${error.status}):`)
+      error.fieldErrors.forEach(({ field, message }) => console.error(`  ${field} ${message}`))
+    } else {
+      console.error(`pulse: ${error.message} (HTTP ${error.status})`)
+    }
+    process.exitCode = 1
+  } else {
+    console.error(`pulse: ${error.message}`)
+    process.exitCode = 1
+  }
+}
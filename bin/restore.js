@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+import { restore } from '../src/core/restore.js'
+
+const USAGE = `Usage: npm run restore -- <snapshot>
+
+Replaces data/pulse.db with a snapshot taken by the scheduled backups or by
+POST /api/v1/admin/backup. Stop Pulse first. The snapshot is validated before
+anything is changed, and the replaced database is kept in data/ as
+pulse-before-restore-<time>.db.
+`
+
+const [file] = process.argv.slice(2)
+if (!file || file === '-h' || file === '--help') {
+  process.stdout.write(USAGE)
+  process.exitCode = file ? 0 : 2
+} else {
+  try {
+    const { previous, checks } = await restore.restoreSnapshot(file)
+    if (previous) console.log(`The previous database was kept as ${previous}.`)
+    console.log(`Restored ${file} with ${checks} checks. Start Pulse to use it.`)
+  } catch (error) {
+    console.error(`restore: ${error.message}`)
+    process.exitCode = 1
+  }
+}
@@ -21,7 +21,11 @@ async function fetchJson (url, options = {}) {
       throw authError
     }
     const errorData = await response.json().catch(() => ({ message: response.statusText }))
-    throw new Error(errorData.message || 'An API error occurred.')
+    const apiError = new Error(errorData.message || 'An API error occurred.')
+    apiError.status = response.status
+    // Validation failures carry field-level errors, e.g. [{ field: 'schedule', message: '...' }].
+    apiError.fieldErrors = Array.isArray(errorData.errors) ? errorData.errors : []
+    throw apiError
   }
   if (response.status === 204) {
     return null
@@ -29,36 +33,75 @@ async function fetchJson (url, options = {}) {
   return response.json()
 }
 
+/** Opens the Server-Sent Events stream of check changes. */
+function openEventStream () {
+  return new EventSource(`${API_BASE}/events/stream`)
+}
+
 /** Fetches application configuration info. */
 function getAppConfig () {
   return fetchJson(`${API_BASE}/config`)
 }
 
-/** Checks if the user has an active admin session. */
+/** Fetches the logged-in user, if any. */
 function checkAuthStatus () {
   // FIX: Was using undefined API_SESSIONS
   return fetchJson(`${API_BASE}/session/status`)
 }
 
-/** Logs in as an administrator. */
-function login (adminSecret) {
+/** Logs in with a username and password. */
+function login (username, password) {
   // FIX: Was using undefined API_SESSIONS
   return fetchJson(`${API_BASE}/session/login`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ secret: adminSecret })
+    body: JSON.stringify({ username, password })
   })
 }
 
-/** Logs out of the admin session. */
+/** Logs out of the session. */
 function logout () {
   // FIX: Was using undefined API_SESSIONS
   return fetchJson(`${API_BASE}/session/logout`, { method: 'POST' })
 }
 
-/** Fetches all checks from the backend with pagination. */
-function getChecks ({ page = 1, limit = 50 }) {
-  return fetchJson(`${API_BASE}/checks?page=${page}&limit=${limit}`)
+/**
+ * Builds the querystring of a check list request.
+ * @param {object} params - Pagination plus the optional `status` (array), `tag`, `search`, `sort` and `order` filters.
+ */
+function checkListQuery ({ page = 1, limit = 50, status = [], tag, search, sort, order }) {
+  const query = new URLSearchParams({ page, limit })
+  for (const value of status) query.append('status', value)
+  if (tag) query.set('tag', tag)
+  if (search) query.set('search', search)
+  if (sort) query.set('sort', sort)
+  if (order) query.set('order', order)
+  return query
+}
+
+/** Fetches checks from the backend with pagination, filters and sorting. */
+function getChecks (params) {
+  return fetchJson(`${API_BASE}/checks?${checkListQuery(params)}`)
+}
+
+/** Fetches the checks of one project with pagination, filters and sorting. */
+function getProjectChecks (projectId, params) {
+  return fetchJson(`${API_BASE}/projects/${projectId}/checks?${checkListQuery(params)}`)
+}
+
+/** Fetches the tags in use, optionally limited to one project. */
+function getTags (projectId) {
+  return fetchJson(`${API_BASE}/tags${projectId ? `?projectId=${projectId}` : ''}`)
+}
+
+/** Fetches the uptime report of a check over a window such as '30d', split into `buckets` for the uptime bar. */
+function getUptime (uuid, { window = '30d', buckets = 30 } = {}) {
+  return fetchJson(`${API_BASE}/checks/${uuid}/uptime?${new URLSearchParams({ window, buckets })}`)
+}
+
+/** Fetches all projects. */
+function getProjects () {
+  return fetchJson(`${API_BASE}/projects`)
 }
 
 /** Creates a new check. */
@@ -70,6 +113,15 @@ function createCheck (data) {
   })
 }
 
+/** Updates the settings of an existing check. */
+function updateCheck (uuid, data) {
+  return fetchJson(`${API_BASE}/checks/${uuid}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+}
+
 /** Deletes a check. */
 function deleteCheck (uuid) {
   return fetchJson(`${API_BASE}/checks/${uuid}`, {
@@ -84,6 +136,34 @@ function toggleMaintenance (uuid) {
   })
 }
 
+/** Acknowledges a down check, stopping its escalations and reminders. */
+function acknowledgeCheck (uuid) {
+  return fetchJson(`${API_BASE}/checks/${uuid}/acknowledge`, {
+    method: 'POST'
+  })
+}
+
+/** Fetches the maintenance windows of a check. */
+function getMaintenanceWindows (uuid) {
+  return fetchJson(`${API_BASE}/checks/${uuid}/maintenance-windows`)
+}
+
+/** Adds a one-off or recurring maintenance window to a check. */
+function createMaintenanceWindow (uuid, data) {
+  return fetchJson(`${API_BASE}/checks/${uuid}/maintenance-windows`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+}
+
+/** Deletes a maintenance window of a check. */
+function deleteMaintenanceWindow (uuid, id) {
+  return fetchJson(`${API_BASE}/checks/${uuid}/maintenance-windows/${id}`, {
+    method: 'DELETE'
+  })
+}
+
 /** Reports an explicit failure for a check. */
 function failCheck (uuid, reason) {
   return fetchJson(`${API_BASE}/checks/${uuid}/fail`, {
@@ -93,14 +173,129 @@ function failCheck (uuid, reason) {
   })
 }
 
+/** Fetches all user accounts. Admins only. */
+function getUsers () {
+  return fetchJson(`${API_BASE}/users`)
+}
+
+/** Creates a user account from `{ username, password, role }`. */
+function createUser (data) {
+  return fetchJson(`${API_BASE}/users`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+}
+
+/** Changes the role or password of a user account. */
+function updateUser (id, data) {
+  return fetchJson(`${API_BASE}/users/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+}
+
+/** Deletes a user account. */
+function deleteUser (id) {
+  return fetchJson(`${API_BASE}/users/${id}`, {
+    method: 'DELETE'
+  })
+}
+
+/** Gives a check a new badge key, so that badges with the old one stop working. */
+function regenerateBadgeKey (uuid) {
+  return fetchJson(`${API_BASE}/checks/${uuid}/badge-key`, {
+    method: 'POST'
+  })
+}
+
+/** Creates the badge of a tag, or gives it a new key if it has one. */
+function createTagBadge (tag) {
+  return fetchJson(`${API_BASE}/tags/${encodeURIComponent(tag)}/badge-key`, {
+    method: 'POST'
+  })
+}
+
+/** Deletes the badge of a tag. */
+function deleteTagBadge (tag) {
+  return fetchJson(`${API_BASE}/tags/${encodeURIComponent(tag)}/badge-key`, {
+    method: 'DELETE'
+  })
+}
+
+/** Fetches all status pages with their checks. */
+function getStatusPages () {
+  return fetchJson(`${API_BASE}/status-pages`)
+}
+
+/** Creates a status page from `{ slug, title, description, checks: [{ uuid, displayName }] }`. */
+function createStatusPage (data) {
+  return fetchJson(`${API_BASE}/status-pages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+}
+
+/** Replaces a status page's slug, title, description and checks. */
+function updateStatusPage (id, data) {
+  return fetchJson(`${API_BASE}/status-pages/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  })
+}
+
+/** Deletes a status page. */
+function deleteStatusPage (id) {
+  return fetchJson(`${API_BASE}/status-pages/${id}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Fetches a page of the audit log, newest first.
+ * @param {object} params - Pagination plus the optional `action` (a trailing dot matches a kind, e.g. 'check.')
+ *   and `actorType` filters.
+ */
+function getAuditLog ({ page = 1, limit = 20, action, actorType }) {
+  const query = new URLSearchParams({ page, limit })
+  if (action) query.set('action', action)
+  if (actorType) query.set('actorType', actorType)
+  return fetchJson(`${API_BASE}/audit?${query}`)
+}
+
 window.pulseApi = {
+  openEventStream,
   getAppConfig,
   checkAuthStatus,
   login,
   logout,
   getChecks,
+  getProjectChecks,
+  getProjects,
+  getTags,
+  getUptime,
   createCheck,
+  updateCheck,
   deleteCheck,
   toggleMaintenance,
-  failCheck
+  acknowledgeCheck,
+  getMaintenanceWindows,
+  createMaintenanceWindow,
+  deleteMaintenanceWindow,
+  failCheck,
+  getUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  regenerateBadgeKey,
+  createTagBadge,
+  deleteTagBadge,
+  getStatusPages,
+  createStatusPage,
+  updateStatusPage,
+  deleteStatusPage,
+  getAuditLog
 }
@@ -2,14 +2,18 @@
  * @file Main entry point for the frontend application.
  * @note For future maintainability, consider refactoring this monolithic file
  * into smaller modules (e.g., ui.js, state.js, events.js).
- * @note The current polling mechanism is inefficient at scale. For a more robust
- * real-time experience, migrating to WebSockets is recommended.
+ * @note Check rows are kept up to date by the Server-Sent Events stream. Polling is
+ * only used while the stream is unavailable.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
   // --- Constants ---
   const THEME_KEY = 'pulseTheme'
   const POLLING_INTERVAL_MS = 30000
+  const SEARCH_DEBOUNCE_MS = 300
+  const RELOAD_DEBOUNCE_MS = 500
+  const UPTIME_WINDOW = '30d'
+  const UPTIME_BUCKETS = 30
 
   // --- Element Selectors ---
   const appElement = document.getElementById('app')
@@ -21,17 +25,63 @@ document.addEventListener('DOMContentLoaded', () => {
   const sunIcon = document.getElementById('sun-icon')
   const moonIcon = document.getElementById('moon-icon')
   const logoutBtn = document.getElementById('logout-btn')
+  const usersBtn = document.getElementById('users-btn')
+  const auditBtn = document.getElementById('audit-btn')
+  const statusPagesBtn = document.getElementById('status-pages-btn')
+  const currentUserLabel = document.getElementById('current-user')
+  const projectFilter = document.getElementById('project-filter')
+  const checkSearchInput = document.getElementById('check-search')
+  const checkSortSelect = document.getElementById('check-sort')
+  const statusChips = document.getElementById('status-chips')
+  const tagChips = document.getElementById('tag-chips')
 
   // Check Modal
   const checkModalBackdrop = document.getElementById('check-modal-backdrop')
   const checkForm = document.getElementById('check-form')
   const checkModalTitle = document.getElementById('check-modal-title')
+  const checkUuidInput = document.getElementById('check-uuid')
+  const checkProjectSelect = document.getElementById('projectId')
   const checkCancelBtn = document.getElementById('check-cancel-btn')
 
+  // Maintenance Windows Modal
+  const maintenanceModalBackdrop = document.getElementById('maintenance-modal-backdrop')
+  const maintenanceModalTitle = document.getElementById('maintenance-modal-title')
+  const maintenanceWindowList = document.getElementById('maintenance-window-list')
+  const maintenanceForm = document.getElementById('maintenance-form')
+  const windowTypeSelect = document.getElementById('window-type')
+  const maintenanceCloseBtn = document.getElementById('maintenance-close-btn')
+
+  // Status Badges Modal
+  const badgeModalBackdrop = document.getElementById('badge-modal-backdrop')
+  const badgeModalTitle = document.getElementById('badge-modal-title')
+  const badgeList = document.getElementById('badge-list')
+  const badgeCloseBtn = document.getElementById('badge-close-btn')
+
+  // Users Modal
+  const usersModalBackdrop = document.getElementById('users-modal-backdrop')
+  const userList = document.getElementById('user-list')
+  const userForm = document.getElementById('user-form')
+  const usersCloseBtn = document.getElementById('users-close-btn')
+
+  // Status Pages Modal
+  const statusPagesModalBackdrop = document.getElementById('status-pages-modal-backdrop')
+  const statusPageList = document.getElementById('status-page-list')
+  const statusPageForm = document.getElementById('status-page-form')
+  const statusPageCheckList = document.getElementById('status-page-check-list')
+  const statusPageSubmitBtn = document.getElementById('status-page-submit-btn')
+  const statusPagesCloseBtn = document.getElementById('status-pages-close-btn')
+
+  // Audit Log Modal
+  const auditModalBackdrop = document.getElementById('audit-modal-backdrop')
+  const auditFilterForm = document.getElementById('audit-filter-form')
+  const auditList = document.getElementById('audit-list')
+  const auditPagination = document.getElementById('audit-pagination')
+  const auditCloseBtn = document.getElementById('audit-close-btn')
+
   // Secret (Login) Modal
   const secretModalBackdrop = document.getElementById('secret-modal-backdrop')
   const secretForm = document.getElementById('secret-form')
-  const secretInput = document.getElementById('admin-secret')
+  const loginUsernameInput = document.getElementById('login-username')
   const secretCancelBtn = document.getElementById('secret-cancel-btn')
   const secretErrorMsg = document.getElementById('secret-error-msg')
 
@@ -47,8 +97,29 @@ document.addEventListener('DOMContentLoaded', () => {
   const limit = 20
   let adminAction = { resolve: null, reject: null }
   const confirmAction = { resolve: null }
-  let isAdmin = false
+  // The logged-in user ({ id, username, role }), or null.
+  let currentUser = null
   let pollTimeoutId = null
+  // The event stream, open while a user is logged in, and whether it is connected, in which case the check list is
+  // not polled.
+  let eventStream = null
+  let isLive = false
+  let hasBeenLive = false
+  let reloadTimeoutId = null
+  // The checks of the current page, keyed by UUID, used to pre-fill the edit form.
+  let checksByUuid = new Map()
+  // The project whose dashboard is shown, or null for all projects. Kept in the `?project=` query parameter.
+  let currentProjectId = parseInt(new URLSearchParams(window.location.search).get('project'), 10) || null
+  let projects = []
+  // Filters and sort order of the check list.
+  const filters = { status: [], tag: '', search: '' }
+  let searchTimeoutId = null
+  // The check whose maintenance windows are being edited.
+  let maintenanceCheckUuid = null
+  // The check whose badges are shown.
+  let badgeCheck = null
+  // The last uptime report of each check, keyed by UUID, so that re-renders do not blank the uptime bars.
+  const uptimeByUuid = new Map()
 
   // --- Utility Functions ---
 
@@ -67,6 +138,36 @@ document.addEventListener('DOMContentLoaded', () => {
     return rtf.format(Math.floor(seconds / 31536000), 'year')
   }
 
+  // --- Form Validation Feedback ---
+
+  /** Removes all inline field errors from a form. */
+  function clearFieldErrors (form) {
+    form.querySelectorAll('.field-error').forEach(el => el.remove())
+    form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'))
+  }
+
+  /**
+   * Shows server-side validation errors next to the offending inputs.
+   * @returns {boolean} True if at least one error could be attached to an input.
+   */
+  function showFieldErrors (form, fieldErrors) {
+    clearFieldErrors(form)
+    let shown = false
+    for (const { field, message } of fieldErrors) {
+      // Errors about list items, e.g. 'tags.1', are shown next to the list's input.
+      const input = form.elements[field] || form.elements[field.split('.')[0]]
+      if (!input) continue
+      const errorEl = document.createElement('p')
+      errorEl.className = 'field-error'
+      errorEl.setAttribute('role', 'alert')
+      errorEl.textContent = `${input.labels[0]?.textContent || field} ${message}.` // SAFE
+      input.setAttribute('aria-invalid', 'true')
+      input.insertAdjacentElement('afterend', errorEl)
+      shown = true
+    }
+    return shown
+  }
+
   // --- Theme Management ---
   function applyTheme (theme) {
     document.documentElement.dataset.theme = theme
@@ -75,10 +176,26 @@ document.addEventListener('DOMContentLoaded', () => {
     moonIcon.classList.toggle('hidden', theme === 'light')
   }
 
-  // --- Admin Session & Authorization ---
-  function updateAdminStatus (newStatus) {
-    isAdmin = newStatus
-    logoutBtn.classList.toggle('hidden', !isAdmin)
+  // --- Session & Authorization ---
+  function updateSession (user) {
+    currentUser = user
+    logoutBtn.classList.toggle('hidden', !currentUser)
+    usersBtn.classList.toggle('hidden', currentUser?.role !== 'admin')
+    auditBtn.classList.toggle('hidden', currentUser?.role !== 'admin')
+    currentUserLabel.classList.toggle('hidden', !currentUser)
+    currentUserLabel.textContent = currentUser ? `${currentUser.username} (${currentUser.role})` : '' // SAFE
+    addCheckBtn.classList.toggle('hidden', !canEdit())
+    statusPagesBtn.classList.toggle('hidden', !currentUser || !canEdit())
+    if (currentUser) {
+      connectEventStream()
+    } else {
+      disconnectEventStream()
+    }
+  }
+
+  /** Whether to offer changes: viewers cannot make any, visitors are asked to log in first. */
+  function canEdit () {
+    return currentUser?.role !== 'viewer'
   }
 
   async function handleLogout () {
@@ -87,16 +204,17 @@ document.addEventListener('DOMContentLoaded', () => {
     } catch (error) {
       console.error('Logout failed, ignoring:', error)
     } finally {
-      updateAdminStatus(false)
+      updateSession(null)
+      loadProjects().then(() => loadAndRenderChecks(currentPage))
     }
   }
 
   function requestAdminAction () {
-    if (isAdmin) {
+    if (currentUser) {
       return Promise.resolve(true)
     }
     secretErrorMsg.textContent = ''
-    openModal(secretModalBackdrop, secretInput)
+    openModal(secretModalBackdrop, loginUsernameInput)
     return new Promise((resolve, reject) => {
       adminAction = { resolve, reject }
     })
@@ -162,87 +280,232 @@ document.addEventListener('DOMContentLoaded', () => {
   /** FIX: Rewritten to use DOM APIs to prevent Stored XSS vulnerabilities. */
   function renderChecks (checks) {
     if (!checkListContainer) return
+    // Keep expanded outputs open across re-renders, e.g. when polling.
+    const openOutputs = new Set(Array.from(checkListContainer.querySelectorAll('.last-output[open]'), el => el.closest('.check-item').dataset.uuid))
     checkListContainer.innerHTML = '' // Clear previous content safely
+    checksByUuid = new Map(checks.map(check => [check.uuid, check]))
 
     if (checks.length === 0 && currentPage === 1) {
       const emptyMessage = document.createElement('p')
       emptyMessage.className = 'no-checks-message'
-      emptyMessage.textContent = 'No checks have been configured. Click "Add New Check" to get started.'
+      emptyMessage.textContent = hasActiveFilters()
+        ? 'No checks match the current filters.'
+        : 'No checks have been configured. Click "Add New Check" to get started.'
       checkListContainer.appendChild(emptyMessage)
       return
     }
 
-    const host = `${window.location.protocol}//${window.location.host}`
     const fragment = document.createDocumentFragment()
-
     for (const check of checks) {
-      const checkItem = document.createElement('div')
-      checkItem.className = 'check-item'
-      checkItem.dataset.status = check.status
-      checkItem.dataset.uuid = check.uuid
-
-      // Info Column
-      const checkInfo = document.createElement('div')
-      checkInfo.className = 'check-info'
-
-      const nameDiv = document.createElement('div')
-      nameDiv.className = 'name'
-      nameDiv.textContent = check.name // SAFE: Using textContent to prevent XSS
-      const statusSpan = document.createElement('span')
-      statusSpan.className = 'details'
-      statusSpan.textContent = ` (${check.status})`
-      nameDiv.appendChild(statusSpan)
-
-      const detailsDiv = document.createElement('div')
-      detailsDiv.className = 'details'
-      detailsDiv.title = check.last_ping_at ? new Date(check.last_ping_at * 1000).toLocaleString() : 'N/A'
-      const duration = check.last_ping_duration_ms !== null ? `${check.last_ping_duration_ms}ms` : 'N/A'
-      detailsDiv.textContent = `Last event: ${formatRelativeTime(check.last_ping_at)} • Duration: ${duration}`
-
-      // ADDED: Display schedule and grace period
-      const scheduleDiv = document.createElement('div')
-      scheduleDiv.className = 'details schedule-info'
-      scheduleDiv.appendChild(document.createTextNode('Schedule: '))
-      const scheduleBold = document.createElement('b')
-      scheduleBold.textContent = check.schedule
-      scheduleDiv.appendChild(scheduleBold)
-      scheduleDiv.appendChild(document.createTextNode(' • Grace: '))
-      const graceBold = document.createElement('b')
-      graceBold.textContent = check.grace
-      scheduleDiv.appendChild(graceBold)
-
-      const pingUrlDiv = document.createElement('div')
-      pingUrlDiv.className = 'ping-url'
-      const codeEl = document.createElement('code')
-      codeEl.textContent = `${host}/ping/${check.uuid}` // SAFE
-      pingUrlDiv.appendChild(codeEl)
-
-      checkInfo.appendChild(nameDiv)
-      checkInfo.appendChild(detailsDiv)
-      checkInfo.appendChild(scheduleDiv) // ADDED
-
-      if (check.last_error) {
-        const errorDiv = document.createElement('div')
-        errorDiv.className = 'error-reason'
-        errorDiv.title = 'Last error reason'
-        errorDiv.textContent = check.last_error // SAFE
-        checkInfo.appendChild(errorDiv)
+      fragment.appendChild(renderCheckItem(check, openOutputs.has(check.uuid)))
+    }
+    checkListContainer.appendChild(fragment)
+  }
+
+  /**
+   * Builds the `.check-item` row of a check.
+   * @param {object} check - The check, as returned by the API.
+   * @param {boolean} outputOpen - Whether the check's last output is expanded.
+   * @returns {HTMLElement} The row.
+   */
+  function renderCheckItem (check, outputOpen) {
+    const host = `${window.location.protocol}//${window.location.host}`
+    const checkItem = document.createElement('div')
+    checkItem.className = 'check-item'
+    checkItem.dataset.status = check.status
+    checkItem.dataset.uuid = check.uuid
+
+    // Info Column
+    const checkInfo = document.createElement('div')
+    checkInfo.className = 'check-info'
+
+    const nameDiv = document.createElement('div')
+    nameDiv.className = 'name'
+    nameDiv.textContent = check.name // SAFE: Using textContent to prevent XSS
+    const statusSpan = document.createElement('span')
+    statusSpan.className = 'details'
+    statusSpan.textContent = check.status === 'maintenance' && check.maintenance_source === 'window'
+      ? ' (maintenance, scheduled)'
+      : check.status === 'down' && check.acknowledged_at
+        ? ' (down, acknowledged)'
+        : ` (${check.status})`
+    nameDiv.appendChild(statusSpan)
+    if (!currentProjectId && check.project_name) {
+      const projectSpan = document.createElement('span')
+      projectSpan.className = 'project-badge'
+      projectSpan.textContent = check.project_name // SAFE
+      nameDiv.appendChild(projectSpan)
+    }
+
+    const detailsDiv = document.createElement('div')
+    detailsDiv.className = 'details'
+    detailsDiv.title = check.last_ping_at ? new Date(check.last_ping_at * 1000).toLocaleString() : 'N/A'
+    const duration = check.last_ping_duration_ms !== null ? `${check.last_ping_duration_ms}ms` : 'N/A'
+    detailsDiv.textContent = `Last event: ${formatRelativeTime(check.last_ping_at)} • Duration: ${duration}`
+
+    // ADDED: Display schedule and grace period
+    const scheduleDiv = document.createElement('div')
+    scheduleDiv.className = 'details schedule-info'
+    scheduleDiv.appendChild(document.createTextNode('Schedule: '))
+    const scheduleBold = document.createElement('b')
+    scheduleBold.textContent = check.schedule
+    scheduleDiv.appendChild(scheduleBold)
+    scheduleDiv.appendChild(document.createTextNode(' • Grace: '))
+    const graceBold = document.createElement('b')
+    graceBold.textContent = check.grace
+    scheduleDiv.appendChild(graceBold)
+    if (check.timezone) {
+      scheduleDiv.appendChild(document.createTextNode(` (${check.timezone})`))
+    }
+    if (check.next_ping_at) {
+      const nextPingSpan = document.createElement('span')
+      nextPingSpan.title = new Date(check.next_ping_at * 1000).toLocaleString()
+      nextPingSpan.textContent = ` • Next ping expected: ${formatRelativeTime(check.next_ping_at)}`
+      scheduleDiv.appendChild(nextPingSpan)
+    }
+
+    const pingUrlDiv = document.createElement('div')
+    pingUrlDiv.className = 'ping-url'
+    const codeEl = document.createElement('code')
+    codeEl.textContent = `${host}/ping/${check.uuid}` // SAFE
+    pingUrlDiv.appendChild(codeEl)
+    // Ping keys are only sent to admins, so the slug URL is shown once logged in.
+    const pingKey = projects.find(project => project.id === check.project_id)?.ping_key
+    if (pingKey) {
+      const slugCodeEl = document.createElement('code')
+      slugCodeEl.textContent = `${host}/ping/${pingKey}/${check.slug}` // SAFE
+      pingUrlDiv.appendChild(document.createElement('br'))
+      pingUrlDiv.appendChild(slugCodeEl)
+    }
+
+    const uptimeDiv = document.createElement('div')
+    uptimeDiv.className = 'uptime'
+    renderUptime(uptimeDiv, uptimeByUuid.get(check.uuid))
+
+    checkInfo.appendChild(nameDiv)
+    checkInfo.appendChild(detailsDiv)
+    checkInfo.appendChild(scheduleDiv) // ADDED
+    checkInfo.appendChild(uptimeDiv)
+
+    if (check.tags.length > 0) {
+      const tagList = document.createElement('div')
+      tagList.className = 'tag-list'
+      for (const tag of check.tags) {
+        const tagSpan = document.createElement('span')
+        tagSpan.className = 'tag'
+        tagSpan.textContent = tag // SAFE
+        tagList.appendChild(tagSpan)
       }
-      checkInfo.appendChild(pingUrlDiv)
+      checkInfo.appendChild(tagList)
+    }
 
-      // Actions Column
-      const actionsDiv = document.createElement('div')
-      actionsDiv.className = 'check-item-actions'
-      actionsDiv.innerHTML = `
-        <button class="action-button maintenance-btn" aria-label="Toggle Maintenance Mode"><img src="/assets/maintenance.svg" alt="" role="presentation"/></button>
-        <button class="action-button delete-btn" aria-label="Delete Check"><img src="/assets/delete.svg" alt="" role="presentation"/></button>
-      `
+    if (check.last_error) {
+      const errorDiv = document.createElement('div')
+      errorDiv.className = 'error-reason'
+      errorDiv.title = 'Last error reason'
+      errorDiv.textContent = check.last_error // SAFE
+      checkInfo.appendChild(errorDiv)
+    }
+    if (check.last_output) {
+      // Collapsed by default, so that long logs do not push other checks out of view.
+      const outputDetails = document.createElement('details')
+      outputDetails.className = 'last-output'
+      outputDetails.open = outputOpen
+      const outputSummary = document.createElement('summary')
+      outputSummary.textContent = 'Last output'
+      const outputPre = document.createElement('pre')
+      outputPre.textContent = check.last_output // SAFE
+      outputDetails.appendChild(outputSummary)
+      outputDetails.appendChild(outputPre)
+      checkInfo.appendChild(outputDetails)
+    }
+    checkInfo.appendChild(pingUrlDiv)
+
+    checkItem.appendChild(checkInfo)
+    if (!canEdit()) return checkItem
+
+    // Actions Column
+    const actionsDiv = document.createElement('div')
+    actionsDiv.className = 'check-item-actions'
+    // Only down checks that still notify can be acknowledged.
+    const acknowledgeButton = check.status === 'down' && !check.acknowledged_at
+      ? '<button class="action-button acknowledge-btn" aria-label="Acknowledge"><img src="/assets/acknowledge.svg" alt="" role="presentation"/></button>'
+      : ''
+    actionsDiv.innerHTML = `
+      ${acknowledgeButton}
+      <button class="action-button edit-btn" aria-label="Edit Check"><img src="/assets/edit.svg" alt="" role="presentation"/></button>
+      <button class="action-button maintenance-btn" aria-label="Toggle Maintenance Mode"><img src="/assets/maintenance.svg" alt="" role="presentation"/></button>
+      <button class="action-button maintenance-windows-btn" aria-label="Maintenance Windows"><img src="/assets/calendar.svg" alt="" role="presentation"/></button>
+      <button class="action-button badges-btn" aria-label="Status Badges"><img src="/assets/badge.svg" alt="" role="presentation"/></button>
+      <button class="action-button delete-btn" aria-label="Delete Check"><img src="/assets/delete.svg" alt="" role="presentation"/></button>
+    `
+
+    checkItem.appendChild(actionsDiv)
+    return checkItem
+  }
 
-      checkItem.appendChild(checkInfo)
-      checkItem.appendChild(actionsDiv)
-      fragment.appendChild(checkItem)
+  /**
+   * Fills a check's uptime bar with one segment per bucket and the overall percentage.
+   * @param {HTMLElement} uptimeDiv - The `.uptime` element of the check.
+   * @param {object} [report] - The check's uptime report, if already loaded.
+   */
+  function renderUptime (uptimeDiv, report) {
+    uptimeDiv.innerHTML = ''
+    if (!report) return
+    const bar = document.createElement('div')
+    bar.className = 'uptime-bar'
+    for (const bucket of report.buckets) {
+      const segment = document.createElement('span')
+      segment.className = 'uptime-segment'
+      if (bucket.uptimePercent === null) {
+        segment.title = `${new Date(bucket.from * 1000).toLocaleString()}: no data`
+      } else {
+        segment.dataset.level = bucket.uptimePercent >= 99.9 ? 'good' : bucket.uptimePercent >= 95 ? 'degraded' : 'bad'
+        segment.title = `${new Date(bucket.from * 1000).toLocaleString()}: ${bucket.uptimePercent}%`
+      }
+      bar.appendChild(segment)
+    }
+    const label = document.createElement('span')
+    label.className = 'details uptime-label'
+    label.textContent = report.uptimePercent === null
+      ? `No uptime data (${report.window})`
+      : `${report.uptimePercent}% uptime (${report.window})`
+    uptimeDiv.appendChild(bar)
+    uptimeDiv.appendChild(label)
+  }
+
+  /** Loads the uptime reports of the rendered checks and fills in their uptime bars. */
+  async function loadUptime (checks) {
+    await Promise.all(checks.map(async (check) => {
+      try {
+        const report = await window.pulseApi.getUptime(check.uuid, { window: UPTIME_WINDOW, buckets: UPTIME_BUCKETS })
+        uptimeByUuid.set(check.uuid, report)
+        const uptimeDiv = checkListContainer.querySelector(`.check-item[data-uuid="${check.uuid}"] .uptime`)
+        if (uptimeDiv) renderUptime(uptimeDiv, report)
+      } catch (error) {
+        console.error(`Failed to load uptime of check ${check.uuid}:`, error)
+      }
+    }))
+  }
+
+  function hasActiveFilters () {
+    return filters.status.length > 0 || Boolean(filters.tag) || Boolean(filters.search)
+  }
+
+  /** Renders one chip per tag in use; the selected tag stays visible even if no check carries it anymore. */
+  function renderTagChips (tags) {
+    tagChips.innerHTML = ''
+    const names = tags.map(({ tag }) => tag)
+    if (filters.tag && !names.includes(filters.tag)) names.push(filters.tag)
+    for (const name of names) {
+      const chip = document.createElement('button')
+      chip.type = 'button'
+      chip.className = 'chip'
+      chip.dataset.tag = name
+      chip.textContent = `#${name}` // SAFE
+      chip.setAttribute('aria-pressed', String(name === filters.tag))
+      tagChips.appendChild(chip)
     }
-    checkListContainer.appendChild(fragment)
   }
 
   function renderPagination (meta) {
@@ -270,19 +533,148 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /** Fills the project filter in the header and the project field of the check form. */
+  function renderProjectOptions () {
+    projectFilter.length = 1 // Keep "All projects"
+    checkProjectSelect.innerHTML = ''
+    for (const project of projects) {
+      projectFilter.add(new Option(project.name, project.id, false, project.id === currentProjectId))
+      checkProjectSelect.add(new Option(project.name, project.id))
+    }
+    // A project that no longer exists falls back to the overview of all projects.
+    if (currentProjectId && !projects.some(project => project.id === currentProjectId)) {
+      selectProject(null)
+    }
+  }
+
+  async function loadProjects () {
+    try {
+      const result = await window.pulseApi.getProjects()
+      projects = result.projects
+      renderProjectOptions()
+    } catch (error) {
+      console.error('Failed to load projects:', error)
+    }
+  }
+
+  async function loadTags () {
+    try {
+      const { tags } = await window.pulseApi.getTags(currentProjectId)
+      renderTagChips(tags)
+    } catch (error) {
+      console.error('Failed to load tags:', error)
+    }
+  }
+
+  /** Switches the dashboard to a project (or to all projects) and records it in the URL. */
+  function selectProject (projectId) {
+    currentProjectId = projectId
+    projectFilter.value = projectId || ''
+    const url = new URL(window.location.href)
+    if (projectId) {
+      url.searchParams.set('project', projectId)
+    } else {
+      url.searchParams.delete('project')
+    }
+    window.history.replaceState(null, '', url)
+  }
+
   async function loadAndRenderChecks (page = 1) {
     clearTimeout(pollTimeoutId)
     try {
       currentPage = page
-      const { checks, meta } = await window.pulseApi.getChecks({ page, limit })
+      const [sort, order] = checkSortSelect.value.split(':')
+      const params = { page, limit, ...filters, sort, order }
+      const { checks, meta } = currentProjectId
+        ? await window.pulseApi.getProjectChecks(currentProjectId, params)
+        : await window.pulseApi.getChecks(params)
       renderChecks(checks)
       renderPagination(meta)
+      loadUptime(checks)
     } catch (error) {
       console.error('Failed to load checks:', error)
       checkListContainer.innerHTML = '<p class="error-message">Error: Could not load checks. Is the backend running?</p>'
       paginationContainer.innerHTML = ''
-      if (error.status === 401) updateAdminStatus(false)
+      if (error.status === 401) updateSession(null)
     } finally {
+      if (!isLive) {
+        pollTimeoutId = setTimeout(() => loadAndRenderChecks(currentPage), POLLING_INTERVAL_MS)
+      }
+    }
+  }
+
+  // --- Live Updates ---
+
+  /** Reloads the current page once a burst of changes has settled. */
+  function scheduleReload () {
+    clearTimeout(reloadTimeoutId)
+    reloadTimeoutId = setTimeout(() => loadAndRenderChecks(currentPage), RELOAD_DEBOUNCE_MS)
+  }
+
+  /**
+   * Re-renders the row of a changed check in place. Checks that are not on the current page are left alone.
+   * @param {object} check - The changed check, as sent by the event stream.
+   */
+  function patchCheck (check) {
+    const checkItem = checkListContainer.querySelector(`.check-item[data-uuid="${check.uuid}"]`)
+    if (!checkItem) return
+    const knownCheck = checksByUuid.get(check.uuid)
+    // The stream leaves out job output, which only changes with a ping: reload the page for the new output.
+    if ((currentProjectId && check.project_id !== currentProjectId) || knownCheck?.last_ping_at !== check.last_ping_at) {
+      scheduleReload()
+      return
+    }
+    const patchedCheck = { ...check, last_output: knownCheck.last_output }
+    checksByUuid.set(check.uuid, patchedCheck)
+    const outputOpen = Boolean(checkItem.querySelector('.last-output[open]'))
+    checkItem.replaceWith(renderCheckItem(patchedCheck, outputOpen))
+  }
+
+  /**
+   * Subscribes to the event stream of check changes, which requires a login. While it is disconnected, the browser
+   * keeps reconnecting and the check list falls back to polling.
+   */
+  function connectEventStream () {
+    if (!window.EventSource || eventStream) return
+    const stream = window.pulseApi.openEventStream()
+    eventStream = stream
+    stream.addEventListener('open', () => {
+      isLive = true
+      clearTimeout(pollTimeoutId)
+      // Changes made while the stream was down were missed.
+      if (hasBeenLive) loadAndRenderChecks(currentPage)
+      hasBeenLive = true
+    })
+    stream.addEventListener('error', () => {
+      if (!isLive) return
+      isLive = false
+      pollTimeoutId = setTimeout(() => loadAndRenderChecks(currentPage), POLLING_INTERVAL_MS)
+    })
+    stream.addEventListener('check.updated', (e) => patchCheck(JSON.parse(e.data).check))
+    stream.addEventListener('check.status', (e) => {
+      const { check } = JSON.parse(e.data)
+      // A status change can move the check into or out of the filtered and sorted list.
+      if (filters.status.length > 0 || checkSortSelect.value.startsWith('status:')) {
+        scheduleReload()
+      } else {
+        patchCheck(check)
+      }
+    })
+    stream.addEventListener('check.created', scheduleReload)
+    stream.addEventListener('check.deleted', (e) => {
+      const { uuid } = JSON.parse(e.data)
+      if (checksByUuid.has(uuid)) scheduleReload()
+    })
+  }
+
+  /** Closes the event stream, e.g. on logout, and goes back to polling the check list. */
+  function disconnectEventStream () {
+    if (!eventStream) return
+    eventStream.close()
+    eventStream = null
+    hasBeenLive = false
+    if (isLive) {
+      isLive = false
       pollTimeoutId = setTimeout(() => loadAndRenderChecks(currentPage), POLLING_INTERVAL_MS)
     }
   }
@@ -290,13 +682,65 @@ document.addEventListener('DOMContentLoaded', () => {
   // --- Event Listeners ---
   themeToggleBtn.addEventListener('click', () => applyTheme(document.documentElement.dataset.theme === 'light' ? 'dark' : 'light'))
   logoutBtn.addEventListener('click', handleLogout)
+  projectFilter.addEventListener('change', () => {
+    selectProject(parseInt(projectFilter.value, 10) || null)
+    loadTags()
+    loadAndRenderChecks(1)
+  })
+
+  checkSearchInput.addEventListener('input', () => {
+    clearTimeout(searchTimeoutId)
+    searchTimeoutId = setTimeout(() => {
+      filters.search = checkSearchInput.value.trim()
+      loadAndRenderChecks(1)
+    }, SEARCH_DEBOUNCE_MS)
+  })
+  checkSortSelect.addEventListener('change', () => loadAndRenderChecks(1))
+
+  statusChips.addEventListener('click', (e) => {
+    const chip = e.target.closest('.chip')
+    if (!chip) return
+    const pressed = chip.getAttribute('aria-pressed') !== 'true'
+    chip.setAttribute('aria-pressed', String(pressed))
+    filters.status = Array.from(statusChips.querySelectorAll('.chip[aria-pressed="true"]'), el => el.dataset.status)
+    loadAndRenderChecks(1)
+  })
+
+  // Only one tag can be selected at a time; clicking the selected tag clears the filter.
+  tagChips.addEventListener('click', (e) => {
+    const chip = e.target.closest('.chip')
+    if (!chip) return
+    filters.tag = filters.tag === chip.dataset.tag ? '' : chip.dataset.tag
+    tagChips.querySelectorAll('.chip').forEach(el => el.setAttribute('aria-pressed', String(el.dataset.tag === filters.tag)))
+    loadAndRenderChecks(1)
+  })
 
   addCheckBtn.addEventListener('click', () => {
     checkModalTitle.textContent = 'Add New Check'
     checkForm.reset()
+    clearFieldErrors(checkForm)
+    checkUuidInput.value = ''
+    if (currentProjectId) checkProjectSelect.value = currentProjectId
     openModal(checkModalBackdrop, document.getElementById('name'))
   })
 
+  /** Reuses the check modal as an edit form, pre-filled with the check's current settings. */
+  function openEditModal (check) {
+    checkModalTitle.textContent = 'Edit Check'
+    checkForm.reset()
+    clearFieldErrors(checkForm)
+    checkUuidInput.value = check.uuid
+    checkForm.elements.name.value = check.name
+    checkForm.elements.slug.value = check.slug
+    checkForm.elements.schedule.value = check.schedule
+    checkForm.elements.grace.value = check.grace
+    checkForm.elements.timezone.value = check.timezone || ''
+    checkForm.elements.retention.value = check.retention || ''
+    checkForm.elements.tags.value = check.tags.join(', ')
+    checkProjectSelect.value = check.project_id
+    openModal(checkModalBackdrop, document.getElementById('name'))
+  }
+
   checkCancelBtn.addEventListener('click', () => closeModal(checkModalBackdrop))
   checkModalBackdrop.addEventListener('click', (e) => {
     if (e.target === checkModalBackdrop) closeModal(checkModalBackdrop)
@@ -304,24 +748,671 @@ document.addEventListener('DOMContentLoaded', () => {
 
   checkForm.addEventListener('submit', async (e) => {
     e.preventDefault()
+    const uuid = checkUuidInput.value
+    const verb = uuid ? 'update' : 'create'
     try {
       await requestAdminAction()
       const formData = new FormData(checkForm)
       const data = { name: formData.get('name'), schedule: formData.get('schedule'), grace: formData.get('grace') }
-      await window.pulseApi.createCheck(data)
+      const timezone = formData.get('timezone').trim()
+      const retention = formData.get('retention').trim()
+      const slug = formData.get('slug').trim()
+      // An empty slug is derived from the name when creating, and left unchanged when editing.
+      if (slug) data.slug = slug
+      data.tags = formData.get('tags').split(/[\s,]+/).filter(Boolean)
+      if (formData.get('projectId')) data.projectId = parseInt(formData.get('projectId'), 10)
+      if (uuid) {
+        // Send the timezone and retention even when empty, so that clearing them resets the check to the default.
+        data.timezone = timezone
+        data.retention = retention
+        await window.pulseApi.updateCheck(uuid, data)
+      } else {
+        if (timezone) data.timezone = timezone
+        if (retention) data.retention = retention
+        await window.pulseApi.createCheck(data)
+      }
       closeModal(checkModalBackdrop)
-      loadAndRenderChecks(1)
+      loadProjects()
+      loadTags()
+      loadAndRenderChecks(uuid ? currentPage : 1)
     } catch (error) {
       if (error) {
-        console.error(`Failed to create check: ${error.message}`)
+        console.error(`Failed to ${verb} check: ${error.message}`)
+        if (error.fieldErrors?.length && showFieldErrors(checkForm, error.fieldErrors)) return
         if (error.status !== 401) {
-          const content = document.createTextNode(`Failed to create check: ${error.message}`)
+          const content = document.createTextNode(`Failed to ${verb} check: ${error.message}`)
           showConfirmation({ title: 'Error', contentHTML: [content], confirmText: 'OK', confirmClass: 'button-danger' })
         }
       }
     }
   })
 
+  // --- Maintenance Windows ---
+
+  /** Describes when a maintenance window applies, e.g. "Every 0 2 * * 6 for 4h (Europe/London)". */
+  function describeWindow (maintenanceWindow) {
+    if (!maintenanceWindow.schedule) {
+      return `${new Date(maintenanceWindow.starts_at * 1000).toLocaleString()} – ${new Date(maintenanceWindow.ends_at * 1000).toLocaleString()}`
+    }
+    return `Every ${maintenanceWindow.schedule} for ${maintenanceWindow.duration}${maintenanceWindow.timezone ? ` (${maintenanceWindow.timezone})` : ''}`
+  }
+
+  function renderMaintenanceWindows (windows) {
+    maintenanceWindowList.innerHTML = ''
+    if (windows.length === 0) {
+      const emptyItem = document.createElement('li')
+      emptyItem.className = 'details'
+      emptyItem.textContent = 'No maintenance windows.'
+      maintenanceWindowList.appendChild(emptyItem)
+      return
+    }
+    for (const maintenanceWindow of windows) {
+      const item = document.createElement('li')
+      item.dataset.id = maintenanceWindow.id
+      item.dataset.active = String(maintenanceWindow.active)
+
+      const info = document.createElement('div')
+      const when = document.createElement('div')
+      when.textContent = describeWindow(maintenanceWindow) // SAFE
+      const details = document.createElement('div')
+      details.className = 'details'
+      const state = maintenanceWindow.active
+        ? 'Active now'
+        : maintenanceWindow.next_starts_at ? `Next: ${formatRelativeTime(maintenanceWindow.next_starts_at)}` : 'Ended'
+      details.textContent = maintenanceWindow.reason ? `${state} • ${maintenanceWindow.reason}` : state // SAFE
+      info.appendChild(when)
+      info.appendChild(details)
+
+      const deleteBtn = document.createElement('button')
+      deleteBtn.type = 'button'
+      deleteBtn.className = 'action-button delete-window-btn'
+      deleteBtn.setAttribute('aria-label', 'Delete Maintenance Window')
+      deleteBtn.innerHTML = '<img src="/assets/delete.svg" alt="" role="presentation"/>'
+
+      item.appendChild(info)
+      item.appendChild(deleteBtn)
+      maintenanceWindowList.appendChild(item)
+    }
+  }
+
+  async function loadMaintenanceWindows () {
+    const { windows } = await window.pulseApi.getMaintenanceWindows(maintenanceCheckUuid)
+    renderMaintenanceWindows(windows)
+  }
+
+  /** Shows the fields of the selected window type. */
+  function showWindowTypeFields () {
+    maintenanceForm.querySelectorAll('[data-window-type]').forEach((el) => {
+      el.classList.toggle('hidden', el.dataset.windowType !== windowTypeSelect.value)
+    })
+  }
+
+  async function openMaintenanceModal (check) {
+    try {
+      await requestAdminAction()
+      maintenanceCheckUuid = check.uuid
+      maintenanceModalTitle.textContent = `Maintenance Windows: ${check.name}` // SAFE
+      maintenanceForm.reset()
+      clearFieldErrors(maintenanceForm)
+      showWindowTypeFields()
+      await loadMaintenanceWindows()
+      openModal(maintenanceModalBackdrop, windowTypeSelect)
+    } catch (error) {
+      if (error) console.error(`Failed to load maintenance windows: ${error.message}`)
+    }
+  }
+
+  windowTypeSelect.addEventListener('change', showWindowTypeFields)
+  maintenanceCloseBtn.addEventListener('click', () => closeModal(maintenanceModalBackdrop))
+  maintenanceModalBackdrop.addEventListener('click', (e) => {
+    if (e.target === maintenanceModalBackdrop) closeModal(maintenanceModalBackdrop)
+  })
+
+  maintenanceForm.addEventListener('submit', async (e) => {
+    e.preventDefault()
+    const formData = new FormData(maintenanceForm)
+    const data = {}
+    if (formData.get('type') === 'recurring') {
+      data.schedule = formData.get('schedule').trim()
+      data.duration = formData.get('duration').trim()
+      const timezone = formData.get('timezone').trim()
+      if (timezone) data.timezone = timezone
+    } else {
+      // datetime-local values are in the browser's timezone; omitted values are reported by the server.
+      const toUnix = value => value ? Math.floor(new Date(value).getTime() / 1000) : undefined
+      data.startsAt = toUnix(formData.get('startsAt'))
+      data.endsAt = toUnix(formData.get('endsAt'))
+    }
+    const reason = formData.get('reason').trim()
+    if (reason) data.reason = reason
+    try {
+      await window.pulseApi.createMaintenanceWindow(maintenanceCheckUuid, data)
+      maintenanceForm.reset()
+      clearFieldErrors(maintenanceForm)
+      showWindowTypeFields()
+      await loadMaintenanceWindows()
+      loadAndRenderChecks(currentPage)
+    } catch (error) {
+      console.error(`Failed to add maintenance window: ${error.message}`)
+      if (error.fieldErrors?.length && showFieldErrors(maintenanceForm, error.fieldErrors)) return
+      if (error.status === 401) updateSession(null)
+    }
+  })
+
+  maintenanceWindowList.addEventListener('click', async (e) => {
+    const deleteBtn = e.target.closest('.delete-window-btn')
+    if (!deleteBtn) return
+    try {
+      await window.pulseApi.deleteMaintenanceWindow(maintenanceCheckUuid, deleteBtn.closest('li').dataset.id)
+      await loadMaintenanceWindows()
+      loadAndRenderChecks(currentPage)
+    } catch (error) {
+      console.error(`Failed to delete maintenance window: ${error.message}`)
+      if (error.status === 401) updateSession(null)
+    }
+  })
+
+  // --- Status Badges ---
+
+  /**
+   * Builds the list item of a badge, with its preview, embed snippets and key buttons.
+   * @param {object} badge
+   * @param {string} badge.title - What the badge shows, e.g. 'Tag: backups'.
+   * @param {string|null} badge.badgeKey - The badge key, or null for a tag without a badge.
+   * @param {string} [badge.tag] - The tag, for tag badges.
+   */
+  function renderBadgeItem ({ title, badgeKey, tag }) {
+    const item = document.createElement('li')
+    if (tag) item.dataset.tag = tag
+
+    const header = document.createElement('div')
+    header.className = 'badge-header'
+    const name = document.createElement('div')
+    name.textContent = title // SAFE
+    const buttons = document.createElement('div')
+    buttons.className = 'check-item-actions'
+    const keyBtn = document.createElement('button')
+    keyBtn.type = 'button'
+    keyBtn.className = 'button-secondary badge-key-btn'
+    keyBtn.textContent = badgeKey ? 'New Key' : 'Create Badge'
+    buttons.appendChild(keyBtn)
+    if (tag && badgeKey) {
+      const deleteBtn = document.createElement('button')
+      deleteBtn.type = 'button'
+      deleteBtn.className = 'action-button delete-badge-btn'
+      deleteBtn.setAttribute('aria-label', 'Delete Badge')
+      deleteBtn.innerHTML = '<img src="/assets/delete.svg" alt="" role="presentation"/>'
+      buttons.appendChild(deleteBtn)
+    }
+    header.appendChild(name)
+    header.appendChild(buttons)
+    item.appendChild(header)
+    if (!badgeKey) return item
+
+    const svgUrl = `${window.location.origin}/badge/${badgeKey}.svg`
+    const jsonUrl = `${window.location.origin}/badge/${badgeKey}.json`
+    const preview = document.createElement('img')
+    preview.src = `${svgUrl}?v=${Date.now()}`
+    preview.alt = `${title} badge`
+    item.appendChild(preview)
+    for (const [label, value] of [
+      ['Markdown', `![${tag || badgeCheck.name}](${svgUrl})`],
+      ['shields.io', `https://img.shields.io/endpoint?url=${encodeURIComponent(jsonUrl)}`]
+    ]) {
+      const input = document.createElement('input')
+      input.type = 'text'
+      input.readOnly = true
+      input.value = value
+      input.setAttribute('aria-label', `${label} of the ${title} badge`)
+      input.addEventListener('focus', () => input.select())
+      item.appendChild(input)
+    }
+    return item
+  }
+
+  /** Shows the badge of the open check and of each of its tags. */
+  async function loadBadges () {
+    const { tags } = await window.pulseApi.getTags()
+    const tagBadgeKeys = new Map(tags.map(({ tag, badge_key: badgeKey }) => [tag, badgeKey]))
+    badgeList.innerHTML = ''
+    badgeList.appendChild(renderBadgeItem({ title: badgeCheck.name, badgeKey: badgeCheck.badge_key }))
+    for (const tag of badgeCheck.tags) {
+      badgeList.appendChild(renderBadgeItem({ title: `Tag: ${tag}`, badgeKey: tagBadgeKeys.get(tag) ?? null, tag }))
+    }
+  }
+
+  async function openBadgeModal (check) {
+    try {
+      badgeCheck = check
+      badgeModalTitle.textContent = `Status Badges: ${check.name}` // SAFE
+      await loadBadges()
+      openModal(badgeModalBackdrop, badgeCloseBtn)
+    } catch (error) {
+      console.error(`Failed to load badges: ${error.message}`)
+    }
+  }
+
+  badgeCloseBtn.addEventListener('click', () => closeModal(badgeModalBackdrop))
+  badgeModalBackdrop.addEventListener('click', (e) => {
+    if (e.target === badgeModalBackdrop) closeModal(badgeModalBackdrop)
+  })
+
+  badgeList.addEventListener('click', async (e) => {
+    const button = e.target.closest('.badge-key-btn, .delete-badge-btn')
+    if (!button) return
+    const tag = button.closest('li').dataset.tag
+    try {
+      await requestAdminAction()
+      if (button.classList.contains('delete-badge-btn')) {
+        await window.pulseApi.deleteTagBadge(tag)
+      } else if (tag) {
+        await window.pulseApi.createTagBadge(tag)
+      } else {
+        badgeCheck = await window.pulseApi.regenerateBadgeKey(badgeCheck.uuid)
+        checksByUuid.set(badgeCheck.uuid, badgeCheck)
+      }
+      await loadBadges()
+    } catch (error) {
+      if (!error) return
+      console.error(`Failed to update badge: ${error.message}`)
+      if (error.status === 401) updateSession(null)
+    }
+  })
+
+  // --- Users ---
+
+  function renderUsers (users) {
+    userList.innerHTML = ''
+    for (const user of users) {
+      const item = document.createElement('li')
+      item.dataset.id = user.id
+
+      const info = document.createElement('div')
+      const name = document.createElement('div')
+      name.textContent = user.id === currentUser.id ? `${user.username} (you)` : user.username // SAFE
+      const details = document.createElement('div')
+      details.className = 'details'
+      details.textContent = `Last login: ${formatRelativeTime(user.last_login_at)}`
+      info.appendChild(name)
+      info.appendChild(details)
+
+      const roleSelect = document.createElement('select')
+      roleSelect.className = 'user-role-select'
+      roleSelect.setAttribute('aria-label', `Role of ${user.username}`)
+      for (const role of ['viewer', 'editor', 'admin']) {
+        roleSelect.appendChild(new Option(role.charAt(0).toUpperCase() + role.slice(1), role, false, role === user.role))
+      }
+
+      item.appendChild(info)
+      item.appendChild(roleSelect)
+      // Admins cannot delete themselves, which also keeps the last admin.
+      if (user.id !== currentUser.id) {
+        const deleteBtn = document.createElement('button')
+        deleteBtn.type = 'button'
+        deleteBtn.className = 'action-button delete-user-btn'
+        deleteBtn.setAttribute('aria-label', `Delete ${user.username}`)
+        deleteBtn.innerHTML = '<img src="/assets/delete.svg" alt="" role="presentation"/>'
+        item.appendChild(deleteBtn)
+      }
+      userList.appendChild(item)
+    }
+  }
+
+  async function loadUsers () {
+    const { users } = await window.pulseApi.getUsers()
+    renderUsers(users)
+  }
+
+  /** Reports a failed user change; a lost session is shown as logged out. */
+  function handleUserError (action, error) {
+    console.error(`Failed to ${action}: ${error.message}`)
+    if (error.status === 401 || error.status === 403) {
+      closeModal(usersModalBackdrop)
+      updateSession(null)
+      return
+    }
+    showConfirmation({ title: 'Error', contentHTML: [document.createTextNode(error.message)], confirmText: 'OK', confirmClass: 'button-danger' })
+  }
+
+  usersBtn.addEventListener('click', async () => {
+    try {
+      userForm.reset()
+      clearFieldErrors(userForm)
+      await loadUsers()
+      openModal(usersModalBackdrop, document.getElementById('user-username'))
+    } catch (error) {
+      handleUserError('load users', error)
+    }
+  })
+  usersCloseBtn.addEventListener('click', () => closeModal(usersModalBackdrop))
+  usersModalBackdrop.addEventListener('click', (e) => {
+    if (e.target === usersModalBackdrop) closeModal(usersModalBackdrop)
+  })
+
+  userForm.addEventListener('submit', async (e) => {
+    e.preventDefault()
+    const formData = new FormData(userForm)
+    try {
+      await window.pulseApi.createUser({
+        username: formData.get('username').trim(),
+        password: formData.get('password'),
+        role: formData.get('role')
+      })
+      userForm.reset()
+      clearFieldErrors(userForm)
+      await loadUsers()
+    } catch (error) {
+      if (error.fieldErrors?.length && showFieldErrors(userForm, error.fieldErrors)) return
+      handleUserError('add user', error)
+    }
+  })
+
+  userList.addEventListener('change', async (e) => {
+    if (!e.target.matches('.user-role-select')) return
+    const id = parseInt(e.target.closest('li').dataset.id, 10)
+    try {
+      const user = await window.pulseApi.updateUser(id, { role: e.target.value })
+      // Admins who give up their own role lose access to this dialog.
+      if (id === currentUser.id) {
+        updateSession(user)
+        closeModal(usersModalBackdrop)
+        loadAndRenderChecks(currentPage)
+        return
+      }
+      await loadUsers()
+    } catch (error) {
+      handleUserError('change role', error)
+      if (usersModalBackdrop.classList.contains('hidden')) return
+      loadUsers().catch(() => {})
+    }
+  })
+
+  userList.addEventListener('click', async (e) => {
+    const deleteBtn = e.target.closest('.delete-user-btn')
+    if (!deleteBtn) return
+    const item = deleteBtn.closest('li')
+    const username = item.querySelector('div').textContent
+    // The confirmation replaces the users dialog, which is opened again afterwards.
+    closeModal(usersModalBackdrop)
+    const content = [
+      document.createTextNode('Are you sure you want to delete the user "'),
+      Object.assign(document.createElement('b'), { textContent: username }),
+      document.createTextNode('"? They are logged out immediately.')
+    ]
+    const confirmed = await showConfirmation({ title: 'Delete User', contentHTML: content, confirmText: 'Delete', confirmClass: 'button-danger' })
+    try {
+      if (confirmed) await window.pulseApi.deleteUser(item.dataset.id)
+      await loadUsers()
+      openModal(usersModalBackdrop, usersCloseBtn)
+    } catch (error) {
+      handleUserError('delete user', error)
+    }
+  })
+
+  // --- Status Pages ---
+  let statusPages = []
+  // All checks, as offered in the status page form.
+  let allChecks = []
+
+  /** Loads every check, page by page, for the status page form. */
+  async function loadAllChecks () {
+    const checks = []
+    for (let page = 1, totalPages = 1; page <= totalPages; page++) {
+      const result = await window.pulseApi.getChecks({ page, limit: 100 })
+      checks.push(...result.checks)
+      totalPages = result.meta.totalPages
+    }
+    return checks
+  }
+
+  function renderStatusPages () {
+    statusPageList.innerHTML = ''
+    for (const page of statusPages) {
+      const item = document.createElement('li')
+      item.dataset.id = page.id
+      const info = document.createElement('div')
+      const link = document.createElement('a')
+      link.href = `/status/${page.slug}`
+      link.target = '_blank'
+      link.rel = 'noopener'
+      link.textContent = page.title // SAFE
+      const details = document.createElement('div')
+      details.className = 'details'
+      details.textContent = `/status/${page.slug} · ${page.checks.length} ${page.checks.length === 1 ? 'check' : 'checks'}` // SAFE
+      info.appendChild(link)
+      info.appendChild(details)
+      const actions = document.createElement('div')
+      actions.innerHTML = `
+        <button type="button" class="action-button edit-status-page-btn" aria-label="Edit status page"><img src="/assets/edit.svg" alt="" role="presentation"/></button>
+        <button type="button" class="action-button delete-status-page-btn" aria-label="Delete status page"><img src="/assets/delete.svg" alt="" role="presentation"/></button>`
+      item.appendChild(info)
+      item.appendChild(actions)
+      statusPageList.appendChild(item)
+    }
+  }
+
+  /**
+   * Fills the status page form with a page to edit, or empties it for a new page.
+   * The page's checks come first, in their order on the page, followed by all other checks.
+   */
+  function fillStatusPageForm (page) {
+    statusPageForm.reset()
+    clearFieldErrors(statusPageForm)
+    statusPageForm.elements.id.value = page ? page.id : ''
+    statusPageForm.elements.title.value = page ? page.title : ''
+    statusPageForm.elements.slug.value = page ? page.slug : ''
+    statusPageForm.elements.description.value = page?.description || ''
+    statusPageSubmitBtn.textContent = page ? 'Save Page' : 'Add Page'
+
+    const selected = new Map((page?.checks || []).map(check => [check.uuid, check.display_name]))
+    const ordered = [
+      ...(page?.checks || []).map(({ uuid }) => allChecks.find(check => check.uuid === uuid)).filter(Boolean),
+      ...allChecks.filter(check => !selected.has(check.uuid))
+    ]
+    statusPageCheckList.innerHTML = ''
+    for (const check of ordered) {
+      const item = document.createElement('li')
+      const label = document.createElement('label')
+      const checkbox = document.createElement('input')
+      checkbox.type = 'checkbox'
+      checkbox.value = check.uuid
+      checkbox.checked = selected.has(check.uuid)
+      label.appendChild(checkbox)
+      label.appendChild(document.createTextNode(check.name))
+      const displayName = document.createElement('input')
+      displayName.type = 'text'
+      displayName.className = 'status-page-display-name'
+      displayName.placeholder = 'Display name (optional)'
+      displayName.setAttribute('aria-label', `Display name of ${check.name}`)
+      displayName.value = selected.get(check.uuid) || ''
+      item.appendChild(label)
+      item.appendChild(displayName)
+      statusPageCheckList.appendChild(item)
+    }
+  }
+
+  async function loadStatusPages () {
+    const result = await window.pulseApi.getStatusPages()
+    statusPages = result.statusPages
+    renderStatusPages()
+  }
+
+  /** Reports a failed status page change; a lost session is shown as logged out. */
+  function handleStatusPageError (action, error) {
+    console.error(`Failed to ${action}: ${error.message}`)
+    if (error.status === 401 || error.status === 403) {
+      closeModal(statusPagesModalBackdrop)
+      updateSession(null)
+      return
+    }
+    showConfirmation({ title: 'Error', contentHTML: [document.createTextNode(error.message)], confirmText: 'OK', confirmClass: 'button-danger' })
+  }
+
+  statusPagesBtn.addEventListener('click', async () => {
+    try {
+      allChecks = await loadAllChecks()
+      await loadStatusPages()
+      fillStatusPageForm(null)
+      openModal(statusPagesModalBackdrop, statusPageForm.elements.title)
+    } catch (error) {
+      handleStatusPageError('load status pages', error)
+    }
+  })
+  statusPagesCloseBtn.addEventListener('click', () => closeModal(statusPagesModalBackdrop))
+  statusPagesModalBackdrop.addEventListener('click', (e) => {
+    if (e.target === statusPagesModalBackdrop) closeModal(statusPagesModalBackdrop)
+  })
+
+  statusPageForm.addEventListener('submit', async (e) => {
+    e.preventDefault()
+    const formData = new FormData(statusPageForm)
+    const checks = [...statusPageCheckList.querySelectorAll('li')]
+      .filter(item => item.querySelector('input[type="checkbox"]').checked)
+      .map(item => ({
+        uuid: item.querySelector('input[type="checkbox"]').value,
+        displayName: item.querySelector('.status-page-display-name').value.trim() || null
+      }))
+    const page = {
+      title: formData.get('title').trim(),
+      slug: formData.get('slug').trim(),
+      description: formData.get('description').trim() || null,
+      checks
+    }
+    const id = formData.get('id')
+    try {
+      if (id) {
+        await window.pulseApi.updateStatusPage(id, page)
+      } else {
+        await window.pulseApi.createStatusPage(page)
+      }
+      await loadStatusPages()
+      fillStatusPageForm(null)
+    } catch (error) {
+      if (error.fieldErrors?.length && showFieldErrors(statusPageForm, error.fieldErrors)) return
+      handleStatusPageError('save status page', error)
+    }
+  })
+
+  statusPageList.addEventListener('click', async (e) => {
+    const item = e.target.closest('li')
+    if (!item) return
+    const page = statusPages.find(({ id }) => id === parseInt(item.dataset.id, 10))
+    if (e.target.closest('.edit-status-page-btn')) {
+      fillStatusPageForm(page)
+      statusPageForm.elements.title.focus()
+      return
+    }
+    if (!e.target.closest('.delete-status-page-btn')) return
+    // The confirmation replaces the status pages dialog, which is opened again afterwards.
+    closeModal(statusPagesModalBackdrop)
+    const content = [
+      document.createTextNode('Are you sure you want to delete the status page "'),
+      Object.assign(document.createElement('b'), { textContent: page.title }),
+      document.createTextNode('"? Its link stops working.')
+    ]
+    const confirmed = await showConfirmation({ title: 'Delete Status Page', contentHTML: content, confirmText: 'Delete', confirmClass: 'button-danger' })
+    try {
+      if (confirmed) await window.pulseApi.deleteStatusPage(page.id)
+      await loadStatusPages()
+      fillStatusPageForm(null)
+      openModal(statusPagesModalBackdrop, statusPagesCloseBtn)
+    } catch (error) {
+      handleStatusPageError('delete status page', error)
+    }
+  })
+
+  // --- Audit Log ---
+
+  /** Describes who made an audit log entry. */
+  function describeActor (entry) {
+    if (entry.actor_type === 'api_key') return `API key "${entry.actor_name}"`
+    if (entry.actor_type === 'anonymous') return entry.actor_name ? `unknown user "${entry.actor_name}"` : 'unknown user'
+    return entry.actor_name
+  }
+
+  /**
+   * Lists the values of an audit log entry: the old and new value of each field an update changed, or the values
+   * of a created or deleted target.
+   */
+  function renderAuditChanges (entry) {
+    const changes = document.createElement('ul')
+    changes.className = 'changes'
+    const format = (value) => value === null || value === undefined ? '–' : JSON.stringify(value)
+    const values = entry.after ?? entry.before ?? {}
+    for (const field of Object.keys(values)) {
+      const line = document.createElement('li')
+      const value = entry.before && entry.after ? `${format(entry.before[field])} → ${format(entry.after[field])}` : format(values[field])
+      line.textContent = `${field}: ${value}` // SAFE
+      changes.appendChild(line)
+    }
+    return changes
+  }
+
+  function renderAuditLog ({ entries, meta }) {
+    auditList.innerHTML = ''
+    if (entries.length === 0) {
+      const item = document.createElement('li')
+      item.textContent = 'No entries match the filters.'
+      auditList.appendChild(item)
+    }
+    for (const entry of entries) {
+      const item = document.createElement('li')
+      const summary = document.createElement('div')
+      summary.textContent = entry.target_name ? `${entry.action} – ${entry.target_name}` : entry.action // SAFE
+      const details = document.createElement('div')
+      details.className = 'details'
+      details.title = new Date(entry.created_at * 1000).toLocaleString()
+      details.textContent = `${formatRelativeTime(entry.created_at)} by ${describeActor(entry)}${entry.source_ip ? ` from ${entry.source_ip}` : ''}` // SAFE
+      item.appendChild(summary)
+      item.appendChild(details)
+      if (entry.before || entry.after) {
+        item.appendChild(renderAuditChanges(entry))
+      }
+      auditList.appendChild(item)
+    }
+    auditPagination.innerHTML = meta.totalPages > 1
+      ? `
+      <div class="pagination">
+        <button type="button" class="page-btn" ${meta.page === 1 ? 'disabled' : ''} data-page="${meta.page - 1}">Newer</button>
+        <span>Page ${meta.page} of ${meta.totalPages}</span>
+        <button type="button" class="page-btn" ${meta.page === meta.totalPages ? 'disabled' : ''} data-page="${meta.page + 1}">Older</button>
+      </div>`
+      : ''
+  }
+
+  async function loadAuditLog (page = 1) {
+    const formData = new FormData(auditFilterForm)
+    try {
+      renderAuditLog(await window.pulseApi.getAuditLog({
+        page,
+        action: formData.get('action'),
+        actorType: formData.get('actorType')
+      }))
+    } catch (error) {
+      console.error(`Failed to load the audit log: ${error.message}`)
+      if (error.status === 401 || error.status === 403) {
+        closeModal(auditModalBackdrop)
+        updateSession(null)
+      }
+    }
+  }
+
+  auditBtn.addEventListener('click', async () => {
+    auditFilterForm.reset()
+    await loadAuditLog()
+    openModal(auditModalBackdrop, auditCloseBtn)
+  })
+  auditFilterForm.addEventListener('change', () => loadAuditLog())
+  auditPagination.addEventListener('click', (e) => {
+    if (e.target.matches('.page-btn') && !e.target.disabled) {
+      loadAuditLog(parseInt(e.target.dataset.page, 10))
+    }
+  })
+  auditCloseBtn.addEventListener('click', () => closeModal(auditModalBackdrop))
+  auditModalBackdrop.addEventListener('click', (e) => {
+    if (e.target === auditModalBackdrop) closeModal(auditModalBackdrop)
+  })
+
   checkListContainer.addEventListener('click', async (e) => {
     const actionButton = e.target.closest('.action-button')
     if (!actionButton) return
@@ -331,7 +1422,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const uuid = checkItem.dataset.uuid
     const checkName = checkItem.querySelector('.name').textContent.split('(')[0].trim() // Safe, from textContent
 
-    if (actionButton.classList.contains('delete-btn')) {
+    if (actionButton.classList.contains('edit-btn')) {
+      const check = checksByUuid.get(uuid)
+      if (check) openEditModal(check)
+    } else if (actionButton.classList.contains('delete-btn')) {
       // FIX: Build confirmation message safely to prevent any potential XSS.
       const content = [
         document.createTextNode('Are you sure you want to delete the check "'),
@@ -348,6 +1442,12 @@ document.addEventListener('DOMContentLoaded', () => {
       } catch (error) {
         if (error) console.error(`Failed to delete check: ${error.message}`)
       }
+    } else if (actionButton.classList.contains('maintenance-windows-btn')) {
+      const check = checksByUuid.get(uuid)
+      if (check) openMaintenanceModal(check)
+    } else if (actionButton.classList.contains('badges-btn')) {
+      const check = checksByUuid.get(uuid)
+      if (check) openBadgeModal(check)
     } else if (actionButton.classList.contains('maintenance-btn')) {
       try {
         await requestAdminAction()
@@ -356,6 +1456,14 @@ document.addEventListener('DOMContentLoaded', () => {
       } catch (error) {
         if (error) console.error(`Failed to toggle maintenance: ${error.message}`)
       }
+    } else if (actionButton.classList.contains('acknowledge-btn')) {
+      try {
+        await requestAdminAction()
+        await window.pulseApi.acknowledgeCheck(uuid)
+        loadAndRenderChecks(currentPage)
+      } catch (error) {
+        if (error) console.error(`Failed to acknowledge check: ${error.message}`)
+      }
     }
   })
 
@@ -369,17 +1477,20 @@ document.addEventListener('DOMContentLoaded', () => {
   secretForm.addEventListener('submit', async (e) => {
     e.preventDefault()
     if (!adminAction.resolve) return
-    const secret = secretInput.value
+    const formData = new FormData(secretForm)
     try {
-      await window.pulseApi.login(secret)
-      updateAdminStatus(true)
+      const { user } = await window.pulseApi.login(formData.get('username'), formData.get('password'))
+      updateSession(user)
       closeModal(secretModalBackdrop)
       secretForm.reset()
       adminAction.resolve(true)
+      // Reload projects to get their ping keys, and the checks to show their slug ping URLs.
+      loadProjects().then(() => loadAndRenderChecks(currentPage))
     } catch (error) {
-      secretErrorMsg.textContent = 'Invalid secret.'
+      // A lockout after repeated failures says when to try again.
+      secretErrorMsg.textContent = error.status === 429 ? error.message : 'Invalid username or password.'
       console.error('Login failed:', error)
-      updateAdminStatus(false)
+      updateSession(null)
     }
   })
 
@@ -407,12 +1518,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const preferredTheme = window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark'
     applyTheme(savedTheme || preferredTheme)
     try {
-      await window.pulseApi.checkAuthStatus()
-      updateAdminStatus(true)
+      const { user } = await window.pulseApi.checkAuthStatus()
+      updateSession(user)
     } catch (e) {
-      updateAdminStatus(false)
+      updateSession(null)
     }
     loadConfig()
+    await loadProjects()
+    loadTags()
     loadAndRenderChecks(1)
   })()
 })
@@ -0,0 +1,92 @@
+/**
+ * @file Public status page. Renders the page's JSON feed at `/status/<slug>.json` and refreshes it periodically.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const REFRESH_INTERVAL_MS = 60000
+  const SUMMARIES = {
+    up: 'All systems operational',
+    down: 'Some systems are experiencing problems',
+    maintenance: 'Some systems are under maintenance'
+  }
+  const STATUS_LABELS = { new: 'No data yet', up: 'Operational', down: 'Down', failed: 'Failing', maintenance: 'Maintenance' }
+
+  const titleEl = document.getElementById('status-page-title')
+  const descriptionEl = document.getElementById('status-page-description')
+  const summaryEl = document.getElementById('status-page-summary')
+  const checksEl = document.getElementById('status-page-checks')
+  const updatedEl = document.getElementById('status-page-updated')
+
+  document.documentElement.dataset.theme = localStorage.getItem('pulseTheme') || 'dark'
+  const feedUrl = `${window.location.pathname.replace(/\/$/, '')}.json`
+
+  /** Builds the uptime bar of a check, one segment per day. */
+  function renderUptime (report) {
+    const uptimeDiv = document.createElement('div')
+    uptimeDiv.className = 'uptime'
+    const bar = document.createElement('div')
+    bar.className = 'uptime-bar'
+    for (const bucket of report.buckets) {
+      const segment = document.createElement('span')
+      segment.className = 'uptime-segment'
+      if (bucket.uptimePercent === null) {
+        segment.title = `${new Date(bucket.from * 1000).toLocaleDateString()}: no data`
+      } else {
+        segment.dataset.level = bucket.uptimePercent >= 99.9 ? 'good' : bucket.uptimePercent >= 95 ? 'degraded' : 'bad'
+        segment.title = `${new Date(bucket.from * 1000).toLocaleDateString()}: ${bucket.uptimePercent}%`
+      }
+      bar.appendChild(segment)
+    }
+    const label = document.createElement('span')
+    label.className = 'details uptime-label'
+    label.textContent = report.uptimePercent === null
+      ? `No uptime data (${report.window})`
+      : `${report.uptimePercent}% uptime (${report.window})`
+    uptimeDiv.appendChild(bar)
+    uptimeDiv.appendChild(label)
+    return uptimeDiv
+  }
+
+  function renderPage (page) {
+    document.title = page.title
+    titleEl.textContent = page.title // SAFE
+    descriptionEl.textContent = page.description || '' // SAFE
+    descriptionEl.classList.toggle('hidden', !page.description)
+    summaryEl.dataset.status = page.status
+    summaryEl.textContent = SUMMARIES[page.status]
+
+    checksEl.innerHTML = ''
+    for (const check of page.checks) {
+      const item = document.createElement('div')
+      item.className = 'check-item'
+      item.dataset.status = check.status
+      const info = document.createElement('div')
+      const name = document.createElement('div')
+      name.className = 'name'
+      name.textContent = check.name // SAFE
+      info.appendChild(name)
+      info.appendChild(renderUptime(check.uptime))
+      const status = document.createElement('div')
+      status.className = 'details'
+      status.textContent = STATUS_LABELS[check.status] || check.status
+      item.appendChild(info)
+      item.appendChild(status)
+      checksEl.appendChild(item)
+    }
+    updatedEl.textContent = `Updated ${new Date(page.updated_at * 1000).toLocaleString()}`
+  }
+
+  async function refresh () {
+    try {
+      const response = await fetch(feedUrl)
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      renderPage(await response.json())
+    } catch (error) {
+      console.error('Failed to load the status page:', error)
+      updatedEl.textContent = 'The status could not be refreshed. Retrying shortly.'
+    }
+  }
+
+  refresh()
+  setInterval(refresh, REFRESH_INTERVAL_MS)
+})
@@ -8,10 +8,29 @@ import { fileURLToPath } from 'url'
 import { data } from './src/core/db.js'
 import { scheduler } from './src/core/scheduler.js'
 import { metrics } from './src/metrics.js'
+import { notifier } from './src/core/notifier.js'
+import { users } from './src/core/users.js'
 import { apiRoutes } from './src/api/v1/checks.js'
+import { channelRoutes } from './src/api/v1/channels.js'
+import { apiKeyRoutes } from './src/api/v1/keys.js'
+import { projectRoutes } from './src/api/v1/projects.js'
+import { maintenanceRoutes } from './src/api/v1/maintenance.js'
+import { escalationPolicyRoutes } from './src/api/v1/escalation.js'
+import { eventStreamRoutes } from './src/api/v1/events.js'
+import { configRoutes, syncConfigFile } from './src/api/v1/config.js'
+import { userRoutes } from './src/api/v1/users.js'
+import { auditRoutes } from './src/api/v1/audit.js'
+import { statusPageAdminRoutes } from './src/api/v1/statusPages.js'
+import { adminRoutes } from './src/api/v1/admin.js'
+import { pingRoutes } from './src/api/ping.js'
+import { statusPageRoutes } from './src/api/status.js'
+import { badgeRoutes } from './src/api/badges.js'
+import { limitRequests } from './src/api/limits.js'
+import { schemas } from './src/api/v1/schemas.js'
 
 // --- Environment Variable Validation ---
-const requiredEnv = ['PORT', 'APP_TITLE', 'ADMIN_SECRET', 'SESSION_SECRET']
+// ADMIN_SECRET is only needed to create the first admin account, see `users.bootstrapAdmin`.
+const requiredEnv = ['PORT', 'APP_TITLE', 'SESSION_SECRET']
 for (const envVar of requiredEnv) {
   if (!process.env[envVar]) {
     console.error(`Error: Missing required environment variable: ${envVar}.`)
@@ -23,6 +42,17 @@ if (process.env.ADMIN_SECRET === 'change-this-super-secret-key' || process.env.S
   console.warn('Warning: Default secret keys are in use. Please change ADMIN_SECRET and SESSION_SECRET in your .env file for production.')
 }
 
+/**
+ * Converts `TRUST_PROXY` into Fastify's `trustProxy` option.
+ * @param {string|undefined} value - `true`, the number of proxy hops, or a comma-separated list of proxy addresses.
+ * @returns {boolean|number|string}
+ */
+function parseTrustProxy (value) {
+  if (!value || value === 'false') return false
+  if (value === 'true') return true
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value
+}
+
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
@@ -30,14 +60,27 @@ const __dirname = path.dirname(__filename)
 // This is critical for diagnostics and monitoring in production.
 // In development, `pino-pretty` can be used for readability if installed (`npm i -D pino-pretty`).
 const fastify = Fastify({
+  // Behind a reverse proxy, the client's address (used by the rate limits) comes from X-Forwarded-For.
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   logger: {
     level: 'info',
     transport: process.env.NODE_ENV !== 'production'
       ? { target: 'pino-pretty', options: { colorize: true } }
       : undefined
+  },
+  ajv: {
+    // Report every invalid field at once and reject unknown fields instead of silently dropping them.
+    customOptions: { allErrors: true, removeAdditional: false },
+    plugins: [schemas.registerFormats]
   }
 })
 
+// Render schema validation failures as field-level 400 errors.
+fastify.setErrorHandler(schemas.errorHandler)
+
+// Per-IP rate limits of the ping and API routes, applied before any route does work.
+fastify.addHook('onRequest', limitRequests)
+
 // --- Plugin Registration ---
 
 // Register cookie and session management for authentication
@@ -61,35 +104,27 @@ fastify.register(async function (instance) {
     return metrics.registry.metrics()
   })
 
-  // The heartbeat ping endpoint
-  instance.get('/ping/:uuid', (req, reply) => {
-    const { uuid } = req.params
-    const duration = req.query.duration ? parseInt(req.query.duration, 10) : null
-
-    if (!uuid) {
-      return reply.code(400).send({ message: 'Missing check UUID.' })
-    }
-
-    try {
-      const updatedCheck = data.recordPing(uuid, duration)
-      if (updatedCheck) {
-        // Only update metrics if the ping wasn't ignored (e.g. for a maintenance check)
-        if (updatedCheck.status !== 'maintenance') {
-          metrics.updateMetricsForCheck(updatedCheck)
-        }
-        return reply.code(200).send({ message: 'OK' })
-      } else {
-        return reply.code(404).send({ message: 'Check not found.' })
-      }
-    } catch (error) {
-      instance.log.error(error, `Failed to record ping for UUID: ${uuid}`)
-      return reply.code(500).send({ message: 'Internal server error while recording ping.' })
-    }
-  })
+  // The heartbeat ping endpoints
+  instance.register(pingRoutes)
+
+  // The public status pages and badges
+  instance.register(statusPageRoutes)
+  instance.register(badgeRoutes)
 })
 
 // 2. Register all API routes under /api/v1
 fastify.register(apiRoutes, { prefix: '/api/v1' })
+fastify.register(channelRoutes, { prefix: '/api/v1' })
+fastify.register(apiKeyRoutes, { prefix: '/api/v1' })
+fastify.register(projectRoutes, { prefix: '/api/v1' })
+fastify.register(maintenanceRoutes, { prefix: '/api/v1' })
+fastify.register(escalationPolicyRoutes, { prefix: '/api/v1' })
+fastify.register(eventStreamRoutes, { prefix: '/api/v1' })
+fastify.register(configRoutes, { prefix: '/api/v1' })
+fastify.register(userRoutes, { prefix: '/api/v1' })
+fastify.register(auditRoutes, { prefix: '/api/v1' })
+fastify.register(statusPageAdminRoutes, { prefix: '/api/v1' })
+fastify.register(adminRoutes, { prefix: '/api/v1' })
 
 // 3. Register static file server for the frontend.
 fastify.register(fastifyStatic, {
@@ -110,9 +145,15 @@ fastify.setNotFoundHandler((request, reply) => {
 async function start () {
   try {
     data.setup()
+    await users.bootstrapAdmin(fastify.log)
+    // Before the metrics are hydrated, so that they include the checks of the configuration file.
+    syncConfigFile(fastify.log)
     metrics.hydrateMetrics()
+    notifier.startNotifier()
     scheduler.startStatusEngine()
+    scheduler.startRetentionJob()
     scheduler.startWebhookScheduler()
+    scheduler.startBackupScheduler()
 
     await fastify.listen({ port: process.env.PORT, host: '0.0.0.0' })
   } catch (err) {
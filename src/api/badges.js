@@ -0,0 +1,53 @@
+import { data } from '../core/db.js'
+import { badges } from '../core/badges.js'
+import { schemas } from './v1/schemas.js'
+
+/** Seconds that browsers and image proxies may cache a badge. */
+const BADGE_MAX_AGE = 60
+
+/**
+ * Describes the badge with the given key: a check's status, or the combined status of a tag's checks.
+ * @param {string} badgeKey - The badge key.
+ * @param {string} [label] - Replaces the check's name or the tag as the label.
+ * @returns {{ label: string, message: string, color: string }|null} The badge, or null if the key is unknown.
+ */
+function findBadge (badgeKey, label) {
+  const check = data.getCheckByBadgeKey(badgeKey)
+  if (check) {
+    return badges.describe(label || check.name, check.status)
+  }
+  const tagBadge = data.getTagBadgeByKey(badgeKey)
+  if (tagBadge) {
+    return badges.describe(label || tagBadge.tag, badges.combineStatuses(data.getStatusesByTag(tagBadge.tag)))
+  }
+  return null
+}
+
+/**
+ * Registers the public status badges. Badges are addressed by a badge key rather than the check's UUID, so that
+ * publishing one does not allow anyone to send pings.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function badgeRoutes (fastify) {
+  // GET /badge/:badgeKey.svg
+  fastify.get('/badge/:badgeKey.svg', { schema: schemas.routes.badge }, async (request, reply) => {
+    const badge = findBadge(request.params.badgeKey, request.query.label)
+    reply.type('image/svg+xml').header('Cache-Control', `public, max-age=${BADGE_MAX_AGE}`)
+    if (!badge) {
+      // Still an image, so that a badge with a revoked key does not show up as broken.
+      return reply.code(404).send(badges.renderSvg({ label: 'status', message: 'not found', color: 'lightgrey' }))
+    }
+    return reply.send(badges.renderSvg(badge))
+  })
+
+  // GET /badge/:badgeKey.json
+  // For shields.io: https://img.shields.io/endpoint?url=<Pulse URL>/badge/<badge key>.json
+  fastify.get('/badge/:badgeKey.json', { schema: schemas.routes.badge }, async (request, reply) => {
+    const badge = findBadge(request.params.badgeKey, request.query.label)
+    reply.header('Cache-Control', `public, max-age=${BADGE_MAX_AGE}`)
+    if (!badge) {
+      return reply.code(404).send({ ...badges.renderEndpoint({ label: 'status', message: 'not found', color: 'lightgrey' }), isError: true })
+    }
+    return reply.send({ ...badges.renderEndpoint(badge), cacheSeconds: BADGE_MAX_AGE })
+  })
+}
@@ -0,0 +1,35 @@
+import { rateLimits } from '../core/rateLimit.js'
+import { metrics } from '../metrics.js'
+
+/**
+ * Rejects a request with `429 Too Many Requests` and counts it in `pulse_rejected_requests_total`.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {'ping'|'api'|'login'} scope - The limit that was exceeded.
+ * @param {number} retryAfter - The seconds until the client may try again.
+ */
+export function sendTooManyRequests (reply, scope, retryAfter) {
+  metrics.countRejectedRequest(scope)
+  return reply
+    .code(429)
+    .header('Retry-After', String(retryAfter))
+    .send({ message: `Too many requests. Try again in ${retryAfter} seconds.` })
+}
+
+/**
+ * Hook that applies the per-IP limits of the ping routes (`RATE_LIMIT_PING`) and API routes (`RATE_LIMIT_API`).
+ * Public status pages and badges count as API routes. The dashboard's static files and `/metrics` are not limited.
+ * @param {import('fastify').FastifyRequest} request - The incoming request.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {Function} done - Callback to continue the request lifecycle.
+ */
+export function limitRequests (request, reply, done) {
+  const scope = request.url.startsWith('/ping/') ? 'ping' : /^\/(api|status|badge)\//.test(request.url) ? 'api' : null
+  if (scope === null) {
+    return done()
+  }
+  const { allowed, retryAfter } = rateLimits[scope].hit(request.ip)
+  if (!allowed) {
+    return sendTooManyRequests(reply, scope, retryAfter)
+  }
+  done()
+}
@@ -0,0 +1,150 @@
+import { data } from '../core/db.js'
+import { metrics } from '../metrics.js'
+import { invalidateCheckLists } from '../core/cache.js'
+import { schedules } from '../core/schedules.js'
+import { schemas } from './v1/schemas.js'
+
+/** Largest part of a signal's request body that is stored. Longer output keeps its end, where errors usually are. */
+const MAX_OUTPUT_BYTES = 10 * 1024
+
+/** Schedule and grace period of checks created by pinging an unknown slug. */
+const AUTO_PROVISION_SCHEDULE = process.env.AUTO_PROVISION_SCHEDULE || '1d'
+const AUTO_PROVISION_GRACE = process.env.AUTO_PROVISION_GRACE || '1h'
+
+/**
+ * Turns the raw request body of a signal into the output that is stored with it.
+ * @param {string|undefined} body - The request body, as parsed by the ping routes' content type parser.
+ * @returns {string|null} The output, truncated to its last `MAX_OUTPUT_BYTES`, or null if there was none.
+ */
+function captureOutput (body) {
+  if (typeof body !== 'string' || body.trim() === '') return null
+  const bytes = Buffer.from(body, 'utf8')
+  if (bytes.length <= MAX_OUTPUT_BYTES) return body
+  let start = bytes.length - MAX_OUTPUT_BYTES
+  // Do not start in the middle of a multi-byte character.
+  while (start < bytes.length && (bytes[start] & 0xC0) === 0x80) start++
+  return `[truncated ${start} bytes]\n${bytes.subarray(start).toString('utf8')}`
+}
+
+/**
+ * Extracts the request details that are stored with every ping event.
+ * @param {import('fastify').FastifyRequest} req - The incoming request.
+ * @returns {{ sourceIp: string, userAgent: string, output: string|null }}
+ */
+function pingMeta (req) {
+  return { sourceIp: req.ip, userAgent: req.headers['user-agent'], output: captureOutput(req.body) }
+}
+
+/**
+ * Records the signals a job can send, given the check's UUID.
+ * Each returns the updated check, or null if the check does not exist.
+ */
+const signals = {
+  // `?duration=` is only used when the run was not announced with a start signal.
+  ping: (uuid, req) => data.recordPing(uuid, { duration: req.query.duration ?? null, ...pingMeta(req) }),
+  start: (uuid, req) => data.recordStart(uuid, pingMeta(req)),
+  fail: (uuid, req) => data.recordFailure(uuid, { reason: req.query.reason || null, ...pingMeta(req) }),
+  exitStatus: (uuid, req) => {
+    const { exitStatus } = req.params
+    return exitStatus === 0
+      ? data.recordPing(uuid, pingMeta(req))
+      : data.recordFailure(uuid, { reason: `Exit status ${exitStatus}`, ...pingMeta(req) })
+  }
+}
+
+/**
+ * Registers the public heartbeat endpoints used by monitored jobs.
+ * These routes are unauthenticated; the check UUID, or the project's ping key for slug URLs, acts as the shared secret.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function pingRoutes (fastify) {
+  if (!schedules.isValidSchedule(AUTO_PROVISION_SCHEDULE) || !schedules.isInterval(AUTO_PROVISION_GRACE)) {
+    throw new Error('AUTO_PROVISION_SCHEDULE must be an interval or cron expression and AUTO_PROVISION_GRACE an interval.')
+  }
+
+  // Signals may carry the job's output as a POST body. It is stored as text whatever its content type,
+  // so that JSON, plain text and `curl --data-binary @log.txt` uploads are all accepted as they are.
+  fastify.removeAllContentTypeParsers()
+  // Bodies are decoded here rather than by Fastify, which rejects invalid UTF-8 when parsing as a string.
+  fastify.addContentTypeParser('*', { parseAs: 'buffer' }, (req, body, done) => done(null, body.toString('utf8')))
+
+  /**
+   * Registers a signal route for both GET and POST.
+   * @param {string} url - The route URL.
+   * @param {object} schema - The route schema.
+   * @param {Function} handler - The route handler.
+   */
+  const signalRoute = (url, schema, handler) => fastify.route({ method: ['GET', 'POST'], url, schema, handler })
+
+  /**
+   * Resolves the `:pingKey` and `:slug` parameters to a check UUID.
+   * If the project has auto-provisioning enabled, an unknown slug creates the check.
+   * @param {import('fastify').FastifyRequest} req - The incoming request.
+   * @returns {string|null} The check's UUID, or null if there is no such check.
+   */
+  const resolveSlug = (req) => {
+    const { pingKey, slug } = req.params
+    const project = data.getProjectByPingKey(pingKey)
+    if (!project) return null
+    const check = data.getCheckBySlug(project.id, slug)
+    if (check) return check.uuid
+    if (!project.auto_provision) return null
+
+    const newCheck = data.createCheck({
+      name: slug,
+      slug,
+      schedule: AUTO_PROVISION_SCHEDULE,
+      grace: AUTO_PROVISION_GRACE,
+      projectId: project.id
+    })
+    invalidateCheckLists()
+    fastify.log.info(`Auto-provisioned check '${slug}' in project '${project.name}'.`)
+    return newCheck.uuid
+  }
+
+  /**
+   * Builds a route handler that records a signal for the check named by the route.
+   * @param {Function} record - One of the `signals`.
+   * @param {Function} [resolveUuid] - Returns the UUID of the check named by the request, or null. Defaults to `:uuid`.
+   * @returns {Function} The Fastify route handler.
+   */
+  const handleSignal = (record, resolveUuid = (req) => req.params.uuid) => (req, reply) => {
+    let uuid = null
+
+    try {
+      uuid = resolveUuid(req)
+      const updatedCheck = uuid && record(uuid, req)
+      if (updatedCheck) {
+        // Only update metrics if the ping wasn't ignored (e.g. for a maintenance check)
+        if (updatedCheck.status !== 'maintenance') {
+          metrics.updateMetricsForCheck(updatedCheck)
+        }
+        return reply.code(200).send({ message: 'OK' })
+      } else {
+        return reply.code(404).send({ message: 'Check not found.' })
+      }
+    } catch (error) {
+      fastify.log.error(error, `Failed to record ping for ${uuid ? `UUID: ${uuid}` : req.url}`)
+      return reply.code(500).send({ message: 'Internal server error while recording ping.' })
+    }
+  }
+
+  // GET|POST /ping/:uuid - The job finished successfully.
+  signalRoute('/ping/:uuid', schemas.routes.ping, handleSignal(signals.ping))
+
+  // GET|POST /ping/:uuid/start - The job has started; Pulse measures the run duration from here.
+  signalRoute('/ping/:uuid/start', schemas.routes.checkByUuid, handleSignal(signals.start))
+
+  // GET|POST /ping/:uuid/fail - The job has failed. An optional `?reason=` is stored as the error.
+  signalRoute('/ping/:uuid/fail', schemas.routes.pingFail, handleSignal(signals.fail))
+
+  // GET|POST /ping/:uuid/:exitStatus - Reports the job's exit code; anything other than 0 is a failure.
+  signalRoute('/ping/:uuid/:exitStatus(^\\d+$)', schemas.routes.pingExitStatus, handleSignal(signals.exitStatus))
+
+  // The same signals for checks addressed by their project's ping key and their slug.
+  // Slugs can never be 'start', 'fail' or a number, so these routes do not overlap with the ones above.
+  signalRoute('/ping/:pingKey/:slug', schemas.routes.pingSlug, handleSignal(signals.ping, resolveSlug))
+  signalRoute('/ping/:pingKey/:slug/start', schemas.routes.pingSlugStart, handleSignal(signals.start, resolveSlug))
+  signalRoute('/ping/:pingKey/:slug/fail', schemas.routes.pingSlugFail, handleSignal(signals.fail, resolveSlug))
+  signalRoute('/ping/:pingKey/:slug/:exitStatus(^\\d+$)', schemas.routes.pingSlugExitStatus, handleSignal(signals.exitStatus, resolveSlug))
+}
@@ -0,0 +1,93 @@
+import { data } from '../core/db.js'
+import { cache } from '../core/cache.js'
+import { uptime } from '../core/uptime.js'
+
+/** Window of the uptime shown on status pages, split into one bucket per day. */
+const UPTIME_WINDOW_DAYS = 30
+
+/** Seconds the public view of a status page is cached for. Status changes show up after at most this long. */
+const STATUS_PAGE_CACHE_TTL = 30
+
+/**
+ * Summarizes the checks of a page: down if any check is down or failed, else in maintenance if any is, else up.
+ * @param {object[]} checks - The checks of the page.
+ * @returns {'up'|'down'|'maintenance'}
+ */
+function overallStatus (checks) {
+  if (checks.some(check => check.status === 'down' || check.status === 'failed')) return 'down'
+  if (checks.some(check => check.status === 'maintenance')) return 'maintenance'
+  return 'up'
+}
+
+/**
+ * Builds the public view of a status page. It only contains what stakeholders may see: no UUIDs or slugs, which
+ * would reveal ping URLs, and no error messages or job output.
+ * @param {object} page - The status page from the database.
+ * @returns {object} The page with the display name, status, last ping and uptime of each of its checks.
+ */
+function buildPublicPage (page) {
+  const to = Math.floor(Date.now() / 1000)
+  const from = to - UPTIME_WINDOW_DAYS * 24 * 60 * 60
+  const checks = data.getStatusPageChecks(page.id).map(check => {
+    const report = uptime.computeUptime(data.getStatusHistory(check.uuid, from, to), from, to, UPTIME_WINDOW_DAYS)
+    return {
+      name: check.display_name || check.name,
+      status: check.status,
+      last_ping_at: check.last_ping_at,
+      uptime: {
+        window: `${UPTIME_WINDOW_DAYS}d`,
+        uptimePercent: report.uptimePercent,
+        buckets: report.buckets
+      }
+    }
+  })
+  return {
+    title: page.title,
+    description: page.description,
+    status: overallStatus(checks),
+    updated_at: to,
+    checks
+  }
+}
+
+/**
+ * Registers the public, read-only status pages. They need no login, so that they can be shared with stakeholders.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function statusPageRoutes (fastify) {
+  /**
+   * Loads the public view of a status page through the cache.
+   * @param {string} slug - The page's slug.
+   * @returns {object|null} The view, or null if there is no such page.
+   */
+  const loadPublicPage = (slug) => {
+    const cacheKey = `status_page_${slug}`
+    const cached = cache.get(cacheKey)
+    if (cached) {
+      return cached
+    }
+    const page = data.getStatusPageBySlug(slug)
+    if (!page) return null
+    const view = buildPublicPage(page)
+    cache.set(cacheKey, view, STATUS_PAGE_CACHE_TTL)
+    return view
+  }
+
+  // GET /status/:slug.json
+  fastify.get('/status/:slug.json', async (request, reply) => {
+    const view = loadPublicPage(request.params.slug)
+    if (!view) {
+      return reply.code(404).send({ message: 'Status page not found' })
+    }
+    return reply.header('Cache-Control', `public, max-age=${STATUS_PAGE_CACHE_TTL}`).send(view)
+  })
+
+  // GET /status/:slug
+  // The page renders itself from the JSON feed above.
+  fastify.get('/status/:slug', async (request, reply) => {
+    if (!data.getStatusPageBySlug(request.params.slug)) {
+      return reply.code(404).type('text/plain').send('Status page not found')
+    }
+    return reply.sendFile('status.html')
+  })
+}
@@ -0,0 +1,27 @@
+import fs from 'fs'
+import { backups } from '../../core/backups.js'
+import { authorizeAdmin } from './auth.js'
+import { recordAudit } from './audit.js'
+
+/**
+ * Registers the routes that maintain the service itself.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function adminRoutes (fastify) {
+  // A snapshot contains every user's password hash and every API key's hash, so only admins' sessions may take one.
+  fastify.addHook('preHandler', authorizeAdmin)
+
+  // POST /admin/backup
+  // Streams a consistent snapshot of the database, which `npm run restore` accepts.
+  fastify.post('/admin/backup', async (request, reply) => {
+    const snapshot = await backups.createTemporarySnapshot()
+    const stream = fs.createReadStream(snapshot.file)
+    stream.on('close', snapshot.cleanup)
+    recordAudit(request, 'database.backup')
+    return reply
+      .type('application/vnd.sqlite3')
+      .header('Content-Disposition', `attachment; filename="${snapshot.name}"`)
+      .header('Content-Length', fs.statSync(snapshot.file).size)
+      .send(stream)
+  })
+}
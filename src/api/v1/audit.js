@@ -0,0 +1,131 @@
+import { data } from '../../core/db.js'
+import { authorize } from './auth.js'
+import { schemas } from './schemas.js'
+
+/** Fields that are never written to the audit log. Changes to them are recorded as redacted. */
+const SECRET_FIELDS = ['key', 'ping_key', 'password']
+
+/**
+ * Fields holding settings whose values are secret, such as a channel's `config` with its webhook URL or SMTP
+ * recipients. Their keys are recorded, their values are redacted.
+ */
+const SECRET_SETTINGS_FIELDS = ['config']
+
+/** Marker for the values of `SECRET_FIELDS` and `SECRET_SETTINGS_FIELDS`. */
+const REDACTED = '[redacted]'
+
+/**
+ * Describes a check as the target of an audit log entry.
+ * @param {object} check - The check from the database.
+ */
+export const checkTarget = (check) => ({ type: 'check', id: check.uuid, name: check.name })
+
+/**
+ * Describes a user as the actor of an audit log entry.
+ * @param {object} user - The user account.
+ */
+export const userActor = (user) => ({ type: 'user', id: user.id, name: user.username })
+
+/**
+ * Describes who made a request: its session's user or its API key.
+ * @param {import('fastify').FastifyRequest} request - The authorized request.
+ * @returns {{ type: string, id: number|null, name: string|null }}
+ */
+function getActor (request) {
+  if (request.user) {
+    return userActor(request.user)
+  }
+  if (request.apiKey) {
+    return { type: 'api_key', id: request.apiKey.id, name: request.apiKey.name }
+  }
+  return { type: 'anonymous', id: null, name: null }
+}
+
+/**
+ * Copies an object for the audit log, with secrets redacted.
+ * @param {object|null|undefined} values - The object.
+ * @returns {object|null}
+ */
+function sanitize (values) {
+  if (!values) return null
+  const copy = { ...values }
+  for (const field of SECRET_FIELDS) {
+    if (copy[field] !== undefined && copy[field] !== null) copy[field] = REDACTED
+  }
+  for (const field of SECRET_SETTINGS_FIELDS) {
+    if (copy[field] && typeof copy[field] === 'object') {
+      copy[field] = Object.fromEntries(Object.keys(copy[field]).map(key => [key, REDACTED]))
+    }
+  }
+  return copy
+}
+
+/**
+ * Reduces two versions of an object to the fields that differ, so that updates only record what they changed.
+ * @param {object} before - The object before the change.
+ * @param {object} after - The object after the change.
+ * @returns {{ before: object, after: object }} The differing fields of each version.
+ */
+function diff (before, after) {
+  const changed = { before: {}, after: {} }
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changed.before[field] = before[field] ?? null
+      changed.after[field] = after[field] ?? null
+    }
+  }
+  return changed
+}
+
+/**
+ * Records a change made by a request in the audit log.
+ * With both `before` and `after`, only the fields that differ are recorded; creations only have `after` and
+ * deletions only `before`.
+ * @param {import('fastify').FastifyRequest} request - The authorized request.
+ * @param {string} action - What was done, as `<target type>.<verb>`, e.g. 'check.delete'.
+ * @param {object} [details]
+ * @param {{ type: string, id: number|string, name: string|null }} [details.target] - What it was done to.
+ * @param {object} [details.before] - The target before the change.
+ * @param {object} [details.after] - The target after the change.
+ * @param {{ type: string, id: number|null, name: string|null }} [details.actor] - Who acted, for requests that
+ *   are not authorized by the usual hooks, e.g. logins.
+ */
+export function recordAudit (request, action, { target = null, before = null, after = null, actor = getActor(request) } = {}) {
+  const values = before && after ? diff(before, after) : { before, after }
+  data.recordAudit({
+    actor,
+    action,
+    target,
+    before: sanitize(values.before),
+    after: sanitize(values.after),
+    sourceIp: request.ip,
+    userAgent: request.headers['user-agent'] ?? null
+  })
+}
+
+/**
+ * Registers the audit log routes.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function auditRoutes (fastify) {
+  fastify.addHook('preHandler', authorize)
+  // The log covers every project and names every user and their addresses, so it is limited to admins and
+  // unrestricted API keys with write scope.
+  fastify.addHook('preHandler', (request, reply, done) => {
+    if (request.user && request.user.role !== 'admin') {
+      return reply.code(403).send({ message: 'Forbidden: Admin role required.' })
+    }
+    if (request.apiKey && request.apiKey.scope !== 'write') {
+      return reply.code(403).send({ message: 'Forbidden: This API key is read-only.' })
+    }
+    if (request.apiKey?.project_id) {
+      return reply.code(403).send({ message: 'Forbidden: This API key is restricted to a single project.' })
+    }
+    done()
+  })
+
+  // GET /audit
+  fastify.get('/audit', { schema: schemas.routes.listAuditLog }, async (request, reply) => {
+    return reply.send(data.getAuditLog(request.query))
+  })
+}
@@ -0,0 +1,159 @@
+import { data } from '../../core/db.js'
+import { users } from '../../core/users.js'
+
+/** HTTP methods a read-only API key may use. */
+const READ_METHODS = ['GET', 'HEAD']
+
+/**
+ * Extracts the token of an `Authorization: Bearer <token>` header.
+ * @param {import('fastify').FastifyRequest} request - The incoming request.
+ * @returns {string|null} The token, or null if the header is missing or malformed.
+ */
+function getBearerToken (request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '')
+  return match ? match[1] : null
+}
+
+/**
+ * Loads the user account of the request's session, if any.
+ * The account is read on every request, so that deleting a user or changing their role takes effect immediately.
+ * @param {import('fastify').FastifyRequest} request - The incoming request.
+ * @returns {object|null} The user, or null if the request has no session of an existing user.
+ */
+export function getSessionUser (request) {
+  const { userId } = request.session
+  return (userId && data.getUserById(userId)) || null
+}
+
+/**
+ * Authorization hook for routes that require a logged-in user or an API key.
+ * Viewers, like read-only API keys, are limited to GET and HEAD requests; editors and admins may make changes.
+ * API keys are sent as `Authorization: Bearer <key>`.
+ * The user is available as `request.user`, the authenticated key as `request.apiKey`; keys bound to a project
+ * can only reach that project's checks (see `canAccessProject`).
+ * @param {import('fastify').FastifyRequest} request - The incoming request.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {Function} done - Callback to continue the request lifecycle.
+ */
+export function authorize (request, reply, done) {
+  const user = getSessionUser(request)
+  if (user) {
+    if (user.role === 'viewer' && !READ_METHODS.includes(request.method)) {
+      return reply.code(403).send({ message: 'Forbidden: Viewers cannot make changes.' })
+    }
+    request.user = user
+    return done()
+  }
+
+  const token = getBearerToken(request)
+  if (!token) {
+    return reply.code(401).send({ message: 'Unauthorized: Login or API key required.' })
+  }
+  const apiKey = data.authenticateApiKey(token)
+  if (!apiKey) {
+    return reply.code(401).send({ message: 'Unauthorized: Invalid or revoked API key.' })
+  }
+  if (apiKey.scope !== 'write' && !READ_METHODS.includes(request.method)) {
+    return reply.code(403).send({ message: 'Forbidden: This API key is read-only.' })
+  }
+  request.apiKey = apiKey
+  done()
+}
+
+/**
+ * Tells whether the authorized requester may make changes: editors, admins and write-scope API keys.
+ * @param {import('fastify').FastifyRequest} request - The authorized request.
+ * @returns {boolean}
+ */
+export function canEdit (request) {
+  return request.user ? users.hasRole(request.user.role, 'editor') : request.apiKey?.scope === 'write'
+}
+
+/**
+ * Authorization hook for routes that manage settings shared by every project and holding delivery targets, such as
+ * notification channels and escalation policies. Even reading them requires an editor's or admin's session, or a
+ * write-scope API key that is not bound to a project.
+ * @param {import('fastify').FastifyRequest} request - The incoming request.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {Function} done - Callback to continue the request lifecycle.
+ */
+export function authorizeEditor (request, reply, done) {
+  authorize(request, reply, () => {
+    if (!canEdit(request)) {
+      return reply.code(403).send({ message: request.user ? 'Forbidden: Editor role required.' : 'Forbidden: This API key is read-only.' })
+    }
+    if (request.apiKey?.project_id) {
+      return reply.code(403).send({ message: 'Forbidden: This API key is restricted to a single project.' })
+    }
+    done()
+  })
+}
+
+/**
+ * Hook for public routes that show more to signed-in users and API keys than to anonymous visitors.
+ * Sets `request.user` or `request.apiKey` like `authorize` does, but lets every request through; an invalid or
+ * revoked key counts as anonymous.
+ * @param {import('fastify').FastifyRequest} request - The incoming request.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {Function} done - Callback to continue the request lifecycle.
+ */
+export function identify (request, reply, done) {
+  const user = getSessionUser(request)
+  if (user) {
+    request.user = user
+    return done()
+  }
+  const token = getBearerToken(request)
+  const apiKey = token && data.authenticateApiKey(token)
+  if (apiKey) {
+    request.apiKey = apiKey
+  }
+  done()
+}
+
+/**
+ * Authorization hook for routes that require an admin's interactive session.
+ * Used where API keys must not be accepted, e.g. to manage API keys and users.
+ * @param {import('fastify').FastifyRequest} request - The incoming request.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {Function} done - Callback to continue the request lifecycle.
+ */
+export function authorizeAdmin (request, reply, done) {
+  const user = getSessionUser(request)
+  if (!user) {
+    return reply.code(401).send({ message: 'Unauthorized: Login required.' })
+  }
+  if (user.role !== 'admin') {
+    return reply.code(403).send({ message: 'Forbidden: Admin role required.' })
+  }
+  request.user = user
+  done()
+}
+
+/**
+ * Tells whether the requester may access the checks of a project.
+ * Users and unrestricted API keys can access every project.
+ * @param {import('fastify').FastifyRequest} request - The authorized request.
+ * @param {number} projectId - The project's ID.
+ * @returns {boolean}
+ */
+export function canAccessProject (request, projectId) {
+  return !request.apiKey?.project_id || request.apiKey.project_id === projectId
+}
+
+/**
+ * Route hook that loads the check named by the `:uuid` parameter into `request.check`.
+ * Must run after `authorize`, or `identify` on public routes. Checks outside of an API key's project are reported as
+ * not found.
+ * @param {import('fastify').FastifyRequest} request - The incoming request.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {Function} done - Callback to continue the request lifecycle.
+ */
+export function loadCheck (request, reply, done) {
+  const check = data.getCheckByUuid(request.params.uuid)
+  if (!check || !canAccessProject(request, check.project_id)) {
+    return reply.code(404).send({ message: 'Check not found' })
+  }
+  request.check = check
+  done()
+}
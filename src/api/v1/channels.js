@@ -0,0 +1,78 @@
+import { data } from '../../core/db.js'
+import { notifier } from '../../core/notifier.js'
+import { authorizeEditor, loadCheck } from './auth.js'
+import { checkTarget, recordAudit } from './audit.js'
+import { schemas } from './schemas.js'
+
+/**
+ * Registers the notification channel routes.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function channelRoutes (fastify) {
+  // Channels hold secret delivery targets, such as webhook URLs, and are shared by every project.
+  fastify.addHook('preHandler', authorizeEditor)
+
+  /**
+   * Describes a channel as the target of an audit log entry.
+   * @param {object} channel - The channel.
+   */
+  const channelTarget = (channel) => ({ type: 'channel', id: channel.id, name: channel.name })
+
+  // GET /channels
+  fastify.get('/channels', async (request, reply) => {
+    return reply.send({ channels: data.getAllChannels() })
+  })
+
+  // POST /channels
+  fastify.post('/channels', { schema: schemas.routes.createChannel }, async (request, reply) => {
+    const { name, type, config } = request.body
+    const configError = notifier.validateChannelConfig(type, config)
+    if (configError) {
+      return schemas.sendFieldError(reply, 'config', configError)
+    }
+    const channel = data.createChannel({ name, type, config })
+    recordAudit(request, 'channel.create', { target: channelTarget(channel), after: channel })
+    return reply.code(201).send(channel)
+  })
+
+  // DELETE /channels/:id
+  fastify.delete('/channels/:id', { schema: schemas.routes.channelById }, async (request, reply) => {
+    const channel = data.getChannelById(request.params.id)
+    const deleted = data.deleteChannel(request.params.id)
+    if (!deleted) {
+      return reply.code(404).send({ message: 'Channel not found' })
+    }
+    recordAudit(request, 'channel.delete', { target: channelTarget(channel), before: channel })
+    return reply.code(204).send()
+  })
+
+  // POST /channels/:id/test
+  fastify.post('/channels/:id/test', { schema: schemas.routes.channelById }, async (request, reply) => {
+    const channel = data.getChannelById(request.params.id)
+    if (!channel) {
+      return reply.code(404).send({ message: 'Channel not found' })
+    }
+    try {
+      await notifier.sendTestNotification(channel)
+    } catch (error) {
+      request.log.warn(error, `Test notification to channel ${channel.id} failed`)
+      return reply.code(502).send({ message: `Test notification failed: ${error.message}` })
+    }
+    return reply.code(200).send({ message: 'Test notification sent' })
+  })
+
+  // GET /checks/:uuid/channels
+  fastify.get('/checks/:uuid/channels', { preHandler: [loadCheck], schema: schemas.routes.checkByUuid }, async (request, reply) => {
+    return reply.send({ channels: data.getChannelsForCheck(request.check.id) })
+  })
+
+  // PUT /checks/:uuid/channels
+  fastify.put('/checks/:uuid/channels', { preHandler: [loadCheck], schema: schemas.routes.setCheckChannels }, async (request, reply) => {
+    const { channelIds } = request.body
+    const before = { channel_ids: data.getChannelsForCheck(request.check.id).map(channel => channel.id) }
+    const channels = data.setCheckChannels(request.check.uuid, channelIds)
+    const after = { channel_ids: channels.map(channel => channel.id) }
+    recordAudit(request, 'check.set_channels', { target: checkTarget(request.check), before, after })
+    return reply.send({ channels })
+  })
+}
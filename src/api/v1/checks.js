@@ -1,59 +1,75 @@
-import crypto from 'crypto'
 import { data } from '../../core/db.js'
 import { metrics } from '../../metrics.js'
-import { cache } from '../../core/cache.js'
+import { cache, invalidateCheckLists } from '../../core/cache.js'
+import { schedules } from '../../core/schedules.js'
+import { uptime } from '../../core/uptime.js'
+import { rateLimits } from '../../core/rateLimit.js'
+import { users } from '../../core/users.js'
+import { sendTooManyRequests } from '../limits.js'
+import { authorize, canAccessProject, getSessionUser, identify, loadCheck } from './auth.js'
+import { checkTarget, recordAudit, userActor } from './audit.js'
+import { schemas } from './schemas.js'
+import { hideOutput, present } from './present.js'
+
+/** Longest window an uptime report may cover. */
+const MAX_UPTIME_WINDOW_MS = 365 * 24 * 60 * 60 * 1000
+
+/** Longest window of rollups that may be requested at once. */
+const MAX_ROLLUP_WINDOW_MS = 3650 * 24 * 60 * 60 * 1000
+
+/** Seconds an uptime report is cached for. */
+const UPTIME_CACHE_TTL = 60
 
 /**
  * Registers all v1 API routes.
  * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
  */
 export async function apiRoutes (fastify) {
-  // --- Authorization Hook ---
-  // Checks if a valid admin session exists.
-  const authorize = (request, reply, done) => {
-    if (request.session.isAdmin) {
-      done()
-    } else {
-      return reply.code(401).send({ message: 'Unauthorized: Admin session required.' })
-    }
-  }
-
   // --- Cache Invalidation Helper ---
   /** FIX: Invalidates all list-based cache entries to prevent serving stale data. */
   const clearCheckListCache = () => {
-    const keys = cache.keys()
-    const listKeys = keys.filter(k => k.startsWith('checks_list_p'))
+    const listKeys = invalidateCheckLists()
     if (listKeys.length > 0) {
-      cache.del(listKeys)
       fastify.log.info(`Cache invalidated for keys: ${listKeys.join(', ')}`)
     }
   }
 
   // === SESSION MANAGEMENT ===
   // POST /session/login
-  fastify.post('/session/login', async (request, reply) => {
-    const { secret } = request.body
-    const expectedSecret = process.env.ADMIN_SECRET
-
-    if (!secret || typeof secret !== 'string' || !expectedSecret) {
-      return reply.code(400).send({ message: 'Invalid request' })
+  // Repeated failures lock the client's address out for longer and longer, see `LOGIN_MAX_FAILURES`.
+  fastify.post('/session/login', { schema: schemas.routes.login }, async (request, reply) => {
+    const { username, password } = request.body
+    const lockedFor = rateLimits.login.lockedFor(request.ip)
+    if (lockedFor > 0) {
+      return sendTooManyRequests(reply, 'login', lockedFor)
     }
 
-    // Constant-time comparison to prevent timing attacks
-    const secretBuffer = Buffer.from(secret, 'utf8')
-    const expectedBuffer = Buffer.from(expectedSecret, 'utf8')
-
-    if (secretBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(secretBuffer, expectedBuffer)) {
-      return reply.code(401).send({ message: 'Invalid admin secret' })
+    const user = await users.authenticate(username, password)
+    if (!user) {
+      const lockout = rateLimits.login.fail(request.ip)
+      if (lockout > 0) {
+        fastify.log.warn(`Login from ${request.ip} locked out for ${lockout} seconds after repeated failures.`)
+      }
+      // The attempted username is recorded, so that guessing shows up in the audit log.
+      recordAudit(request, 'session.login_failed', { actor: { type: 'anonymous', id: null, name: username } })
+      return reply.code(401).send({ message: 'Invalid username or password' })
     }
 
-    request.session.isAdmin = true
-    return reply.code(200).send({ message: 'Login successful' })
+    rateLimits.login.succeed(request.ip)
+    // A new session ID on login, so that a session ID planted before the login cannot be used afterwards.
+    await request.session.regenerate()
+    request.session.userId = user.id
+    recordAudit(request, 'session.login', { actor: userActor(user) })
+    return reply.code(200).send({ message: 'Login successful', user })
   })
 
   // POST /session/logout
   fastify.post('/session/logout', async (request, reply) => {
     if (request.session) {
+      const user = getSessionUser(request)
+      if (user) {
+        recordAudit(request, 'session.logout', { actor: userActor(user) })
+      }
       await request.session.destroy()
     }
     return reply.code(204).send()
@@ -61,7 +77,25 @@ export async function apiRoutes (fastify) {
 
   // GET /session/status
   fastify.get('/session/status', { preHandler: [authorize] }, (request, reply) => {
-    return reply.code(200).send({ isAdmin: true })
+    const apiKey = request.apiKey ? { id: request.apiKey.id, name: request.apiKey.name, scope: request.apiKey.scope } : null
+    return reply.code(200).send({ user: request.user ?? null, apiKey })
+  })
+
+  // POST /session/password
+  // Every user can change their own password, viewers included.
+  fastify.post('/session/password', { schema: schemas.routes.changePassword }, async (request, reply) => {
+    const user = getSessionUser(request)
+    if (!user) {
+      return reply.code(401).send({ message: 'Unauthorized: Login required.' })
+    }
+    const { currentPassword, newPassword } = request.body
+    const { password_hash: passwordHash } = data.getUserCredentials(user.username)
+    if (!await users.verifyPassword(currentPassword, passwordHash)) {
+      return schemas.sendFieldError(reply, 'currentPassword', 'is not your current password')
+    }
+    data.updateUser(user.id, { passwordHash: await users.hashPassword(newPassword) })
+    recordAudit(request, 'user.change_password', { actor: userActor(user), target: { type: 'user', id: user.id, name: user.username } })
+    return reply.code(204).send()
   })
 
   // === CORE API ===
@@ -70,68 +104,282 @@ export async function apiRoutes (fastify) {
     return reply.send({ appTitle: process.env.APP_TITLE })
   })
 
-  // GET /checks
-  fastify.get('/checks', async (request, reply) => {
-    const page = parseInt(request.query.page, 10) || 1
-    const limit = parseInt(request.query.limit, 10) || 20
-
-    const cacheKey = `checks_list_p${page}_l${limit}`
+  /**
+   * Lists checks through the short-lived list cache.
+   * @param {object} params - The validated querystring, see `data.getAllChecks`.
+   * @param {number|null} [projectId] - Limits the list to one project.
+   */
+  const listChecks = ({ page, limit, status = [], tag = '', search = '', sort, order }, projectId = null) => {
+    // Every parameter that changes the result is part of the key.
+    const filterKey = new URLSearchParams({ status: status.join(','), tag: tag.toLowerCase(), search, sort, order })
+    const cacheKey = `checks_list_p${page}_l${limit}${projectId ? `_project${projectId}` : ''}_${filterKey}`
     const cachedResult = cache.get(cacheKey)
     if (cachedResult) {
-      return reply.send(cachedResult)
+      return cachedResult
     }
 
-    const result = data.getAllChecks({ page, limit })
+    const { checks, meta } = data.getAllChecks({ page, limit, projectId, status, tag, search, sort, order })
+    const result = { checks: checks.map(present), meta }
     cache.set(cacheKey, result, 10)
-    return reply.send(result)
+    return result
+  }
+
+  /**
+   * Sends a list of checks with the job output of those the requester may access: every check for signed-in users
+   * and unrestricted API keys, the checks of its project for a key bound to one, and none for anonymous visitors.
+   * Must run after `identify`.
+   * @param {import('fastify').FastifyRequest} request - The identified request.
+   * @param {import('fastify').FastifyReply} reply - The reply object.
+   * @param {{ checks: object[], meta: object }} list - The list, see `listChecks`.
+   */
+  const sendCheckList = (request, reply, list) => {
+    if (request.user || (request.apiKey && !request.apiKey.project_id)) {
+      return reply.send(list)
+    }
+    const mayReadOutput = (check) => request.apiKey && canAccessProject(request, check.project_id)
+    return reply.send({ ...list, checks: list.checks.map(check => mayReadOutput(check) ? check : hideOutput(check)) })
+  }
+
+  /**
+   * Creates a check from a validated request body.
+   * Without an explicit project, the check goes into the API key's project or the default project.
+   * @param {import('fastify').FastifyRequest} request - The authorized request.
+   * @param {import('fastify').FastifyReply} reply - The reply object.
+   * @param {number|undefined} projectId - The target project.
+   */
+  const createCheck = (request, reply, projectId) => {
+    const { name, slug, schedule, grace, timezone, retention, escalationPolicyId, tags } = request.body
+    const targetProjectId = projectId ?? request.apiKey?.project_id ?? null
+    if (targetProjectId !== null) {
+      if (!data.getProjectById(targetProjectId)) {
+        return schemas.sendFieldError(reply, 'projectId', 'does not refer to an existing project')
+      }
+      if (!canAccessProject(request, targetProjectId)) {
+        return reply.code(403).send({ message: 'Forbidden: This API key is restricted to another project.' })
+      }
+    }
+    if (slug && data.getCheckBySlug(targetProjectId ?? data.getDefaultProjectId(), slug)) {
+      return schemas.sendFieldError(reply, 'slug', 'is already used by another check in this project')
+    }
+    if (escalationPolicyId && !data.getEscalationPolicyById(escalationPolicyId)) {
+      return schemas.sendFieldError(reply, 'escalationPolicyId', 'does not refer to an existing escalation policy')
+    }
+    const newCheck = data.createCheck({ name, slug, schedule, grace, timezone: timezone || null, retention: retention || null, projectId: targetProjectId, escalationPolicyId, tags })
+    metrics.updateMetricsForCheck(newCheck)
+    clearCheckListCache()
+    recordAudit(request, 'check.create', { target: checkTarget(newCheck), after: newCheck })
+    return reply.code(201).send(present(newCheck))
+  }
+
+  // GET /checks
+  fastify.get('/checks', { preHandler: [identify], schema: schemas.routes.listChecks }, async (request, reply) => {
+    return sendCheckList(request, reply, listChecks(request.query))
+  })
+
+  // GET /tags
+  fastify.get('/tags', { schema: schemas.routes.listTags }, async (request, reply) => {
+    return reply.send({ tags: data.getAllTags(request.query.projectId) })
+  })
+
+  // POST /tags/:tag/badge-key
+  // Creates the badge of a tag, or gives it a new key so that published badges with the old one stop working.
+  fastify.post('/tags/:tag/badge-key', { preHandler: [authorize], schema: schemas.routes.tagBadge }, async (request, reply) => {
+    // A tag's badge covers its checks in every project.
+    if (request.apiKey?.project_id) {
+      return reply.code(403).send({ message: 'Forbidden: This API key is restricted to a single project.' })
+    }
+    if (data.getStatusesByTag(request.params.tag).length === 0) {
+      return reply.code(404).send({ message: 'Tag not found' })
+    }
+    const badge = data.setTagBadge(request.params.tag)
+    clearCheckListCache()
+    recordAudit(request, 'tag.regenerate_badge_key', { target: { type: 'tag', id: badge.tag, name: badge.tag } })
+    return reply.send(badge)
+  })
+
+  // DELETE /tags/:tag/badge-key
+  fastify.delete('/tags/:tag/badge-key', { preHandler: [authorize], schema: schemas.routes.tagBadge }, async (request, reply) => {
+    if (request.apiKey?.project_id) {
+      return reply.code(403).send({ message: 'Forbidden: This API key is restricted to a single project.' })
+    }
+    if (!data.deleteTagBadge(request.params.tag)) {
+      return reply.code(404).send({ message: 'Tag badge not found' })
+    }
+    clearCheckListCache()
+    const tag = request.params.tag.toLowerCase()
+    recordAudit(request, 'tag.delete_badge_key', { target: { type: 'tag', id: tag, name: tag } })
+    return reply.code(204).send()
   })
 
   // POST /checks
-  fastify.post('/checks', { preHandler: [authorize] }, async (request, reply) => {
-    const { name, schedule, grace } = request.body
-    if (!name || !schedule || !grace) {
-      return reply.code(400).send({ message: 'Missing required fields: name, schedule, grace' })
+  fastify.post('/checks', { preHandler: [authorize], schema: schemas.routes.createCheck }, async (request, reply) => {
+    return createCheck(request, reply, request.body.projectId)
+  })
+
+  // GET /projects/:id/checks
+  fastify.get('/projects/:id/checks', { preHandler: [identify], schema: schemas.routes.listProjectChecks }, async (request, reply) => {
+    if (!data.getProjectById(request.params.id)) {
+      return reply.code(404).send({ message: 'Project not found' })
     }
-    const newCheck = data.createCheck({ name, schedule, grace })
-    metrics.updateMetricsForCheck(newCheck)
+    if (!canAccessProject(request, request.params.id)) {
+      return reply.code(403).send({ message: 'Forbidden: This API key is restricted to another project.' })
+    }
+    return sendCheckList(request, reply, listChecks(request.query, request.params.id))
+  })
+
+  // POST /projects/:id/checks
+  fastify.post('/projects/:id/checks', { preHandler: [authorize], schema: schemas.routes.createProjectCheck }, async (request, reply) => {
+    if (!data.getProjectById(request.params.id) || !canAccessProject(request, request.params.id)) {
+      return reply.code(404).send({ message: 'Project not found' })
+    }
+    return createCheck(request, reply, request.params.id)
+  })
+
+  // PATCH /checks/:uuid
+  fastify.patch('/checks/:uuid', { preHandler: [authorize, loadCheck], schema: schemas.routes.updateCheck }, async (request, reply) => {
+    const existingCheck = request.check
+    const { projectId, escalationPolicyId, ...changes } = request.body
+    // An empty timezone resets the check to the global CRON_TIMEZONE.
+    if (changes.timezone !== undefined) {
+      changes.timezone = changes.timezone || null
+    }
+    // Likewise, an empty retention resets the check to the global RETENTION_EVENTS.
+    if (changes.retention !== undefined) {
+      changes.retention = changes.retention || null
+    }
+    if (projectId !== undefined) {
+      if (!data.getProjectById(projectId)) {
+        return schemas.sendFieldError(reply, 'projectId', 'does not refer to an existing project')
+      }
+      if (!canAccessProject(request, projectId)) {
+        return reply.code(403).send({ message: 'Forbidden: This API key is restricted to another project.' })
+      }
+      changes.project_id = projectId
+    }
+    if (escalationPolicyId !== undefined) {
+      if (escalationPolicyId !== null && !data.getEscalationPolicyById(escalationPolicyId)) {
+        return schemas.sendFieldError(reply, 'escalationPolicyId', 'does not refer to an existing escalation policy')
+      }
+      changes.escalation_policy_id = escalationPolicyId
+    }
+    if (changes.slug !== undefined) {
+      const sameSlug = data.getCheckBySlug(projectId ?? existingCheck.project_id, changes.slug)
+      if (sameSlug && sameSlug.id !== existingCheck.id) {
+        return schemas.sendFieldError(reply, 'slug', 'is already used by another check in this project')
+      }
+    }
+
+    const updatedCheck = data.updateCheck(existingCheck.uuid, changes)
+    metrics.relabelMetricsForCheck(existingCheck, updatedCheck)
     clearCheckListCache()
-    return reply.code(201).send(newCheck)
+    recordAudit(request, 'check.update', { target: checkTarget(updatedCheck), before: existingCheck, after: updatedCheck })
+    return reply.code(200).send(present(updatedCheck))
+  })
+
+  // GET /checks/:uuid
+  fastify.get('/checks/:uuid', { preHandler: [authorize, loadCheck], schema: schemas.routes.checkByUuid }, async (request, reply) => {
+    return reply.send(present(request.check))
   })
 
   // DELETE /checks/:uuid
-  fastify.delete('/checks/:uuid', { preHandler: [authorize] }, async (request, reply) => {
-    const checkToDelete = data.getCheckByUuid(request.params.uuid)
-    if (!checkToDelete) {
-      return reply.code(404).send({ message: 'Check not found' })
-    }
-    data.deleteCheck(request.params.uuid)
-    metrics.removeMetricsForCheck(checkToDelete)
+  fastify.delete('/checks/:uuid', { preHandler: [authorize, loadCheck], schema: schemas.routes.checkByUuid }, async (request, reply) => {
+    data.deleteCheck(request.check.uuid)
+    metrics.removeMetricsForCheck(request.check)
     clearCheckListCache()
+    recordAudit(request, 'check.delete', { target: checkTarget(request.check), before: request.check })
     return reply.code(204).send()
   })
 
+  // POST /checks/:uuid/badge-key
+  // Gives the check a new badge key, so that published badges with the old one stop working.
+  fastify.post('/checks/:uuid/badge-key', { preHandler: [authorize, loadCheck], schema: schemas.routes.checkByUuid }, async (request, reply) => {
+    const updatedCheck = data.regenerateCheckBadgeKey(request.check.uuid)
+    clearCheckListCache()
+    recordAudit(request, 'check.regenerate_badge_key', { target: checkTarget(updatedCheck), before: request.check, after: updatedCheck })
+    return reply.send(present(updatedCheck))
+  })
+
+  // GET /checks/:uuid/events
+  fastify.get('/checks/:uuid/events', { preHandler: [authorize, loadCheck], schema: schemas.routes.listEvents }, async (request, reply) => {
+    const { page, limit } = request.query
+    return reply.send(data.getCheckEvents(request.check.uuid, { page, limit }))
+  })
+
+  // GET /checks/:uuid/uptime
+  // Public on purpose, like the check lists whose uptime bars it fills. `identify` lets `loadCheck` keep API keys
+  // bound to a project away from other projects' checks.
+  fastify.get('/checks/:uuid/uptime', { preHandler: [identify, loadCheck], schema: schemas.routes.checkUptime }, async (request, reply) => {
+    const { window, buckets } = request.query
+    const windowMs = schedules.parseDuration(window)
+    if (windowMs < 1000 || windowMs > MAX_UPTIME_WINDOW_MS) {
+      return schemas.sendFieldError(reply, 'window', 'must be between 1s and 365d')
+    }
+
+    const cacheKey = `uptime_${request.check.uuid}_${window}_${buckets}`
+    const cached = cache.get(cacheKey)
+    if (cached) {
+      return reply.send(cached)
+    }
+
+    const to = Math.floor(Date.now() / 1000)
+    const from = to - Math.floor(windowMs / 1000)
+    const history = data.getStatusHistory(request.check.uuid, from, to)
+    const report = { window, from, to, ...uptime.computeUptime(history, from, to, buckets) }
+    cache.set(cacheKey, report, UPTIME_CACHE_TTL)
+    return reply.send(report)
+  })
+
+  // GET /checks/:uuid/rollups
+  // Hourly or daily run counts and durations, which outlive the events they summarize. Updated every hour.
+  fastify.get('/checks/:uuid/rollups', { preHandler: [authorize, loadCheck], schema: schemas.routes.checkRollups }, async (request, reply) => {
+    const { resolution, window } = request.query
+    const windowMs = schedules.parseDuration(window)
+    if (windowMs < 1000 || windowMs > MAX_ROLLUP_WINDOW_MS) {
+      return schemas.sendFieldError(reply, 'window', 'must be between 1s and 3650d')
+    }
+    const to = Math.floor(Date.now() / 1000)
+    const from = to - Math.floor(windowMs / 1000)
+    return reply.send({ resolution, window, from, to, rollups: data.getRollups(request.check.id, resolution, from, to) })
+  })
+
   // POST /checks/:uuid/fail
-  fastify.post('/checks/:uuid/fail', { preHandler: [authorize] }, async (request, reply) => {
-    const { uuid } = request.params
+  fastify.post('/checks/:uuid/fail', { preHandler: [authorize, loadCheck], schema: schemas.routes.failCheck }, async (request, reply) => {
     const { reason } = request.body || {}
 
-    const updatedCheck = data.recordFailure(uuid, reason)
-    if (!updatedCheck) {
-      return reply.code(404).send({ message: 'Check not found' })
-    }
+    const updatedCheck = data.recordFailure(request.check.uuid, {
+      reason,
+      sourceIp: request.ip,
+      userAgent: request.headers['user-agent']
+    })
     metrics.updateMetricsForCheck(updatedCheck)
     clearCheckListCache()
-    return reply.code(200).send(updatedCheck)
+    recordAudit(request, 'check.fail', { target: checkTarget(updatedCheck), before: request.check, after: updatedCheck })
+    return reply.code(200).send(present(updatedCheck))
   })
 
-  // POST /checks/:uuid/maintenance
-  fastify.post('/checks/:uuid/maintenance', { preHandler: [authorize] }, async (request, reply) => {
-    const updatedCheck = data.toggleMaintenance(request.params.uuid)
+  // POST /checks/:uuid/acknowledge
+  fastify.post('/checks/:uuid/acknowledge', { preHandler: [authorize, loadCheck], schema: schemas.routes.checkByUuid }, async (request, reply) => {
+    const updatedCheck = data.acknowledgeCheck(request.check.uuid, {
+      sourceIp: request.ip,
+      userAgent: request.headers['user-agent']
+    })
     if (!updatedCheck) {
-      return reply.code(404).send({ message: 'Check not found' })
+      return reply.code(409).send({ message: 'Only checks that are down can be acknowledged' })
     }
+    clearCheckListCache()
+    recordAudit(request, 'check.acknowledge', { target: checkTarget(updatedCheck), before: request.check, after: updatedCheck })
+    return reply.code(200).send(present(updatedCheck))
+  })
+
+  // POST /checks/:uuid/maintenance
+  fastify.post('/checks/:uuid/maintenance', { preHandler: [authorize, loadCheck], schema: schemas.routes.checkByUuid }, async (request, reply) => {
+    const updatedCheck = data.toggleMaintenance(request.check.uuid, {
+      sourceIp: request.ip,
+      userAgent: request.headers['user-agent']
+    })
     metrics.updateMetricsForCheck(updatedCheck)
     clearCheckListCache()
-    return reply.code(200).send(updatedCheck)
+    recordAudit(request, 'check.maintenance', { target: checkTarget(updatedCheck), before: request.check, after: updatedCheck })
+    return reply.code(200).send(present(updatedCheck))
   })
 }
@@ -0,0 +1,99 @@
+import fs from 'fs'
+import { checkConfig } from '../../core/config.js'
+import { authorize } from './auth.js'
+import { recordAudit } from './audit.js'
+import { schemas } from './schemas.js'
+
+/** Content types accepted for YAML documents; everything else is parsed by Fastify's JSON parser. */
+const YAML_CONTENT_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml']
+
+const validateDocument = schemas.compileValidator(schemas.configDocument)
+
+/**
+ * Plans and, unless it is a dry run, applies a configuration document.
+ * @param {object} document - The document, validated against `schemas.configDocument`.
+ * @param {object} options
+ * @param {boolean} options.dryRun - Whether to only report the changes.
+ * @param {boolean} options.prune - Whether checks missing from the document are deleted.
+ * @returns {{ errors: { field: string, message: string }[], result: object|null }} The field errors, or the changes.
+ */
+function importDocument (document, { dryRun, prune }) {
+  const { errors, plan } = checkConfig.planImport(document, { prune })
+  if (errors.length > 0) {
+    return { errors, result: null }
+  }
+  if (!dryRun) {
+    checkConfig.applyImport(plan)
+  }
+  return { errors: [], result: { dryRun, ...checkConfig.summarize(plan) } }
+}
+
+/**
+ * Reconciles the checks with the configuration file named by `PULSE_CONFIG_FILE`, if any, on startup.
+ * `.yaml` and `.yml` files are read as YAML, others as JSON. With `PULSE_CONFIG_DRY_RUN=true` the changes are
+ * only logged, and with `PULSE_CONFIG_PRUNE=true` checks missing from the file are deleted.
+ * @param {import('fastify').FastifyBaseLogger} log - The logger.
+ * @throws {Error} If the file cannot be read or is invalid, so that a broken configuration stops the startup.
+ */
+export function syncConfigFile (log) {
+  const file = process.env.PULSE_CONFIG_FILE
+  if (!file) return
+
+  const dryRun = process.env.PULSE_CONFIG_DRY_RUN === 'true'
+  const prune = process.env.PULSE_CONFIG_PRUNE === 'true'
+  const document = checkConfig.parseDocument(fs.readFileSync(file, 'utf8'), /\.ya?ml$/i.test(file) ? 'yaml' : 'json')
+  const schemaErrors = validateDocument(document)
+  const { errors, result } = schemaErrors.length > 0 ? { errors: schemaErrors } : importDocument(document, { dryRun, prune })
+  if (errors.length > 0) {
+    throw new Error(`Invalid PULSE_CONFIG_FILE ${file}: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`)
+  }
+  const { created, updated, deleted, unchanged } = result
+  const counts = `${created.length} created, ${updated.length} changed, ${deleted.length} deleted, ${unchanged} unchanged`
+  log.info({ changes: result }, dryRun ? `Dry run of ${file}, nothing was changed. Would be ${counts}.` : `Synchronized checks with ${file}: ${counts}.`)
+}
+
+/**
+ * Registers the configuration export and import routes.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function configRoutes (fastify) {
+  fastify.addHook('preHandler', authorize)
+  // The configuration covers every project, so project-bound API keys cannot use it.
+  fastify.addHook('preHandler', (request, reply, done) => {
+    if (request.apiKey?.project_id) {
+      return reply.code(403).send({ message: 'Forbidden: This API key is restricted to a single project.' })
+    }
+    done()
+  })
+
+  fastify.addContentTypeParser(YAML_CONTENT_TYPES, { parseAs: 'string' }, (request, body, done) => {
+    try {
+      done(null, checkConfig.parseDocument(body, 'yaml'))
+    } catch (error) {
+      error.statusCode = 400
+      done(error)
+    }
+  })
+
+  // GET /export
+  fastify.get('/export', { schema: schemas.routes.exportConfig }, async (request, reply) => {
+    const { format } = request.query
+    return reply
+      .type(format === 'yaml' ? 'application/yaml' : 'application/json')
+      .send(checkConfig.stringifyDocument(checkConfig.exportDocument(), format))
+  })
+
+  // POST /import
+  fastify.post('/import', { schema: schemas.routes.importConfig }, async (request, reply) => {
+    const { errors, result } = importDocument(request.body, request.query)
+    if (errors.length > 0) {
+      return schemas.sendFieldErrors(reply, errors)
+    }
+    if (!result.dryRun) {
+      // One entry for the whole import, listing the checks it changed.
+      const { dryRun, ...changes } = result
+      recordAudit(request, 'config.import', { after: changes })
+    }
+    return reply.send(result)
+  })
+}
@@ -0,0 +1,98 @@
+import { data } from '../../core/db.js'
+import { schedules } from '../../core/schedules.js'
+import { invalidateCheckLists } from '../../core/cache.js'
+import { authorizeEditor } from './auth.js'
+import { recordAudit } from './audit.js'
+import { schemas } from './schemas.js'
+
+/** Shortest reminder interval. Reminders are sent by the status engine, which runs once a minute. */
+const MIN_REPEAT_INTERVAL_MS = 60 * 1000
+
+/**
+ * Finds the first problem with an escalation policy that the JSON schema cannot express.
+ * @param {object} body - The validated request body.
+ * @param {number} [policyId] - The ID of the policy being updated.
+ * @returns {{ field: string, message: string }|null} The field error, or null if the policy is valid.
+ */
+function validatePolicy ({ name, repeatInterval, steps }, policyId) {
+  const sameName = data.getEscalationPolicyByName(name)
+  if (sameName && sameName.id !== policyId) {
+    return { field: 'name', message: 'is already used by another escalation policy' }
+  }
+  if (repeatInterval && schedules.parseDuration(repeatInterval) < MIN_REPEAT_INTERVAL_MS) {
+    return { field: 'repeatInterval', message: 'must be at least 1m' }
+  }
+  for (const [index, step] of steps.entries()) {
+    if (step.channelIds.some(id => !data.getChannelById(id))) {
+      return { field: `steps.${index}.channelIds`, message: 'must only contain existing channels' }
+    }
+  }
+  return null
+}
+
+/**
+ * Registers the escalation policy routes.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function escalationPolicyRoutes (fastify) {
+  fastify.addHook('preHandler', authorizeEditor)
+
+  /**
+   * Describes a policy as the target of an audit log entry.
+   * @param {object} policy - The escalation policy.
+   */
+  const policyTarget = (policy) => ({ type: 'escalation_policy', id: policy.id, name: policy.name })
+
+  // GET /escalation-policies
+  fastify.get('/escalation-policies', async (request, reply) => {
+    return reply.send({ policies: data.getAllEscalationPolicies() })
+  })
+
+  // GET /escalation-policies/:id
+  fastify.get('/escalation-policies/:id', { schema: schemas.routes.escalationPolicyById }, async (request, reply) => {
+    const policy = data.getEscalationPolicyById(request.params.id)
+    if (!policy) {
+      return reply.code(404).send({ message: 'Escalation policy not found' })
+    }
+    return reply.send(policy)
+  })
+
+  // POST /escalation-policies
+  fastify.post('/escalation-policies', { schema: schemas.routes.createEscalationPolicy }, async (request, reply) => {
+    const fieldError = validatePolicy(request.body)
+    if (fieldError) {
+      return schemas.sendFieldError(reply, fieldError.field, fieldError.message)
+    }
+    const policy = data.createEscalationPolicy(request.body)
+    recordAudit(request, 'escalation_policy.create', { target: policyTarget(policy), after: policy })
+    return reply.code(201).send(policy)
+  })
+
+  // PUT /escalation-policies/:id
+  fastify.put('/escalation-policies/:id', { schema: schemas.routes.updateEscalationPolicy }, async (request, reply) => {
+    const existingPolicy = data.getEscalationPolicyById(request.params.id)
+    if (!existingPolicy) {
+      return reply.code(404).send({ message: 'Escalation policy not found' })
+    }
+    const fieldError = validatePolicy(request.body, request.params.id)
+    if (fieldError) {
+      return schemas.sendFieldError(reply, fieldError.field, fieldError.message)
+    }
+    const policy = data.updateEscalationPolicy(request.params.id, request.body)
+    recordAudit(request, 'escalation_policy.update', { target: policyTarget(policy), before: existingPolicy, after: policy })
+    return reply.send(policy)
+  })
+
+  // DELETE /escalation-policies/:id
+  fastify.delete('/escalation-policies/:id', { schema: schemas.routes.escalationPolicyById }, async (request, reply) => {
+    const policy = data.getEscalationPolicyById(request.params.id)
+    const deleted = data.deleteEscalationPolicy(request.params.id)
+    if (!deleted) {
+      return reply.code(404).send({ message: 'Escalation policy not found' })
+    }
+    recordAudit(request, 'escalation_policy.delete', { target: policyTarget(policy), before: policy })
+    // Checks that used the policy are left without one.
+    invalidateCheckLists()
+    return reply.code(204).send()
+  })
+}
@@ -0,0 +1,79 @@
+import { bus } from '../../core/bus.js'
+import { authorize, canAccessProject } from './auth.js'
+import { hideOutput, present } from './present.js'
+
+/** Interval of the comment lines that keep idle connections from being closed by proxies. */
+const HEARTBEAT_INTERVAL_MS = 25 * 1000
+
+/** Delay after which browsers reconnect to a dropped stream. */
+const RETRY_MS = 5000
+
+/** Most streams open at once. Further clients are turned away until one disconnects. */
+const MAX_CLIENTS = 100
+
+/**
+ * Longest time a stream stays open. Browsers then reconnect and are authorized again, so that a logout or a revoked
+ * API key also ends the streams opened before.
+ */
+const MAX_STREAM_AGE_MS = 60 * 60 * 1000
+
+/** The response streams of all connected clients, with the authorized requests that opened them. */
+const clients = new Map()
+
+/**
+ * Sends an event about a check to every connected client that may access the check's project.
+ * @param {string} event - The event name, e.g. 'check.updated'.
+ * @param {object} check - The check the event is about.
+ * @param {object} payload - The event data, sent as JSON.
+ */
+function broadcast (event, check, payload) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`
+  for (const [stream, request] of clients) {
+    if (canAccessProject(request, check.project_id)) {
+      stream.write(message)
+    }
+  }
+}
+
+// One subscription per event for all clients, so that connections do not pile up listeners on the bus.
+// Checks are sent without their job output, like the public check lists.
+bus.on('check_created', ({ check }) => broadcast('check.created', check, { check: hideOutput(present(check)) }))
+bus.on('check_updated', ({ check }) => broadcast('check.updated', check, { check: hideOutput(present(check)) }))
+bus.on('check_deleted', ({ check }) => broadcast('check.deleted', check, { uuid: check.uuid }))
+bus.on('transition', ({ check, from, to }) => broadcast('check.status', check, { check: hideOutput(present(check)), from, to }))
+
+/**
+ * Registers the live event stream.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function eventStreamRoutes (fastify) {
+  // GET /events/stream
+  // A Server-Sent Events stream of changes to the checks the requester may access.
+  fastify.get('/events/stream', { preHandler: [authorize] }, async (request, reply) => {
+    if (clients.size >= MAX_CLIENTS) {
+      return reply
+        .code(503)
+        .header('Retry-After', String(RETRY_MS / 1000))
+        .send({ message: 'Too many open event streams. Try again later.' })
+    }
+
+    reply.hijack()
+    const stream = reply.raw
+    stream.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stops nginx from buffering the stream.
+    })
+    stream.write(`retry: ${RETRY_MS}\n\n`)
+    clients.set(stream, request)
+
+    const heartbeat = setInterval(() => stream.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS)
+    const expiry = setTimeout(() => stream.end(), MAX_STREAM_AGE_MS)
+    stream.on('close', () => {
+      clearInterval(heartbeat)
+      clearTimeout(expiry)
+      clients.delete(stream)
+    })
+  })
+}
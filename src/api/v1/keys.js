@@ -0,0 +1,41 @@
+import { data } from '../../core/db.js'
+import { authorizeAdmin } from './auth.js'
+import { recordAudit } from './audit.js'
+import { schemas } from './schemas.js'
+
+/**
+ * Registers the API key management routes.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function apiKeyRoutes (fastify) {
+  // Keys can only be managed from an admin's session, so that a leaked key cannot mint new ones.
+  fastify.addHook('preHandler', authorizeAdmin)
+
+  // GET /api-keys
+  fastify.get('/api-keys', async (request, reply) => {
+    return reply.send({ apiKeys: data.getAllApiKeys() })
+  })
+
+  // POST /api-keys
+  fastify.post('/api-keys', { schema: schemas.routes.createApiKey }, async (request, reply) => {
+    const { name, scope, projectId = null } = request.body
+    if (projectId !== null && !data.getProjectById(projectId)) {
+      return schemas.sendFieldError(reply, 'projectId', 'does not refer to an existing project')
+    }
+    // The plain-text key is only returned in this response.
+    const apiKey = data.createApiKey({ name, scope, projectId })
+    recordAudit(request, 'api_key.create', { target: { type: 'api_key', id: apiKey.id, name }, after: apiKey })
+    return reply.code(201).send(apiKey)
+  })
+
+  // DELETE /api-keys/:id
+  fastify.delete('/api-keys/:id', { schema: schemas.routes.apiKeyById }, async (request, reply) => {
+    const apiKey = data.getApiKeyById(request.params.id)
+    const revoked = data.revokeApiKey(request.params.id)
+    if (!revoked) {
+      return reply.code(404).send({ message: 'API key not found' })
+    }
+    recordAudit(request, 'api_key.revoke', { target: { type: 'api_key', id: apiKey.id, name: apiKey.name }, before: apiKey, after: data.getApiKeyById(apiKey.id) })
+    return reply.code(204).send()
+  })
+}
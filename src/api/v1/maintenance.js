@@ -0,0 +1,101 @@
+import { data } from '../../core/db.js'
+import { maintenance } from '../../core/maintenance.js'
+import { scheduler } from '../../core/scheduler.js'
+import { schedules } from '../../core/schedules.js'
+import { invalidateCheckLists } from '../../core/cache.js'
+import { authorize, loadCheck } from './auth.js'
+import { checkTarget, recordAudit } from './audit.js'
+import { schemas } from './schemas.js'
+
+/** Shortest occurrence of a recurring window. Windows are evaluated once a minute, so shorter ones could be missed. */
+const MIN_DURATION_MS = 60 * 1000
+
+/**
+ * Adds computed, non-persisted fields to a maintenance window before it is sent to clients.
+ * @param {object} window - The maintenance window from the database.
+ * @returns {object} The window with `active` and the `next_starts_at` Unix timestamp (null if it does not start again).
+ */
+function present (window) {
+  const now = Date.now()
+  return {
+    ...window,
+    active: maintenance.getActiveOccurrence(window, now) !== null,
+    next_starts_at: maintenance.getNextStart(window, now)
+  }
+}
+
+/**
+ * Finds the first problem with a maintenance window that the JSON schema cannot express.
+ * A window is either one-off (`startsAt` and `endsAt`) or recurring (`schedule` and `duration`).
+ * @param {object} body - The request body.
+ * @returns {{ field: string, message: string }|null} The field error, or null if the window is valid.
+ */
+function validateWindow ({ startsAt, endsAt, schedule, duration, timezone }) {
+  if (schedule !== undefined || duration !== undefined) {
+    if (startsAt !== undefined) return { field: 'startsAt', message: 'cannot be combined with a schedule' }
+    if (endsAt !== undefined) return { field: 'endsAt', message: 'cannot be combined with a schedule' }
+    if (schedule === undefined) return { field: 'schedule', message: 'is required for recurring windows' }
+    if (duration === undefined) return { field: 'duration', message: 'is required for recurring windows' }
+    if (schedules.parseDuration(duration) < MIN_DURATION_MS) return { field: 'duration', message: 'must be at least 1m' }
+    return null
+  }
+  if (startsAt === undefined) return { field: 'startsAt', message: 'is required unless a schedule is given' }
+  if (endsAt === undefined) return { field: 'endsAt', message: 'is required unless a schedule is given' }
+  if (endsAt <= startsAt) return { field: 'endsAt', message: 'must be after startsAt' }
+  if (endsAt * 1000 <= Date.now()) return { field: 'endsAt', message: 'must be in the future' }
+  if (timezone) return { field: 'timezone', message: 'only applies to recurring windows' }
+  return null
+}
+
+/**
+ * Registers the maintenance window routes.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function maintenanceRoutes (fastify) {
+  fastify.addHook('preHandler', authorize)
+
+  /** Applies a check's windows right away, so that changes take effect without waiting for the status engine. */
+  const syncCheck = (uuid) => {
+    if (scheduler.syncMaintenance(uuid)) {
+      invalidateCheckLists()
+    }
+  }
+
+  // GET /checks/:uuid/maintenance-windows
+  fastify.get('/checks/:uuid/maintenance-windows', { preHandler: [loadCheck], schema: schemas.routes.listMaintenanceWindows }, async (request, reply) => {
+    return reply.send({ windows: data.getMaintenanceWindows(request.check.id).map(present) })
+  })
+
+  // POST /checks/:uuid/maintenance-windows
+  fastify.post('/checks/:uuid/maintenance-windows', { preHandler: [loadCheck], schema: schemas.routes.createMaintenanceWindow }, async (request, reply) => {
+    const fieldError = validateWindow(request.body)
+    if (fieldError) {
+      return schemas.sendFieldError(reply, fieldError.field, fieldError.message)
+    }
+    const { startsAt, endsAt, schedule, duration, timezone, reason } = request.body
+    const window = data.createMaintenanceWindow({
+      checkId: request.check.id,
+      startsAt,
+      endsAt,
+      schedule,
+      duration,
+      timezone: timezone || null,
+      reason
+    })
+    syncCheck(request.check.uuid)
+    recordAudit(request, 'maintenance_window.create', { target: checkTarget(request.check), after: window })
+    return reply.code(201).send(present(window))
+  })
+
+  // DELETE /checks/:uuid/maintenance-windows/:id
+  fastify.delete('/checks/:uuid/maintenance-windows/:id', { preHandler: [loadCheck], schema: schemas.routes.maintenanceWindowById }, async (request, reply) => {
+    const window = data.getMaintenanceWindows(request.check.id).find(({ id }) => id === request.params.id)
+    const deleted = data.deleteMaintenanceWindow(request.check.id, request.params.id)
+    if (!deleted) {
+      return reply.code(404).send({ message: 'Maintenance window not found' })
+    }
+    syncCheck(request.check.uuid)
+    recordAudit(request, 'maintenance_window.delete', { target: checkTarget(request.check), before: window })
+    return reply.code(204).send()
+  })
+}
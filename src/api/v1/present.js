@@ -0,0 +1,20 @@
+import { schedules } from '../../core/schedules.js'
+
+/**
+ * Adds computed, non-persisted fields to a check before it is sent to clients.
+ * @param {object} check - The check object from the database.
+ * @returns {object} The check with its `next_ping_at` Unix timestamp.
+ */
+export function present (check) {
+  return { ...check, next_ping_at: schedules.getNextPingAt(check) }
+}
+
+/**
+ * Removes the job output from a presented check for anonymous visitors, since job logs often contain hostnames,
+ * paths or credentials.
+ * @param {object} check - The presented check.
+ * @returns {object} The check without its `last_output`.
+ */
+export function hideOutput ({ last_output: lastOutput, ...check }) {
+  return check
+}
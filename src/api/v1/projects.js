@@ -0,0 +1,103 @@
+import { data } from '../../core/db.js'
+import { metrics } from '../../metrics.js'
+import { invalidateCheckLists } from '../../core/cache.js'
+import { users } from '../../core/users.js'
+import { authorize, canAccessProject, canEdit, getSessionUser } from './auth.js'
+import { recordAudit } from './audit.js'
+import { schemas } from './schemas.js'
+
+/**
+ * Registers the project management routes. The checks of a project are served by `apiRoutes`.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function projectRoutes (fastify) {
+  /**
+   * Route hook that loads the project named by the `:id` parameter into `request.project`.
+   * Must run after `authorize`. Projects outside of an API key's project are reported as not found.
+   */
+  const loadProject = (request, reply, done) => {
+    const project = data.getProjectById(request.params.id)
+    if (!project || !canAccessProject(request, project.id)) {
+      return reply.code(404).send({ message: 'Project not found' })
+    }
+    request.project = project
+    done()
+  }
+
+  /**
+   * Describes a project as the target of an audit log entry.
+   * @param {object} project - The project.
+   */
+  const projectTarget = (project) => ({ type: 'project', id: project.id, name: project.name })
+
+  // GET /projects
+  // The list is public; ping keys are only included for editors and admins, since they allow auto-provisioning checks.
+  fastify.get('/projects', async (request, reply) => {
+    const projects = data.getAllProjects()
+    const user = getSessionUser(request)
+    if (user && users.hasRole(user.role, 'editor')) {
+      return reply.send({ projects })
+    }
+    return reply.send({ projects: projects.map(({ ping_key: pingKey, ...project }) => project) })
+  })
+
+  // GET /projects/:id
+  // Like the list, only shows the ping key to those who may make changes.
+  fastify.get('/projects/:id', { preHandler: [authorize, loadProject], schema: schemas.routes.projectById }, async (request, reply) => {
+    if (canEdit(request)) {
+      return reply.send(request.project)
+    }
+    const { ping_key: pingKey, ...project } = request.project
+    return reply.send(project)
+  })
+
+  // POST /projects
+  fastify.post('/projects', { preHandler: [authorize], schema: schemas.routes.createProject }, async (request, reply) => {
+    if (request.apiKey?.project_id) {
+      return reply.code(403).send({ message: 'Forbidden: This API key is restricted to a single project.' })
+    }
+    const { name, autoProvision = false } = request.body
+    if (data.getAllProjects().some(project => project.name === name)) {
+      return schemas.sendFieldError(reply, 'name', 'is already used by another project')
+    }
+    const project = data.createProject({ name, autoProvision })
+    recordAudit(request, 'project.create', { target: projectTarget(project), after: project })
+    return reply.code(201).send(project)
+  })
+
+  // PATCH /projects/:id
+  fastify.patch('/projects/:id', { preHandler: [authorize, loadProject], schema: schemas.routes.updateProject }, async (request, reply) => {
+    const { name, autoProvision } = request.body
+    if (name !== undefined && data.getAllProjects().some(project => project.name === name && project.id !== request.project.id)) {
+      return schemas.sendFieldError(reply, 'name', 'is already used by another project')
+    }
+    const autoProvisionFlag = autoProvision === undefined ? undefined : Number(autoProvision)
+    const project = data.updateProject(request.project.id, { name, auto_provision: autoProvisionFlag })
+    if (project.name !== request.project.name) {
+      // The project name is a Prometheus label, so every series of the project is renamed with it.
+      for (const check of data.getChecksByProject(project.id)) {
+        metrics.relabelMetricsForCheck({ ...check, project_name: request.project.name }, check)
+      }
+      invalidateCheckLists()
+    }
+    recordAudit(request, 'project.update', { target: projectTarget(project), before: request.project, after: project })
+    return reply.send(project)
+  })
+
+  // POST /projects/:id/ping-key
+  fastify.post('/projects/:id/ping-key', { preHandler: [authorize, loadProject], schema: schemas.routes.projectById }, async (request, reply) => {
+    const project = data.regeneratePingKey(request.project.id)
+    recordAudit(request, 'project.regenerate_ping_key', { target: projectTarget(project), before: request.project, after: project })
+    return reply.send(project)
+  })
+
+  // DELETE /projects/:id
+  fastify.delete('/projects/:id', { preHandler: [authorize, loadProject], schema: schemas.routes.projectById }, async (request, reply) => {
+    if (request.project.check_count > 0) {
+      return reply.code(409).send({ message: 'Project still contains checks. Move or delete them first.' })
+    }
+    data.deleteProject(request.project.id)
+    recordAudit(request, 'project.delete', { target: projectTarget(request.project), before: request.project })
+    return reply.code(204).send()
+  })
+}
@@ -0,0 +1,629 @@
+import Ajv from 'ajv'
+import { schedules } from '../../core/schedules.js'
+import { notifier } from '../../core/notifier.js'
+import { slugs } from '../../core/slugs.js'
+import { retention as retentionSettings } from '../../core/retention.js'
+
+// --- Custom Formats ---
+// Validation that JSON schema cannot express is registered as ajv formats,
+// so that it is reported through the same field-level error responses.
+const formats = {
+  'pulse-schedule': {
+    validate: (value) => schedules.isValidSchedule(value),
+    message: 'must be an interval (e.g. 10m) or a cron expression (e.g. 30 2 * * 1-5)'
+  },
+  'pulse-cron': {
+    validate: (value) => !schedules.isInterval(value) && schedules.isValidSchedule(value),
+    message: 'must be a cron expression (e.g. 0 2 * * 6)'
+  },
+  'pulse-duration': {
+    validate: (value) => schedules.isInterval(value),
+    message: 'must be a duration such as 30s, 10m, 1h or 1d'
+  },
+  'pulse-tag': {
+    validate: (value) => /^[a-z0-9][a-z0-9_.:-]*$/i.test(value),
+    message: 'must start with a letter or digit and contain only letters, digits, ".", "_", ":" and "-"'
+  },
+  'pulse-slug': {
+    validate: (value) => slugs.isValidSlug(value),
+    message: 'must be lowercase letters and digits separated by single hyphens, e.g. nightly-backup, and must not be a number, "start" or "fail"'
+  },
+  'pulse-username': {
+    validate: (value) => /^[a-z0-9._@-]+$/i.test(value),
+    message: 'must contain only letters, digits, ".", "_", "@" and "-"'
+  },
+  'pulse-retention': {
+    // An empty string is accepted where a retention can be reset to the default.
+    validate: (value) => value === '' || retentionSettings.isValidRetention(value),
+    message: 'must be a duration of at least 1h, such as 30d'
+  },
+  'pulse-timezone': {
+    // An empty string is accepted where a timezone can be reset to the default.
+    validate: (value) => value === '' || schedules.isValidTimezone(value),
+    message: 'must be an IANA timezone such as Europe/London'
+  }
+}
+
+/** Pattern for strings that must contain at least one non-whitespace character. */
+const NOT_BLANK = '\\S'
+
+/**
+ * Ajv plugin that registers Pulse's custom formats. Passed to Fastify's `ajv.plugins` option.
+ * @param {import('ajv').default} ajv - The ajv instance used by Fastify.
+ * @returns {import('ajv').default} The same instance.
+ */
+function registerFormats (ajv) {
+  for (const [name, { validate }] of Object.entries(formats)) {
+    ajv.addFormat(name, { type: 'string', validate })
+  }
+  return ajv
+}
+
+/**
+ * Converts ajv validation errors into field-level errors.
+ * @param {object[]} validation - The `validation` array of a Fastify validation error.
+ * @param {string} context - Where the errors occurred ('body', 'querystring', 'params' or 'headers').
+ * @returns {{ field: string, message: string }[]}
+ */
+function toFieldErrors (validation, context) {
+  return validation.map((error) => {
+    const path = error.instancePath.slice(1).replaceAll('/', '.')
+    const property = error.params.missingProperty || error.params.additionalProperty
+    const field = [path, property].filter(Boolean).join('.') || context
+    let message = error.message
+    if (error.keyword === 'format' && formats[error.params.format]) {
+      message = formats[error.params.format].message
+    } else if (error.keyword === 'required') {
+      message = 'is required'
+    } else if (error.keyword === 'additionalProperties') {
+      message = 'is not an allowed field'
+    } else if (error.keyword === 'minProperties') {
+      message = 'must contain at least one field'
+    } else if (error.keyword === 'pattern' && error.params.pattern === NOT_BLANK) {
+      message = 'must not be blank'
+    }
+    return { field, message }
+  })
+}
+
+/**
+ * Compiles a schema for validating documents that do not arrive through a route, such as the `PULSE_CONFIG_FILE`,
+ * with the same custom formats and error messages as route schemas.
+ * @param {object} schema - The JSON schema.
+ * @returns {(value: any) => { field: string, message: string }[]} Returns the field errors of a value, if any.
+ */
+function compileValidator (schema) {
+  const validate = registerFormats(new Ajv({ allErrors: true, useDefaults: true })).compile(schema)
+  return (value) => validate(value) ? [] : toFieldErrors(validate.errors, 'body')
+}
+
+/**
+ * Builds the body of a 400 response for one or more invalid fields.
+ * @param {{ field: string, message: string }[]} errors - The field-level errors.
+ * @returns {object} The response body.
+ */
+function validationErrorBody (errors) {
+  return {
+    statusCode: 400,
+    error: 'Bad Request',
+    message: errors.map(({ field, message }) => `${field} ${message}`).join('; '),
+    errors
+  }
+}
+
+/**
+ * Sends a 400 response for a single invalid field, in the same shape as schema validation errors.
+ * Used for checks that depend on more than one field or on the database.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {string} field - The offending field.
+ * @param {string} message - What is wrong with it.
+ */
+function sendFieldError (reply, field, message) {
+  return sendFieldErrors(reply, [{ field, message }])
+}
+
+/**
+ * Sends a 400 response for several invalid fields, in the same shape as schema validation errors.
+ * @param {import('fastify').FastifyReply} reply - The reply object.
+ * @param {{ field: string, message: string }[]} errors - The field-level errors.
+ */
+function sendFieldErrors (reply, errors) {
+  return reply.code(400).send(validationErrorBody(errors))
+}
+
+/**
+ * Fastify error handler that renders schema validation failures as field-level errors
+ * and leaves every other error to Fastify's default handling.
+ */
+function errorHandler (error, request, reply) {
+  if (error.validation) {
+    return reply.code(400).send(validationErrorBody(toFieldErrors(error.validation, error.validationContext)))
+  }
+  reply.send(error)
+}
+
+// --- Building Blocks ---
+const name = { type: 'string', maxLength: 100, pattern: NOT_BLANK }
+const schedule = { type: 'string', maxLength: 100, format: 'pulse-schedule' }
+const grace = { type: 'string', maxLength: 20, format: 'pulse-duration' }
+const timezone = { type: ['string', 'null'], maxLength: 64, format: 'pulse-timezone' }
+const retention = { type: ['string', 'null'], maxLength: 20, format: 'pulse-retention' }
+const reason = { type: 'string', maxLength: 1000 }
+const projectId = { type: 'integer', minimum: 1 }
+const slug = { type: 'string', maxLength: 100, format: 'pulse-slug' }
+const autoProvision = { type: 'boolean' }
+const tag = { type: 'string', maxLength: 32, format: 'pulse-tag' }
+const tags = { type: 'array', maxItems: 20, items: tag }
+const escalationPolicyId = { type: ['integer', 'null'], minimum: 1 }
+const username = { type: 'string', minLength: 1, maxLength: 64, format: 'pulse-username' }
+// Passwords chosen in Pulse must be at least 8 characters; logins also accept the shorter ADMIN_SECRET of older setups.
+const password = { type: 'string', minLength: 8, maxLength: 1024 }
+const role = { type: 'string', enum: ['viewer', 'editor', 'admin'] }
+
+const uuidParams = {
+  type: 'object',
+  required: ['uuid'],
+  properties: { uuid: { type: 'string', format: 'uuid' } }
+}
+
+const slugParams = {
+  type: 'object',
+  required: ['pingKey', 'slug'],
+  properties: {
+    pingKey: { type: 'string', maxLength: 64 },
+    slug
+  }
+}
+
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: { type: 'integer', minimum: 1 } }
+}
+
+/** Body of escalation policy routes. Each step notifies its channels once a check has missed `downCount` runs in a row. */
+const escalationPolicyBody = {
+  type: 'object',
+  required: ['name', 'steps'],
+  properties: {
+    name,
+    repeatInterval: { type: ['string', 'null'], maxLength: 20, format: 'pulse-duration' },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: {
+        type: 'object',
+        required: ['downCount', 'channelIds'],
+        properties: {
+          downCount: { type: 'integer', minimum: 1, maximum: 1000 },
+          channelIds: { type: 'array', minItems: 1, maxItems: 20, uniqueItems: true, items: { type: 'integer', minimum: 1 } }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+}
+
+/** Body of status page routes. The checks are shown in the given order, each under its `displayName` if set. */
+const statusPageBody = {
+  type: 'object',
+  required: ['slug', 'title', 'checks'],
+  properties: {
+    slug,
+    title: name,
+    description: { type: ['string', 'null'], maxLength: 1000 },
+    checks: {
+      type: 'array',
+      maxItems: 100,
+      items: {
+        type: 'object',
+        required: ['uuid'],
+        properties: {
+          uuid: { type: 'string', format: 'uuid' },
+          displayName: { ...name, type: ['string', 'null'] }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+}
+
+/**
+ * A check in a configuration document, as exported by `GET /export` and accepted by `POST /import`.
+ * Checks are identified by their project (by name, the default project if omitted) and slug; channels
+ * and the escalation policy are referenced by name.
+ */
+const configDocument = {
+  type: 'object',
+  required: ['checks'],
+  properties: {
+    checks: {
+      type: 'array',
+      maxItems: 10000,
+      items: {
+        type: 'object',
+        required: ['slug', 'name', 'schedule', 'grace'],
+        properties: {
+          project: name,
+          slug,
+          name,
+          schedule,
+          grace,
+          timezone,
+          retention,
+          tags,
+          channels: { type: 'array', maxItems: 100, items: name },
+          escalationPolicy: { ...name, type: ['string', 'null'] }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+}
+
+/**
+ * Builds a pagination querystring schema.
+ * @param {number} defaultLimit - The page size when none is given.
+ * @param {number} maxLimit - The largest allowed page size.
+ * @param {object} [extraProperties] - Further querystring parameters of the route.
+ */
+const pagination = (defaultLimit, maxLimit, extraProperties = {}) => ({
+  type: 'object',
+  properties: {
+    page: { type: 'integer', minimum: 1, default: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit },
+    ...extraProperties
+  },
+  additionalProperties: false
+})
+
+/** Filter and sort parameters of check lists. `status` may be repeated to match any of several statuses. */
+const checkListFilters = {
+  status: {
+    type: 'array',
+    maxItems: 5,
+    uniqueItems: true,
+    items: { type: 'string', enum: ['new', 'up', 'down', 'failed', 'maintenance'] }
+  },
+  tag,
+  search: { type: 'string', maxLength: 100 },
+  sort: { type: 'string', enum: ['name', 'status', 'last_ping'], default: 'name' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'asc' }
+}
+
+// --- Route Schemas ---
+const routes = {
+  login: {
+    body: {
+      type: 'object',
+      required: ['username', 'password'],
+      properties: { username: { type: 'string', maxLength: 64 }, password: { type: 'string', minLength: 1, maxLength: 1024 } },
+      additionalProperties: false
+    }
+  },
+  changePassword: {
+    body: {
+      type: 'object',
+      required: ['currentPassword', 'newPassword'],
+      properties: { currentPassword: { type: 'string', maxLength: 1024 }, newPassword: password },
+      additionalProperties: false
+    }
+  },
+  listChecks: {
+    querystring: pagination(20, 100, checkListFilters)
+  },
+  listTags: {
+    querystring: {
+      type: 'object',
+      properties: { projectId },
+      additionalProperties: false
+    }
+  },
+  createCheck: {
+    body: {
+      type: 'object',
+      required: ['name', 'schedule', 'grace'],
+      properties: { name, slug, schedule, grace, timezone, retention, projectId, escalationPolicyId, tags },
+      additionalProperties: false
+    }
+  },
+  updateCheck: {
+    params: uuidParams,
+    body: {
+      type: 'object',
+      minProperties: 1,
+      properties: { name, slug, schedule, grace, timezone, retention, projectId, escalationPolicyId, tags },
+      additionalProperties: false
+    }
+  },
+  listProjectChecks: {
+    params: idParams,
+    querystring: pagination(20, 100, checkListFilters)
+  },
+  createProjectCheck: {
+    params: idParams,
+    body: {
+      type: 'object',
+      required: ['name', 'schedule', 'grace'],
+      properties: { name, slug, schedule, grace, timezone, retention, escalationPolicyId, tags },
+      additionalProperties: false
+    }
+  },
+  exportConfig: {
+    querystring: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: ['json', 'yaml'], default: 'json' }
+      },
+      additionalProperties: false
+    }
+  },
+  importConfig: {
+    querystring: {
+      type: 'object',
+      properties: {
+        dryRun: { type: 'boolean', default: false },
+        prune: { type: 'boolean', default: false }
+      },
+      additionalProperties: false
+    },
+    body: configDocument
+  },
+  createProject: {
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: { name, autoProvision },
+      additionalProperties: false
+    }
+  },
+  updateProject: {
+    params: idParams,
+    body: {
+      type: 'object',
+      minProperties: 1,
+      properties: { name, autoProvision },
+      additionalProperties: false
+    }
+  },
+  projectById: {
+    params: idParams
+  },
+  checkByUuid: {
+    params: uuidParams
+  },
+  listEvents: {
+    params: uuidParams,
+    querystring: pagination(50, 500)
+  },
+  listAuditLog: {
+    // `action` ending in a dot matches every action of a kind, e.g. 'check.'.
+    querystring: pagination(50, 500, {
+      action: { type: 'string', maxLength: 64 },
+      actorType: { type: 'string', enum: ['user', 'api_key', 'anonymous'] },
+      actorId: { type: 'integer', minimum: 1 },
+      targetType: { type: 'string', maxLength: 32 },
+      targetId: { type: 'string', maxLength: 64 },
+      from: { type: 'integer', minimum: 0 },
+      to: { type: 'integer', minimum: 0 }
+    })
+  },
+  checkUptime: {
+    params: uuidParams,
+    querystring: {
+      type: 'object',
+      properties: {
+        window: { type: 'string', maxLength: 20, format: 'pulse-duration', default: '30d' },
+        buckets: { type: 'integer', minimum: 1, maximum: 100, default: 30 }
+      },
+      additionalProperties: false
+    }
+  },
+  checkRollups: {
+    params: uuidParams,
+    querystring: {
+      type: 'object',
+      properties: {
+        resolution: { type: 'string', enum: ['hour', 'day'], default: 'hour' },
+        window: { type: 'string', maxLength: 20, format: 'pulse-duration', default: '7d' }
+      },
+      additionalProperties: false
+    }
+  },
+  listMaintenanceWindows: {
+    params: uuidParams
+  },
+  createMaintenanceWindow: {
+    params: uuidParams,
+    body: {
+      type: 'object',
+      properties: {
+        startsAt: { type: 'integer', minimum: 0 },
+        endsAt: { type: 'integer', minimum: 0 },
+        schedule: { type: 'string', maxLength: 100, format: 'pulse-cron' },
+        duration: grace,
+        timezone,
+        reason
+      },
+      additionalProperties: false
+    }
+  },
+  maintenanceWindowById: {
+    params: {
+      type: 'object',
+      required: ['uuid', 'id'],
+      properties: {
+        ...uuidParams.properties,
+        id: { type: 'integer', minimum: 1 }
+      }
+    }
+  },
+  failCheck: {
+    params: uuidParams,
+    body: {
+      type: ['object', 'null'],
+      properties: { reason },
+      additionalProperties: false
+    }
+  },
+  createEscalationPolicy: {
+    body: escalationPolicyBody
+  },
+  updateEscalationPolicy: {
+    params: idParams,
+    body: escalationPolicyBody
+  },
+  escalationPolicyById: {
+    params: idParams
+  },
+  createStatusPage: {
+    body: statusPageBody
+  },
+  updateStatusPage: {
+    params: idParams,
+    body: statusPageBody
+  },
+  statusPageById: {
+    params: idParams
+  },
+  createChannel: {
+    body: {
+      type: 'object',
+      required: ['name', 'type', 'config'],
+      properties: {
+        name,
+        type: { type: 'string', enum: notifier.channelTypes },
+        config: { type: 'object' }
+      },
+      additionalProperties: false
+    }
+  },
+  channelById: {
+    params: idParams
+  },
+  setCheckChannels: {
+    params: uuidParams,
+    body: {
+      type: 'object',
+      required: ['channelIds'],
+      properties: {
+        channelIds: { type: 'array', maxItems: 100, uniqueItems: true, items: { type: 'integer', minimum: 1 } }
+      },
+      additionalProperties: false
+    }
+  },
+  createApiKey: {
+    body: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name,
+        scope: { type: 'string', enum: ['read', 'write'], default: 'read' },
+        projectId: { ...projectId, type: ['integer', 'null'] }
+      },
+      additionalProperties: false
+    }
+  },
+  createUser: {
+    body: {
+      type: 'object',
+      required: ['username', 'password', 'role'],
+      properties: { username, password, role },
+      additionalProperties: false
+    }
+  },
+  updateUser: {
+    params: idParams,
+    body: {
+      type: 'object',
+      minProperties: 1,
+      properties: { password, role },
+      additionalProperties: false
+    }
+  },
+  userById: {
+    params: idParams
+  },
+  apiKeyById: {
+    params: idParams
+  },
+  ping: {
+    params: uuidParams,
+    querystring: {
+      type: 'object',
+      properties: { duration: { type: 'integer', minimum: 0 } }
+    }
+  },
+  pingFail: {
+    params: uuidParams,
+    querystring: {
+      type: 'object',
+      properties: { reason }
+    }
+  },
+  pingExitStatus: {
+    params: {
+      type: 'object',
+      required: ['uuid', 'exitStatus'],
+      properties: {
+        uuid: { type: 'string', format: 'uuid' },
+        exitStatus: { type: 'integer', minimum: 0, maximum: 255 }
+      }
+    }
+  },
+  pingSlug: {
+    params: slugParams,
+    querystring: {
+      type: 'object',
+      properties: { duration: { type: 'integer', minimum: 0 } }
+    }
+  },
+  pingSlugStart: {
+    params: slugParams
+  },
+  pingSlugFail: {
+    params: slugParams,
+    querystring: {
+      type: 'object',
+      properties: { reason }
+    }
+  },
+  badge: {
+    querystring: {
+      type: 'object',
+      // Replaces the check's name or the tag as the badge's label.
+      properties: { label: { type: 'string', maxLength: 50 } }
+    }
+  },
+  tagBadge: {
+    params: {
+      type: 'object',
+      required: ['tag'],
+      properties: { tag }
+    }
+  },
+  pingSlugExitStatus: {
+    params: {
+      type: 'object',
+      required: ['pingKey', 'slug', 'exitStatus'],
+      properties: {
+        ...slugParams.properties,
+        exitStatus: { type: 'integer', minimum: 0, maximum: 255 }
+      }
+    }
+  }
+}
+
+export const schemas = {
+  routes,
+  configDocument,
+  registerFormats,
+  compileValidator,
+  errorHandler,
+  sendFieldError,
+  sendFieldErrors
+}
@@ -0,0 +1,112 @@
+import { data } from '../../core/db.js'
+import { cache } from '../../core/cache.js'
+import { authorize } from './auth.js'
+import { recordAudit } from './audit.js'
+import { schemas } from './schemas.js'
+
+/**
+ * Turns the checks of a status page request into the stored form.
+ * @param {object} body - The validated request body.
+ * @param {number} [pageId] - The ID of the page being updated.
+ * @returns {{ fieldError: { field: string, message: string }|null, checks: object[] }} The first problem the JSON
+ *   schema cannot express, or the checks as `{ checkId, displayName }`.
+ */
+function resolvePage ({ slug, checks }, pageId) {
+  const sameSlug = data.getStatusPageBySlug(slug)
+  if (sameSlug && sameSlug.id !== pageId) {
+    return { fieldError: { field: 'slug', message: 'is already used by another status page' }, checks: [] }
+  }
+  const resolved = []
+  for (const [index, { uuid, displayName }] of checks.entries()) {
+    const check = data.getCheckByUuid(uuid)
+    if (!check) {
+      return { fieldError: { field: `checks.${index}.uuid`, message: 'does not refer to an existing check' }, checks: [] }
+    }
+    if (resolved.some(({ checkId }) => checkId === check.id)) {
+      return { fieldError: { field: `checks.${index}.uuid`, message: 'is already on this status page' }, checks: [] }
+    }
+    resolved.push({ checkId: check.id, displayName: displayName || null })
+  }
+  return { fieldError: null, checks: resolved }
+}
+
+/**
+ * Registers the routes that manage status pages. The pages themselves are served by `statusPageRoutes`.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function statusPageAdminRoutes (fastify) {
+  fastify.addHook('preHandler', authorize)
+  // Pages can show checks of every project, so project-bound API keys cannot manage them.
+  fastify.addHook('preHandler', (request, reply, done) => {
+    if (request.apiKey?.project_id) {
+      return reply.code(403).send({ message: 'Forbidden: This API key is restricted to a single project.' })
+    }
+    done()
+  })
+
+  /**
+   * Describes a page as the target of an audit log entry.
+   * @param {object} page - The status page.
+   */
+  const pageTarget = (page) => ({ type: 'status_page', id: page.id, name: page.title })
+
+  /** Drops the cached public view of a page, so that changes show up right away. */
+  const clearPageCache = (slug) => cache.del(`status_page_${slug}`)
+
+  // GET /status-pages
+  fastify.get('/status-pages', async (request, reply) => {
+    return reply.send({ statusPages: data.getAllStatusPages() })
+  })
+
+  // GET /status-pages/:id
+  fastify.get('/status-pages/:id', { schema: schemas.routes.statusPageById }, async (request, reply) => {
+    const page = data.getStatusPageById(request.params.id)
+    if (!page) {
+      return reply.code(404).send({ message: 'Status page not found' })
+    }
+    return reply.send(page)
+  })
+
+  // POST /status-pages
+  fastify.post('/status-pages', { schema: schemas.routes.createStatusPage }, async (request, reply) => {
+    const { fieldError, checks } = resolvePage(request.body)
+    if (fieldError) {
+      return schemas.sendFieldError(reply, fieldError.field, fieldError.message)
+    }
+    const { slug, title, description } = request.body
+    const page = data.createStatusPage({ slug, title, description, checks })
+    clearPageCache(page.slug)
+    recordAudit(request, 'status_page.create', { target: pageTarget(page), after: page })
+    return reply.code(201).send(page)
+  })
+
+  // PUT /status-pages/:id
+  fastify.put('/status-pages/:id', { schema: schemas.routes.updateStatusPage }, async (request, reply) => {
+    const existingPage = data.getStatusPageById(request.params.id)
+    if (!existingPage) {
+      return reply.code(404).send({ message: 'Status page not found' })
+    }
+    const { fieldError, checks } = resolvePage(request.body, existingPage.id)
+    if (fieldError) {
+      return schemas.sendFieldError(reply, fieldError.field, fieldError.message)
+    }
+    const { slug, title, description } = request.body
+    const page = data.updateStatusPage(existingPage.id, { slug, title, description, checks })
+    clearPageCache(existingPage.slug)
+    clearPageCache(page.slug)
+    recordAudit(request, 'status_page.update', { target: pageTarget(page), before: existingPage, after: page })
+    return reply.send(page)
+  })
+
+  // DELETE /status-pages/:id
+  fastify.delete('/status-pages/:id', { schema: schemas.routes.statusPageById }, async (request, reply) => {
+    const page = data.getStatusPageById(request.params.id)
+    if (!page) {
+      return reply.code(404).send({ message: 'Status page not found' })
+    }
+    data.deleteStatusPage(page.id)
+    clearPageCache(page.slug)
+    recordAudit(request, 'status_page.delete', { target: pageTarget(page), before: page })
+    return reply.code(204).send()
+  })
+}
@@ -0,0 +1,76 @@
+import { data } from '../../core/db.js'
+import { users } from '../../core/users.js'
+import { authorizeAdmin } from './auth.js'
+import { recordAudit } from './audit.js'
+import { schemas } from './schemas.js'
+
+/**
+ * Registers the user management routes.
+ * @param {import('fastify').FastifyInstance} fastify - The Fastify instance.
+ */
+export async function userRoutes (fastify) {
+  // Users can only be managed from an admin's session, like API keys.
+  fastify.addHook('preHandler', authorizeAdmin)
+
+  /**
+   * Route hook that loads the user named by the `:id` parameter into `request.targetUser`.
+   * @param {import('fastify').FastifyRequest} request - The incoming request.
+   * @param {import('fastify').FastifyReply} reply - The reply object.
+   * @param {Function} done - Callback to continue the request lifecycle.
+   */
+  const loadUser = (request, reply, done) => {
+    const user = data.getUserById(request.params.id)
+    if (!user) {
+      return reply.code(404).send({ message: 'User not found' })
+    }
+    request.targetUser = user
+    done()
+  }
+
+  /**
+   * Describes a user as the target of an audit log entry.
+   * @param {object} user - The user account.
+   */
+  const userTarget = (user) => ({ type: 'user', id: user.id, name: user.username })
+
+  // GET /users
+  fastify.get('/users', async (request, reply) => {
+    return reply.send({ users: data.getAllUsers() })
+  })
+
+  // POST /users
+  fastify.post('/users', { schema: schemas.routes.createUser }, async (request, reply) => {
+    const { username, password, role } = request.body
+    if (data.getUserCredentials(username)) {
+      return schemas.sendFieldError(reply, 'username', 'is already taken')
+    }
+    const user = data.createUser({ username, passwordHash: await users.hashPassword(password), role })
+    recordAudit(request, 'user.create', { target: userTarget(user), after: user })
+    return reply.code(201).send(user)
+  })
+
+  // PATCH /users/:id
+  // Changes a user's role or sets a new password, e.g. for a user who forgot theirs.
+  fastify.patch('/users/:id', { preHandler: [loadUser], schema: schemas.routes.updateUser }, async (request, reply) => {
+    const { role, password } = request.body
+    if (role && role !== 'admin' && request.targetUser.role === 'admin' && data.countAdmins() === 1) {
+      return reply.code(409).send({ message: 'The last admin cannot be given another role.' })
+    }
+    const passwordHash = password ? await users.hashPassword(password) : undefined
+    const user = data.updateUser(request.targetUser.id, { role, passwordHash })
+    // A new password shows up as a redacted `password` field.
+    recordAudit(request, 'user.update', { target: userTarget(user), before: request.targetUser, after: password ? { ...user, password } : user })
+    return reply.send(user)
+  })
+
+  // DELETE /users/:id
+  fastify.delete('/users/:id', { preHandler: [loadUser], schema: schemas.routes.userById }, async (request, reply) => {
+    // Also keeps the last admin, since only admins get here.
+    if (request.targetUser.id === request.user.id) {
+      return reply.code(409).send({ message: 'You cannot delete your own account.' })
+    }
+    data.deleteUser(request.targetUser.id)
+    recordAudit(request, 'user.delete', { target: userTarget(request.targetUser), before: request.targetUser })
+    return reply.code(204).send()
+  })
+}
@@ -0,0 +1,119 @@
+/** The page size used to fetch all checks, the maximum `GET /checks` allows. */
+const PAGE_SIZE = 100
+
+/**
+ * Formats a Unix timestamp for the check table.
+ * @param {number|null} timestamp - The timestamp in seconds.
+ * @returns {string}
+ */
+const formatTime = timestamp => timestamp ? new Date(timestamp * 1000).toISOString().replace('T', ' ').slice(0, 19) : '-'
+
+/**
+ * Prints rows as a table with aligned columns.
+ * @param {string[]} headers - The column headers.
+ * @param {string[][]} rows - The cells.
+ */
+function printTable (headers, rows) {
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)))
+  for (const row of [headers, ...rows]) {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+  }
+}
+
+/**
+ * Lists checks, following the pages of `GET /checks`.
+ * @param {object} client - The client from `createClient`.
+ * @param {object} options
+ * @param {string} [options.project] - Only checks in the project with this ID.
+ * @param {string[]} [options.status] - Only checks with one of these statuses.
+ * @param {string} [options.tag] - Only checks with this tag.
+ * @param {string} [options.search] - Only checks whose name contains this text.
+ * @param {boolean} [options.json] - Whether to print the checks as JSON instead of a table.
+ */
+async function list (client, { project, status = [], tag, search, json }) {
+  const path = project ? `/projects/${encodeURIComponent(project)}/checks` : '/checks'
+  const checks = []
+  for (let page = 1; ; page++) {
+    const query = new URLSearchParams({ page, limit: PAGE_SIZE })
+    status.forEach(value => query.append('status', value))
+    if (tag) query.set('tag', tag)
+    if (search) query.set('search', search)
+    const result = await client.request('GET', `${path}?${query}`)
+    checks.push(...result.checks)
+    if (page >= result.meta.totalPages) break
+  }
+
+  if (json) {
+    console.log(JSON.stringify(checks, null, 2))
+    return
+  }
+  printTable(
+    ['UUID', 'NAME', 'STATUS', 'SCHEDULE', 'LAST PING', 'NEXT PING', 'TAGS'],
+    checks.map(check => [
+      check.uuid,
+      check.name,
+      check.status,
+      check.schedule,
+      formatTime(check.last_ping_at),
+      formatTime(check.next_ping_at),
+      check.tags.join(',')
+    ])
+  )
+}
+
+/**
+ * Creates a check and prints its UUID and ping URL.
+ * @param {object} client - The client from `createClient`.
+ * @param {object} options
+ * @param {string} options.name - The check's name.
+ * @param {string} options.schedule - The cron schedule.
+ * @param {string} options.grace - The grace period, e.g. 5m.
+ * @param {string} [options.slug] - The slug for the project's ping key URL.
+ * @param {string} [options.timezone] - The IANA timezone of the schedule.
+ * @param {string} [options.project] - The ID of the project to create the check in.
+ * @param {string[]} [options.tag] - The check's tags.
+ * @param {string} baseUrl - The server's base URL, to print the ping URL.
+ */
+async function create (client, { name, schedule, grace, slug, timezone, project, tag = [] }, baseUrl) {
+  const body = { name, schedule, grace, slug, timezone, tags: tag.length > 0 ? tag : undefined }
+  const path = project ? `/projects/${encodeURIComponent(project)}/checks` : '/checks'
+  const check = await client.request('POST', path, body)
+  console.log(`Created check "${check.name}" (${check.uuid}).`)
+  console.log(`Ping URL: ${baseUrl.replace(/\/+$/, '')}/ping/${check.uuid}`)
+}
+
+/**
+ * Deletes a check.
+ * @param {object} client - The client from `createClient`.
+ * @param {string} uuid - The check's UUID.
+ */
+async function remove (client, uuid) {
+  await client.request('DELETE', `/checks/${encodeURIComponent(uuid)}`)
+  console.log(`Deleted check ${uuid}.`)
+}
+
+/**
+ * Puts a check into maintenance, or takes it out again.
+ * The API only toggles maintenance, so the check is read first and left alone if it is already as requested.
+ * @param {object} client - The client from `createClient`.
+ * @param {string} uuid - The check's UUID.
+ * @param {boolean} paused - Whether the check should be in maintenance.
+ */
+async function setPaused (client, uuid, paused) {
+  const path = `/checks/${encodeURIComponent(uuid)}`
+  const check = await client.request('GET', path)
+  if ((check.status === 'maintenance') === paused) {
+    console.log(`Check "${check.name}" is already ${paused ? 'paused' : 'active'}.`)
+    return
+  }
+  const updated = await client.request('POST', `${path}/maintenance`)
+  console.log(`Check "${updated.name}" is now ${updated.status}.`)
+}
+
+export const checkCommands = {
+  list,
+  create,
+  remove,
+  pause: (client, uuid) => setPaused(client, uuid, true),
+  resume: (client, uuid) => setPaused(client, uuid, false)
+}
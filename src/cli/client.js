@@ -0,0 +1,77 @@
+/** How long a request may take. Signals must never hold up the job they report on for long. */
+const REQUEST_TIMEOUT_MS = 10 * 1000
+
+/** An error answered by the Pulse API, with its HTTP status and field errors, if any. */
+export class ApiError extends Error {
+  constructor (message, status, fieldErrors = []) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.fieldErrors = fieldErrors
+  }
+}
+
+/**
+ * Creates a client for a Pulse server.
+ * @param {object} options
+ * @param {string} options.baseUrl - The server's base URL, e.g. https://pulse.example.com.
+ * @param {string} [options.apiKey] - The API key sent as a bearer token to the REST API.
+ * @returns {{ request: Function, signal: Function }}
+ */
+export function createClient ({ baseUrl, apiKey }) {
+  const root = baseUrl.replace(/\/+$/, '')
+
+  /**
+   * Calls the REST API under `/api/v1`.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The route, e.g. `/checks`.
+   * @param {object} [body] - The JSON request body.
+   * @returns {Promise<object|null>} The JSON response, or null for 204 responses.
+   * @throws {ApiError} If the server answers with an error.
+   */
+  async function request (method, path, body) {
+    const headers = { Accept: 'application/json' }
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+    const response = await fetch(`${root}/api/v1${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    })
+    if (response.status === 204) return null
+    const payload = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new ApiError(payload.message || response.statusText, response.status, payload.errors)
+    }
+    return payload
+  }
+
+  /**
+   * Sends a signal to a ping URL.
+   * @param {string} target - The check's UUID, or `<ping-key>/<slug>`.
+   * @param {string} [signal] - The signal path after the target: '', 'start', 'fail' or an exit status.
+   * @param {object} [options]
+   * @param {string} [options.output] - The job's output, sent as the request body.
+   * @param {object} [options.query] - Query parameters, e.g. `{ duration }`.
+   * @throws {ApiError} If the server answers with an error.
+   */
+  async function signal (target, signal = '', { output, query = {} } = {}) {
+    const url = new URL(`${root}/ping/${target}${signal === '' ? '' : `/${signal}`}`)
+    for (const [key, value] of Object.entries(query)) {
+      url.searchParams.set(key, value)
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+      body: output || undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    })
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}))
+      throw new ApiError(payload.message || response.statusText, response.status)
+    }
+  }
+
+  return { request, signal }
+}
@@ -0,0 +1,86 @@
+import { spawn } from 'child_process'
+import os from 'os'
+
+/** How much of the job's output is kept and sent, matching what the server stores with an event. */
+const OUTPUT_TAIL_BYTES = 10 * 1024
+
+/** Signals passed on to the job, so that stopping the wrapper also stops the job it reports on. */
+const FORWARDED_SIGNALS = ['SIGTERM', 'SIGHUP']
+
+/**
+ * Keeps the last bytes written to it.
+ * @param {number} size - The number of bytes to keep.
+ */
+function createTail (size) {
+  let chunks = []
+  let length = 0
+  return {
+    push (chunk) {
+      chunks.push(chunk)
+      length += chunk.length
+      while (length - chunks[0].length >= size) {
+        length -= chunks.shift().length
+      }
+    },
+    toString () {
+      const buffer = Buffer.concat(chunks, length)
+      chunks = [buffer]
+      return buffer.subarray(Math.max(0, buffer.length - size)).toString('utf8')
+    }
+  }
+}
+
+/**
+ * Runs a command, passing its output through, and reports its result to a check.
+ * A start signal is sent before the command runs; afterwards the exit status, the duration and the tail of the
+ * combined stdout and stderr are sent. Signals that cannot be delivered are reported on stderr but never fail the job.
+ * @param {object} client - The client from `createClient`.
+ * @param {string} target - The check's UUID, or `<ping-key>/<slug>`.
+ * @param {string[]} command - The command and its arguments.
+ * @returns {Promise<number>} The exit code to leave with: the command's, 128 + the signal number if it was
+ *   killed, or 127 if it could not be started.
+ */
+async function runJob (client, target, [file, ...args]) {
+  const report = async (signal, options) => {
+    try {
+      await client.signal(target, signal, options)
+    } catch (error) {
+      console.error(`pulse: could not send the ${signal || 'success'} signal: ${error.message}`)
+    }
+  }
+
+  await report('start')
+  const startedAt = Date.now()
+  const output = createTail(OUTPUT_TAIL_BYTES)
+  const result = await new Promise((resolve) => {
+    const child = spawn(file, args, { stdio: ['inherit', 'pipe', 'pipe'] })
+    const forward = (signal) => child.kill(signal)
+    FORWARDED_SIGNALS.forEach(signal => process.on(signal, forward))
+    child.stdout.on('data', (chunk) => { process.stdout.write(chunk); output.push(chunk) })
+    child.stderr.on('data', (chunk) => { process.stderr.write(chunk); output.push(chunk) })
+    child.on('error', error => resolve({ error }))
+    child.on('close', (code, signal) => resolve({ code, signal }))
+  }).finally(() => FORWARDED_SIGNALS.forEach(signal => process.removeAllListeners(signal)))
+  const duration = Date.now() - startedAt
+
+  if (result.error) {
+    const reason = `Could not run ${file}: ${result.error.message}`
+    console.error(`pulse: ${reason}`)
+    await report('fail', { query: { reason } })
+    return 127
+  }
+  if (result.signal) {
+    await report('fail', { output: output.toString(), query: { reason: `Killed by ${result.signal}` } })
+    return 128 + (os.constants.signals[result.signal] ?? 0)
+  }
+  if (result.code === 0) {
+    await report('', { output: output.toString(), query: { duration } })
+  } else {
+    await report(String(result.code), { output: output.toString() })
+  }
+  return result.code
+}
+
+export const jobRunner = {
+  runJob
+}
@@ -0,0 +1,104 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { data } from './db.js'
+
+/**
+ * Names of the snapshots written by `createSnapshot`, e.g. pulse-2024-10-15T03-00-00-000Z-3f9a1c.db, and by earlier
+ * versions, e.g. pulse-2024-10-15T03-00-00Z.db. Sorting them sorts by age.
+ */
+const SNAPSHOT_PATTERN = /^pulse-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(-\d{3}Z-[0-9a-f]{6}|Z)\.db$/
+
+/**
+ * Reads the number of snapshots to keep from the environment.
+ * @returns {number} The number of snapshots. 0 keeps every snapshot.
+ * @throws {Error} If `BACKUP_KEEP` is set but not a whole number.
+ */
+function keepSetting () {
+  const value = process.env.BACKUP_KEEP
+  if (value === undefined || value === '') return 7
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`BACKUP_KEEP must be a whole number (0 keeps every snapshot); got "${value}".`)
+  }
+  return parseInt(value, 10)
+}
+
+/**
+ * Where and when snapshots are taken, and how many are kept. Scheduled snapshots are off unless `schedule` is set,
+ * since they take disk space of their own, best on another volume than the database.
+ */
+const settings = {
+  directory: path.resolve(process.env.BACKUP_DIR || path.join('data', 'backups')),
+  schedule: process.env.BACKUP_SCHEDULE || '',
+  keep: keepSetting()
+}
+
+/**
+ * Builds the file name of a snapshot taken at a time. A random suffix keeps snapshots taken in the same millisecond,
+ * e.g. a scheduled one and one for `POST /api/v1/admin/backup`, from overwriting each other.
+ * @param {Date} date - The time of the snapshot.
+ * @returns {string}
+ */
+function snapshotName (date) {
+  return `pulse-${date.toISOString().slice(0, 23).replace(/[:.]/g, '-')}Z-${crypto.randomBytes(3).toString('hex')}.db`
+}
+
+/**
+ * Takes a consistent snapshot of the database.
+ * The snapshot is written under a temporary name and renamed when complete, so that an interrupted backup never
+ * looks like a usable one.
+ * @param {string} [directory] - The directory to write to, created if needed.
+ * @returns {Promise<string>} The path of the snapshot.
+ */
+async function createSnapshot (directory = settings.directory) {
+  fs.mkdirSync(directory, { recursive: true })
+  const file = path.join(directory, snapshotName(new Date()))
+  const partialFile = `${file}.partial`
+  try {
+    await data.backup(partialFile)
+    fs.renameSync(partialFile, file)
+  } catch (error) {
+    fs.rmSync(partialFile, { force: true })
+    throw error
+  }
+  return file
+}
+
+/**
+ * Deletes the oldest snapshots in the backup directory beyond `settings.keep`. Other files are left alone.
+ * @returns {string[]} The names of the deleted snapshots.
+ */
+function rotateSnapshots () {
+  if (settings.keep === 0 || !fs.existsSync(settings.directory)) return []
+  const snapshots = fs.readdirSync(settings.directory).filter(name => SNAPSHOT_PATTERN.test(name)).sort()
+  const expired = snapshots.slice(0, Math.max(0, snapshots.length - settings.keep))
+  for (const name of expired) {
+    fs.rmSync(path.join(settings.directory, name))
+  }
+  return expired
+}
+
+/**
+ * Takes a snapshot into a fresh temporary directory, e.g. to send it to a client.
+ * @returns {Promise<{ file: string, name: string, cleanup: Function }>} The snapshot, its file name, and a function
+ *   that deletes it.
+ */
+async function createTemporarySnapshot () {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-backup-'))
+  const cleanup = () => fs.rmSync(directory, { recursive: true, force: true })
+  try {
+    const file = await createSnapshot(directory)
+    return { file, name: path.basename(file), cleanup }
+  } catch (error) {
+    cleanup()
+    throw error
+  }
+}
+
+export const backups = {
+  settings,
+  createSnapshot,
+  rotateSnapshots,
+  createTemporarySnapshot
+}
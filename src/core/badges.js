@@ -0,0 +1,86 @@
+/**
+ * Badge colors of the check statuses, keyed like `statusMap` in `src/metrics.js`. The names are understood by
+ * shields.io; `COLOR_VALUES` has the colors of the SVG badges rendered by Pulse itself.
+ */
+const STATUS_COLORS = { down: 'red', up: 'brightgreen', new: 'lightgrey', maintenance: 'blue', failed: 'orange' }
+const COLOR_VALUES = { red: '#e05d44', brightgreen: '#4c1', lightgrey: '#9f9f9f', blue: '#007ec6', orange: '#fe7d37' }
+
+/** Message of a tag badge whose tag is no longer used by any check. */
+const NO_CHECKS = 'no checks'
+
+/**
+ * Combines the statuses of the checks with a tag into the status of its badge: down or failed if any check is,
+ * otherwise up if any check is up, new if any check is new, and maintenance if all checks are in maintenance.
+ * @param {string[]} statuses - The statuses of the checks.
+ * @returns {string|null} The combined status, or null if there are no checks.
+ */
+function combineStatuses (statuses) {
+  for (const status of ['down', 'failed', 'up', 'new', 'maintenance']) {
+    if (statuses.includes(status)) return status
+  }
+  return null
+}
+
+/**
+ * Estimates the width of a text in 11px Verdana, the badge font. Exact widths would need the font's metrics;
+ * this errs on the wide side so that text is never cut off.
+ * @param {string} text - The text.
+ * @returns {number} The width in pixels.
+ */
+function textWidth (text) {
+  let width = 0
+  for (const char of text) {
+    width += /[ilI.,:;|!'`]/.test(char) ? 4 : /[mwMW@%]/.test(char) ? 10 : /[A-Z0-9#&]/.test(char) ? 8 : 7
+  }
+  return width
+}
+
+/** Escapes text for use in SVG markup. */
+function escapeXml (text) {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+/**
+ * Describes a badge.
+ * @param {string} label - The left-hand text, e.g. the check's name.
+ * @param {string|null} status - The status, or null for a tag without checks.
+ * @returns {{ label: string, message: string, color: string }}
+ */
+function describe (label, status) {
+  return { label, message: status ?? NO_CHECKS, color: STATUS_COLORS[status] ?? 'lightgrey' }
+}
+
+/**
+ * Renders a badge as a flat SVG image in the style of shields.io.
+ * @param {{ label: string, message: string, color: string }} badge - The badge from `describe`.
+ * @returns {string} The SVG document.
+ */
+function renderSvg ({ label, message, color }) {
+  const labelWidth = textWidth(label) + 10
+  const messageWidth = textWidth(message) + 10
+  const width = labelWidth + messageWidth
+  const title = escapeXml(`${label}: ${message}`)
+  const text = (value, x) => `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text><text x="${x}" y="14">${escapeXml(value)}</text>`
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}"><title>${title}</title>` +
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>' +
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>` +
+    `<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${COLOR_VALUES[color]}"/><rect width="${width}" height="20" fill="url(#s)"/></g>` +
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">' +
+    `${text(label, labelWidth / 2)}${text(message, labelWidth + messageWidth / 2)}</g></svg>`
+}
+
+/**
+ * Renders a badge in the format of the shields.io endpoint badge, see https://shields.io/badges/endpoint-badge.
+ * @param {{ label: string, message: string, color: string }} badge - The badge from `describe`.
+ * @returns {object} The JSON body.
+ */
+function renderEndpoint ({ label, message, color }) {
+  return { schemaVersion: 1, label, message, color }
+}
+
+export const badges = {
+  combineStatuses,
+  describe,
+  renderSvg,
+  renderEndpoint
+}
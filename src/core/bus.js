@@ -0,0 +1,13 @@
+import { EventEmitter } from 'events'
+
+/**
+ * Application-wide event bus.
+ * The data layer announces changes here ('check_created', 'check_updated' and 'check_deleted' with `{ check }`,
+ * 'transition' with `{ check, from, to }` when a check changes status, and 'signal' with `{ check, type, duration }`
+ * for every start, ping or fail signal received from a job), and the status engine announces
+ * 'still_down' for every check it finds down again, so that subsystems such as notifications and the live event
+ * stream can react without coupling to the database code.
+ */
+const bus = new EventEmitter()
+
+export { bus }
@@ -15,4 +15,16 @@ const cache = new NodeCache({ stdTTL: standardTTL, useClones: false })
 
 console.log('In-memory cache system initialized.')
 
-export { cache }
+/**
+ * Invalidates all cached check lists, e.g. after a check or project was changed.
+ * @returns {string[]} The invalidated keys.
+ */
+function invalidateCheckLists () {
+  const listKeys = cache.keys().filter(k => k.startsWith('checks_list_'))
+  if (listKeys.length > 0) {
+    cache.del(listKeys)
+  }
+  return listKeys
+}
+
+export { cache, invalidateCheckLists }
@@ -0,0 +1,234 @@
+import YAML from 'yaml'
+import { data } from './db.js'
+import { metrics } from '../metrics.js'
+import { invalidateCheckLists } from './cache.js'
+
+/** The settings a configuration document declares for each check, compared to find changes. */
+const SETTINGS = ['name', 'schedule', 'grace', 'timezone', 'retention', 'tags', 'channels', 'escalationPolicy']
+
+/**
+ * Parses a configuration document.
+ * @param {string} text - The document.
+ * @param {'json'|'yaml'} format - Its format. YAML is a superset of JSON, so either parses JSON.
+ * @returns {any} The parsed document, still to be validated.
+ * @throws {Error} If the document is not well-formed.
+ */
+function parseDocument (text, format) {
+  return format === 'yaml' ? YAML.parse(text) : JSON.parse(text)
+}
+
+/**
+ * Serializes a configuration document.
+ * @param {object} document - The document, see `exportDocument`.
+ * @param {'json'|'yaml'} format - The format.
+ * @returns {string}
+ */
+function stringifyDocument (document, format) {
+  return format === 'yaml' ? YAML.stringify(document) : `${JSON.stringify(document, null, 2)}\n`
+}
+
+/** Builds the key that identifies a check across imports and exports. */
+const keyOf = (projectName, slug) => `${projectName}/${slug}`
+
+/**
+ * Describes a check from the database in the terms of a configuration document.
+ * @param {object} check - The check object from the database.
+ * @param {Map<number, string>} policyNames - Escalation policy names, keyed by ID.
+ * @returns {object} The check's settings, with empty settings as null or empty arrays.
+ */
+function describeCheck (check, policyNames) {
+  return {
+    name: check.name,
+    schedule: check.schedule,
+    grace: check.grace,
+    timezone: check.timezone || null,
+    retention: check.retention || null,
+    tags: check.tags,
+    channels: data.getChannelsForCheck(check.id).map(channel => channel.name).sort(),
+    escalationPolicy: policyNames.get(check.escalation_policy_id) ?? null
+  }
+}
+
+/**
+ * Exports every check as a configuration document that `planImport` accepts, sorted by project and slug.
+ * UUIDs are left out: checks are identified by their project and slug. Settings that are not set are omitted.
+ * @returns {{ checks: object[] }}
+ */
+function exportDocument () {
+  const policyNames = new Map(data.getAllEscalationPolicies().map(policy => [policy.id, policy.name]))
+  const checks = data.getAllChecksUnpaginated()
+    .sort((a, b) => a.project_name.localeCompare(b.project_name) || a.slug.localeCompare(b.slug))
+    .map((check) => {
+      const settings = describeCheck(check, policyNames)
+      const entry = { project: check.project_name, slug: check.slug }
+      for (const setting of SETTINGS) {
+        const value = settings[setting]
+        if (value !== null && !(Array.isArray(value) && value.length === 0)) {
+          entry[setting] = value
+        }
+      }
+      return entry
+    })
+  return { checks }
+}
+
+/**
+ * Compares a validated configuration document with the checks in the database.
+ * Checks are matched by project and slug, so existing checks keep their UUIDs (and ping URLs).
+ * Settings left out of the document are reset: no timezone, tags, channels or escalation policy.
+ * @param {{ checks: object[] }} document - The document, validated against `schemas.configDocument`.
+ * @param {object} [options]
+ * @param {boolean} [options.prune] - Whether checks missing from the document are deleted.
+ * @returns {{ errors: { field: string, message: string }[], plan: object|null }} The references to unknown
+ *   channels or policies and duplicate checks in the document, or the plan of changes for `applyImport`.
+ */
+function planImport (document, { prune = false } = {}) {
+  const defaultProjectName = data.getProjectById(data.getDefaultProjectId()).name
+  const projectsByName = new Map(data.getAllProjects().map(project => [project.name, project]))
+  const channelsByName = new Map(data.getAllChannels().map(channel => [channel.name, channel]))
+  const policiesByName = new Map(data.getAllEscalationPolicies().map(policy => [policy.name, policy]))
+  const policyNames = new Map([...policiesByName.values()].map(policy => [policy.id, policy.name]))
+
+  const errors = []
+  const declared = new Map()
+  for (const [index, entry] of document.checks.entries()) {
+    const project = entry.project ?? defaultProjectName
+    const key = keyOf(project, entry.slug)
+    if (declared.has(key)) {
+      errors.push({ field: `checks.${index}.slug`, message: `is already used by checks.${declared.get(key).index} in project "${project}"` })
+    }
+    const unknownChannel = (entry.channels || []).find(channelName => !channelsByName.has(channelName))
+    if (unknownChannel !== undefined) {
+      errors.push({ field: `checks.${index}.channels`, message: `refers to the unknown channel "${unknownChannel}"` })
+    }
+    if (entry.escalationPolicy && !policiesByName.has(entry.escalationPolicy)) {
+      errors.push({ field: `checks.${index}.escalationPolicy`, message: `refers to the unknown escalation policy "${entry.escalationPolicy}"` })
+    }
+    const settings = {
+      name: entry.name,
+      schedule: entry.schedule,
+      grace: entry.grace,
+      timezone: entry.timezone || null,
+      retention: entry.retention || null,
+      tags: [...new Set(entry.tags || [])].sort(),
+      channels: [...new Set(entry.channels || [])].sort(),
+      escalationPolicy: entry.escalationPolicy || null
+    }
+    declared.set(key, { index, project, slug: entry.slug, settings })
+  }
+  if (errors.length > 0) {
+    return { errors, plan: null }
+  }
+
+  const plan = {
+    projects: [...new Set([...declared.values()].map(({ project }) => project))].filter(name => !projectsByName.has(name)),
+    created: [],
+    updated: [],
+    deleted: [],
+    unchanged: 0,
+    channelsByName,
+    policiesByName
+  }
+  for (const check of data.getAllChecksUnpaginated()) {
+    const key = keyOf(check.project_name, check.slug)
+    const wanted = declared.get(key)
+    if (!wanted) {
+      if (prune) plan.deleted.push({ project: check.project_name, slug: check.slug, check })
+      continue
+    }
+    declared.delete(key)
+    const current = describeCheck(check, policyNames)
+    const changes = {}
+    for (const setting of SETTINGS) {
+      if (JSON.stringify(current[setting]) !== JSON.stringify(wanted.settings[setting])) {
+        changes[setting] = { from: current[setting], to: wanted.settings[setting] }
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      plan.updated.push({ project: check.project_name, slug: check.slug, changes, check, settings: wanted.settings })
+    } else {
+      plan.unchanged++
+    }
+  }
+  plan.created = [...declared.values()].map(({ project, slug, settings }) => ({ project, slug, settings }))
+  return { errors: [], plan }
+}
+
+/**
+ * Describes a plan for clients and logs, without the database objects it carries.
+ * @param {object} plan - The plan from `planImport`.
+ * @returns {object} The projects and checks that are (or would be) created, changed and deleted.
+ */
+function summarize (plan) {
+  return {
+    createdProjects: plan.projects,
+    created: plan.created.map(({ project, slug }) => ({ project, slug })),
+    updated: plan.updated.map(({ project, slug, check, changes }) => ({ project, slug, uuid: check.uuid, changes })),
+    deleted: plan.deleted.map(({ project, slug, check }) => ({ project, slug, uuid: check.uuid })),
+    unchanged: plan.unchanged
+  }
+}
+
+/**
+ * Carries out a plan from `planImport` in a single transaction, then updates the metrics and list caches.
+ * @param {object} plan - The plan.
+ */
+function applyImport (plan) {
+  const channelIdsOf = (settings) => settings.channels.map(channelName => plan.channelsByName.get(channelName).id)
+  const policyIdOf = (settings) => settings.escalationPolicy ? plan.policiesByName.get(settings.escalationPolicy).id : null
+
+  const results = data.inTransaction(() => {
+    const projectIds = new Map(data.getAllProjects().map(project => [project.name, project.id]))
+    for (const name of plan.projects) {
+      projectIds.set(name, data.createProject({ name }).id)
+    }
+    const created = plan.created.map(({ project, slug, settings }) => {
+      const check = data.createCheck({
+        name: settings.name,
+        slug,
+        schedule: settings.schedule,
+        grace: settings.grace,
+        timezone: settings.timezone,
+        retention: settings.retention,
+        projectId: projectIds.get(project),
+        escalationPolicyId: policyIdOf(settings),
+        tags: settings.tags
+      })
+      data.setCheckChannels(check.uuid, channelIdsOf(settings))
+      return check
+    })
+    const updated = plan.updated.map(({ check, changes, settings }) => {
+      if (changes.channels) {
+        data.setCheckChannels(check.uuid, channelIdsOf(settings))
+      }
+      const updatedCheck = data.updateCheck(check.uuid, {
+        name: settings.name,
+        schedule: settings.schedule,
+        grace: settings.grace,
+        timezone: settings.timezone,
+        retention: settings.retention,
+        tags: settings.tags,
+        escalation_policy_id: policyIdOf(settings)
+      })
+      return { previous: check, check: updatedCheck }
+    })
+    for (const { check } of plan.deleted) {
+      data.deleteCheck(check.uuid)
+    }
+    return { created, updated }
+  })
+
+  results.created.forEach(check => metrics.updateMetricsForCheck(check))
+  results.updated.forEach(({ previous, check }) => metrics.relabelMetricsForCheck(previous, check))
+  plan.deleted.forEach(({ check }) => metrics.removeMetricsForCheck(check))
+  invalidateCheckLists()
+}
+
+export const checkConfig = {
+  parseDocument,
+  stringifyDocument,
+  exportDocument,
+  planImport,
+  summarize,
+  applyImport
+}
@@ -1,7 +1,10 @@
 import Database from 'better-sqlite3'
 import path from 'path'
 import fs from 'fs'
+import crypto from 'crypto'
 import { v4 as uuidv4 } from 'uuid'
+import { bus } from './bus.js'
+import { slugs } from './slugs.js'
 
 // Ensure the data directory exists.
 const dataDir = path.join(process.cwd(), 'data')
@@ -13,6 +16,8 @@ const db = new Database(path.join(dataDir, 'pulse.db'))
 
 // Enable Write-Ahead Logging for better concurrency and performance.
 db.pragma('journal_mode = WAL')
+// Enforce foreign keys so that a check's history is removed together with the check.
+db.pragma('foreign_keys = ON')
 
 /**
  * A generic transaction wrapper for atomicity.
@@ -21,6 +26,94 @@ db.pragma('journal_mode = WAL')
  */
 const asTransaction = (fn) => db.transaction(fn)
 
+/** Bus events held back until the transaction of `inTransaction` commits, or null outside of one. */
+let deferredEvents = null
+
+/**
+ * Announces a change on the bus, or, inside `inTransaction`, once its transaction has committed.
+ * @param {string} event - The bus event, e.g. 'check_updated'.
+ * @param {object} payload - The event data.
+ */
+function announce (event, payload) {
+  if (deferredEvents) {
+    deferredEvents.push([event, payload])
+  } else {
+    bus.emit(event, payload)
+  }
+}
+
+/**
+ * Runs several data operations atomically, e.g. all changes of a configuration import.
+ * Their bus events are only emitted once the transaction has committed, and not at all if it rolls back, so that
+ * listeners never act on changes that did not happen.
+ * @param {Function} fn - The function to execute inside the transaction.
+ * @returns The result of the function.
+ */
+function inTransaction (fn) {
+  if (deferredEvents) {
+    return asTransaction(fn)()
+  }
+  deferredEvents = []
+  let result, events
+  try {
+    result = asTransaction(fn)()
+    events = deferredEvents
+  } finally {
+    deferredEvents = null
+  }
+  for (const [event, payload] of events) {
+    bus.emit(event, payload)
+  }
+  return result
+}
+
+/**
+ * Wraps a function that returns a check (or null) so that the check is announced on the bus under `event`
+ * once the function has returned, i.e. after its transaction has committed.
+ * @param {string} event - The bus event, e.g. 'check_updated'.
+ * @param {Function} fn - The function to wrap.
+ * @returns {Function} The wrapped function.
+ */
+const announcing = (event, fn) => (...args) => {
+  const check = fn(...args)
+  if (check) announce(event, { check })
+  return check
+}
+
+/**
+ * Wraps a status-changing transaction, records the change in the status history within the same transaction,
+ * and announces it on the bus once it has committed: as a 'transition' if the status changed, and as a
+ * 'check_updated' otherwise (e.g. a ping that only moved `last_ping_at`).
+ * The wrapped function must return `{ check, previousStatus }` (or null if the check was not found), plus a
+ * `signal: { type, duration }` if it recorded a signal from the job, which is announced as a 'signal';
+ * the returned function resolves to the updated check only.
+ * @param {Function} fn - The function to execute inside the transaction.
+ * @returns {Function} The wrapped function.
+ */
+const withTransition = (fn) => {
+  const transaction = asTransaction((...args) => {
+    const result = fn(...args)
+    if (result?.check && result.check.status !== result.previousStatus) {
+      recordStatusChange(result.check.id, result.previousStatus, result.check.status)
+    }
+    return result
+  })
+  return (...args) => {
+    const result = transaction(...args)
+    if (!result) return null
+    const { check, previousStatus, signal } = result
+    if (check && signal) {
+      announce('signal', { check, ...signal })
+    }
+    if (check && check.status !== previousStatus) {
+      announce('transition', { check, from: previousStatus, to: check.status })
+    } else if (check) {
+      announce('check_updated', { check })
+    }
+    return check
+  }
+}
+
 /**
  * Non-destructively adds a new column to a table if it doesn't already exist.
  * @param {string} tableName - The name of the table to alter.
@@ -35,6 +128,20 @@ function addColumnIfNotExists (tableName, columnName, columnDefinition) {
   }
 }
 
+/** Selects checks together with the name of their project and their comma-separated tags (see `hydrateCheck`). */
+const SELECT_CHECKS = `SELECT checks.*, projects.name AS project_name,
+  (SELECT group_concat(tag, ',') FROM check_tags WHERE check_tags.check_id = checks.id) AS tags
+  FROM checks LEFT JOIN projects ON projects.id = checks.project_id`
+
+/** SQL sort expressions for check lists, keyed by the `sort` parameter. Ties are broken by name. */
+const checkSortOrders = {
+  name: 'checks.name',
+  // Ascending puts the most urgent checks first: down, failed, new, up, maintenance.
+  status: "CASE checks.status WHEN 'down' THEN 0 WHEN 'failed' THEN 1 WHEN 'new' THEN 2 WHEN 'up' THEN 3 ELSE 4 END",
+  // Ascending puts checks that never pinged first, then the longest silent ones.
+  last_ping: 'checks.last_ping_at'
+}
+
 // --- Prepared Statements for Performance ---
 // Declare queries object in the module scope. It will be populated by setup().
 let queries = {}
@@ -43,12 +150,33 @@ let queries = {}
  * Creates the necessary database tables and indexes and runs migrations.
  */
 function setup () {
+  // Let pages freed by the retention job be returned to the file system with `incrementalVacuum`. Existing
+  // databases only switch after a full VACUUM, which blocks startup for a while on large files and needs free disk
+  // space for a copy of the database, so it only runs when asked for with `DB_VACUUM_MIGRATION=true`.
+  if (db.pragma('auto_vacuum', { simple: true }) !== 2) {
+    // A new database still needs a VACUUM, since switching to WAL above has already written its header, but being
+    // empty it takes no time.
+    if (db.prepare('SELECT COUNT(*) AS total FROM sqlite_master').get().total === 0) {
+      db.pragma('auto_vacuum = INCREMENTAL')
+      db.exec('VACUUM')
+    } else if (process.env.DB_VACUUM_MIGRATION !== 'true') {
+      console.log('Incremental vacuum is off for this database, so pruned history does not shrink the file. Set DB_VACUUM_MIGRATION=true to rebuild it once on the next start.')
+    } else {
+      const sizeMb = (fs.statSync(path.join(dataDir, 'pulse.db')).size / 1024 / 1024).toFixed(1)
+      console.log(`Schema migration: Enabling incremental vacuum. This rebuilds the ${sizeMb} MB database file once and needs as much free disk space...`)
+      const startedAt = Date.now()
+      db.pragma('auto_vacuum = INCREMENTAL')
+      db.exec('VACUUM')
+      console.log(`Schema migration: Incremental vacuum enabled in ${((Date.now() - startedAt) / 1000).toFixed(1)}s.`)
+    }
+  }
+
   db.exec(`
     CREATE TABLE IF NOT EXISTS checks (
                                         id INTEGER PRIMARY KEY AUTOINCREMENT,
                                         uuid TEXT NOT NULL UNIQUE,
                                         name TEXT NOT NULL,
-                                        schedule TEXT NOT NULL,
+                                        schedule TEXT NOT NULL, -- An interval such as '10m' or a cron expression
                                         grace TEXT NOT NULL,
                                         status TEXT NOT NULL DEFAULT 'new', -- 'new', 'up', 'down', 'failed', 'maintenance'
                                         last_ping_at INTEGER,
@@ -60,35 +188,435 @@ function setup () {
     CREATE INDEX IF NOT EXISTS idx_checks_status ON checks (status);
     -- Index to speed up lookups by UUID.
     CREATE INDEX IF NOT EXISTS idx_checks_uuid ON checks (uuid);
+
+    CREATE TABLE IF NOT EXISTS projects (
+                                          id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                          name TEXT NOT NULL UNIQUE,
+                                          created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+                                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                        check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                        type TEXT NOT NULL, -- 'start', 'ping', 'fail', 'down', 'maintenance_on', 'maintenance_off', 'acknowledge'
+                                        created_at INTEGER NOT NULL,
+                                        duration_ms INTEGER,
+                                        source_ip TEXT,
+                                        user_agent TEXT,
+                                        reason TEXT
+    );
+    -- Index to speed up the paginated history of a single check.
+    CREATE INDEX IF NOT EXISTS idx_events_check_created ON events (check_id, created_at DESC, id DESC);
+
+    CREATE TABLE IF NOT EXISTS status_changes (
+                                                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                                check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                                from_status TEXT, -- NULL for the first entry of a check
+                                                to_status TEXT NOT NULL,
+                                                created_at INTEGER NOT NULL
+    );
+    -- Index to speed up uptime calculations over a time window.
+    CREATE INDEX IF NOT EXISTS idx_status_changes_check_created ON status_changes (check_id, created_at, id);
+
+    CREATE TABLE IF NOT EXISTS channels (
+                                          id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                          name TEXT NOT NULL,
+                                          type TEXT NOT NULL, -- 'webhook', 'slack', 'discord', 'teams', 'googlechat', 'email'
+                                          config TEXT NOT NULL, -- JSON, e.g. {"url": "..."} or {"to": "..."}
+                                          created_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS check_channels (
+                                                check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                                channel_id INTEGER NOT NULL REFERENCES channels (id) ON DELETE CASCADE,
+                                                PRIMARY KEY (check_id, channel_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS check_tags (
+                                            check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                            tag TEXT NOT NULL, -- Lowercase, without commas
+                                            PRIMARY KEY (check_id, tag)
+    );
+    -- Index to speed up filtering checks by tag.
+    CREATE INDEX IF NOT EXISTS idx_check_tags_tag ON check_tags (tag);
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+                                          id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                          name TEXT NOT NULL,
+                                          prefix TEXT NOT NULL, -- The first characters of the key, to tell keys apart
+                                          key_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the key; the key itself is never stored
+                                          scope TEXT NOT NULL, -- 'read' or 'write'
+                                          project_id INTEGER REFERENCES projects (id) ON DELETE CASCADE, -- NULL for keys that can access every project
+                                          created_at INTEGER NOT NULL,
+                                          last_used_at INTEGER,
+                                          revoked_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+                                       id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                       username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                                       password_hash TEXT NOT NULL, -- scrypt hash with its parameters and salt, see users.hashPassword
+                                       role TEXT NOT NULL, -- 'viewer', 'editor' or 'admin'
+                                       created_at INTEGER NOT NULL,
+                                       last_login_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS maintenance_windows (
+                                                     id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                                     check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                                     starts_at INTEGER, -- One-off windows: Unix timestamps of start and end
+                                                     ends_at INTEGER,
+                                                     schedule TEXT, -- Recurring windows: a cron expression and how long each occurrence lasts
+                                                     duration TEXT,
+                                                     timezone TEXT, -- IANA timezone of the cron expression. NULL means the global CRON_TIMEZONE.
+                                                     reason TEXT,
+                                                     created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_maintenance_windows_check ON maintenance_windows (check_id);
+
+    CREATE TABLE IF NOT EXISTS escalation_policies (
+                                                     id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                                     name TEXT NOT NULL UNIQUE,
+                                                     repeat_interval TEXT, -- How often notified channels are reminded while a check stays down. NULL for never.
+                                                     created_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS escalation_steps (
+                                                  policy_id INTEGER NOT NULL REFERENCES escalation_policies (id) ON DELETE CASCADE,
+                                                  down_count INTEGER NOT NULL, -- The channel is notified once a check has missed this many runs in a row
+                                                  channel_id INTEGER NOT NULL REFERENCES channels (id) ON DELETE CASCADE,
+                                                  PRIMARY KEY (policy_id, down_count, channel_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS tag_badges (
+                                            tag TEXT PRIMARY KEY, -- Lowercase, like check_tags.tag
+                                            badge_key TEXT NOT NULL UNIQUE, -- Public key of the tag's badge at /badge/<badge key>.svg
+                                            created_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS status_pages (
+                                              id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                              slug TEXT NOT NULL UNIQUE, -- The page is public at /status/<slug>
+                                              title TEXT NOT NULL,
+                                              description TEXT,
+                                              created_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS status_page_checks (
+                                                    page_id INTEGER NOT NULL REFERENCES status_pages (id) ON DELETE CASCADE,
+                                                    check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                                    display_name TEXT, -- Name shown on the page. NULL shows the check's name.
+                                                    position INTEGER NOT NULL,
+                                                    PRIMARY KEY (page_id, check_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+                                           id INTEGER PRIMARY KEY AUTOINCREMENT,
+                                           created_at INTEGER NOT NULL,
+                                           actor_type TEXT NOT NULL, -- 'user', 'api_key' or 'anonymous' (failed logins)
+                                           actor_id INTEGER, -- No foreign key: entries outlive deleted users and keys
+                                           actor_name TEXT, -- Username or key name at the time of the action
+                                           action TEXT NOT NULL, -- e.g. 'check.delete', see the README
+                                           target_type TEXT, -- 'check', 'project', 'user', ... NULL for actions without a target
+                                           target_id TEXT, -- The check's UUID, or the ID of other targets
+                                           target_name TEXT,
+                                           before TEXT, -- JSON of the changed fields before the action
+                                           after TEXT, -- JSON of the changed fields after the action
+                                           source_ip TEXT,
+                                           user_agent TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at DESC, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_type, target_id);
+
+    -- Per-check summaries of the runs ('ping' and 'fail' events), kept after the events themselves are pruned.
+    CREATE TABLE IF NOT EXISTS event_rollups (
+                                               check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                               resolution TEXT NOT NULL, -- 'hour' or 'day' (UTC)
+                                               bucket_start INTEGER NOT NULL, -- Unix timestamp of the start of the hour or day
+                                               run_count INTEGER NOT NULL,
+                                               failure_count INTEGER NOT NULL,
+                                               timed_count INTEGER NOT NULL, -- Runs with a duration
+                                               duration_sum_ms INTEGER NOT NULL,
+                                               min_duration_ms INTEGER,
+                                               max_duration_ms INTEGER,
+                                               PRIMARY KEY (check_id, resolution, bucket_start)
+    );
+    CREATE INDEX IF NOT EXISTS idx_event_rollups_bucket ON event_rollups (resolution, bucket_start);
+
+    -- Signals of pruned events, so that the Prometheus counters rebuilt from the history do not go backwards.
+    CREATE TABLE IF NOT EXISTS pruned_signals (
+                                                check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                                type TEXT NOT NULL, -- 'start', 'ping' or 'fail'
+                                                total INTEGER NOT NULL,
+                                                PRIMARY KEY (check_id, type)
+    );
+    -- Status changes that were pruned, for the same reason.
+    CREATE TABLE IF NOT EXISTS pruned_status_changes (
+                                                       check_id INTEGER NOT NULL REFERENCES checks (id) ON DELETE CASCADE,
+                                                       from_status TEXT NOT NULL,
+                                                       to_status TEXT NOT NULL,
+                                                       total INTEGER NOT NULL,
+                                                       PRIMARY KEY (check_id, from_status, to_status)
+    );
   `)
 
   // --- Non-destructive migrations ---
   addColumnIfNotExists('checks', 'last_error', 'TEXT')
+  // Millisecond timestamp of the last unfinished '/start' signal, used to measure run durations.
+  addColumnIfNotExists('checks', 'started_at_ms', 'INTEGER')
+  // IANA timezone for cron schedules. NULL means the global CRON_TIMEZONE.
+  addColumnIfNotExists('checks', 'timezone', 'TEXT')
+  addColumnIfNotExists('checks', 'project_id', 'INTEGER REFERENCES projects (id)')
+  addColumnIfNotExists('api_keys', 'project_id', 'INTEGER REFERENCES projects (id) ON DELETE CASCADE')
+  db.exec('CREATE INDEX IF NOT EXISTS idx_checks_project_name ON checks (project_id, name)')
+  // URL-safe name of a check, unique within its project, used in '/ping/<ping key>/<slug>' URLs.
+  addColumnIfNotExists('checks', 'slug', 'TEXT')
+  // Request body of a signal, e.g. the log of the job run.
+  addColumnIfNotExists('events', 'output', 'TEXT')
+  // Output sent with the signal that finished the latest run, NULL if there was none.
+  addColumnIfNotExists('checks', 'last_output', 'TEXT')
+  // Secret first segment of a project's slug ping URLs.
+  addColumnIfNotExists('projects', 'ping_key', 'TEXT')
+  // 1 if pinging an unknown slug under the project's ping key creates the check.
+  addColumnIfNotExists('projects', 'auto_provision', 'INTEGER NOT NULL DEFAULT 0')
+  // What started or ended the latest maintenance: 'manual' for the toggle, 'window' for a maintenance window.
+  addColumnIfNotExists('checks', 'maintenance_source', 'TEXT')
+  // Unix timestamp of the end of the latest maintenance. The schedule restarts from it.
+  addColumnIfNotExists('checks', 'maintenance_ended_at', 'INTEGER')
+  addColumnIfNotExists('checks', 'escalation_policy_id', 'INTEGER REFERENCES escalation_policies (id) ON DELETE SET NULL')
+  // Millisecond timestamp of the latest expected run missed while the check is down.
+  addColumnIfNotExists('checks', 'missed_run_at_ms', 'INTEGER')
+  // The consecutive_down_count the escalation policy was last applied at, and when a notification was last sent.
+  addColumnIfNotExists('checks', 'notified_down_count', 'INTEGER NOT NULL DEFAULT 0')
+  addColumnIfNotExists('checks', 'last_notified_at', 'INTEGER')
+  // Unix timestamp at which someone took responsibility for the current outage. Stops reminders and escalation.
+  addColumnIfNotExists('checks', 'acknowledged_at', 'INTEGER')
+  // Public key of the check's status badge. Unlike the UUID, it cannot be used to send pings.
+  addColumnIfNotExists('checks', 'badge_key', 'TEXT')
+  // How long the check's events are kept, as a duration. NULL means the global RETENTION_EVENTS.
+  addColumnIfNotExists('checks', 'retention', 'TEXT')
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_checks_project_slug ON checks (project_id, slug);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_ping_key ON projects (ping_key);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_checks_badge_key ON checks (badge_key);
+  `)
 
   // --- Populate the queries object AFTER tables are guaranteed to exist ---
   queries = {
-    getAll: db.prepare('SELECT * FROM checks ORDER BY name ASC LIMIT ? OFFSET ?'),
-    getTotal: db.prepare('SELECT COUNT(*) as total FROM checks'),
-    getAllUnpaginated: db.prepare('SELECT * FROM checks'),
-    getAllActive: db.prepare("SELECT * FROM checks WHERE status != 'maintenance'"),
-    getByUuid: db.prepare('SELECT * FROM checks WHERE uuid = ?'),
-    getById: db.prepare('SELECT * FROM checks WHERE id = ?'),
-    create: db.prepare('INSERT INTO checks (uuid, name, schedule, grace, created_at) VALUES (@uuid, @name, @schedule, @grace, @createdAt)'),
+    getAllUnpaginated: db.prepare(SELECT_CHECKS),
+    getAllActive: db.prepare(`${SELECT_CHECKS} WHERE checks.status != 'maintenance'`),
+    getByUuid: db.prepare(`${SELECT_CHECKS} WHERE checks.uuid = ?`),
+    getById: db.prepare(`${SELECT_CHECKS} WHERE checks.id = ?`),
+    getBySlug: db.prepare(`${SELECT_CHECKS} WHERE checks.project_id = ? AND checks.slug = ?`),
+    getIdBySlug: db.prepare('SELECT id FROM checks WHERE project_id = ? AND slug = ?'),
+    getWithoutSlug: db.prepare('SELECT id, name, project_id FROM checks WHERE slug IS NULL ORDER BY id ASC'),
+    setSlug: db.prepare('UPDATE checks SET slug = ? WHERE id = ?'),
+    getWithoutBadgeKey: db.prepare('SELECT id FROM checks WHERE badge_key IS NULL'),
+    setBadgeKey: db.prepare('UPDATE checks SET badge_key = ? WHERE id = ?'),
+    getByBadgeKey: db.prepare(`${SELECT_CHECKS} WHERE checks.badge_key = ?`),
+    getTagBadge: db.prepare('SELECT tag, badge_key FROM tag_badges WHERE tag = ?'),
+    getTagBadgeByKey: db.prepare('SELECT tag, badge_key FROM tag_badges WHERE badge_key = ?'),
+    setTagBadge: db.prepare('INSERT INTO tag_badges (tag, badge_key, created_at) VALUES (@tag, @badgeKey, @createdAt) ON CONFLICT (tag) DO UPDATE SET badge_key = excluded.badge_key'),
+    deleteTagBadge: db.prepare('DELETE FROM tag_badges WHERE tag = ?'),
+    getStatusesByTag: db.prepare('SELECT checks.status FROM checks JOIN check_tags ON check_tags.check_id = checks.id WHERE check_tags.tag = ?'),
+    create: db.prepare('INSERT INTO checks (uuid, name, slug, schedule, grace, timezone, retention, project_id, escalation_policy_id, badge_key, created_at) VALUES (@uuid, @name, @slug, @schedule, @grace, @timezone, @retention, @projectId, @escalationPolicyId, @badgeKey, @createdAt)'),
     delete: db.prepare('DELETE FROM checks WHERE uuid = ?'),
-    recordPing: db.prepare("UPDATE checks SET status = 'up', last_ping_at = ?, last_ping_duration_ms = ?, consecutive_down_count = 0, last_error = NULL WHERE uuid = ?"),
-    recordFailure: db.prepare("UPDATE checks SET status = 'failed', last_ping_at = ?, last_error = ?, consecutive_down_count = 0 WHERE uuid = ?"),
-    setDown: db.prepare("UPDATE checks SET status = 'down', consecutive_down_count = consecutive_down_count + 1 WHERE id = ?"),
-    setStatus: db.prepare('UPDATE checks SET status = ? WHERE uuid = ?')
+    recordStart: db.prepare('UPDATE checks SET started_at_ms = ? WHERE uuid = ?'),
+    recordPing: db.prepare("UPDATE checks SET status = 'up', last_ping_at = ?, last_ping_duration_ms = ?, last_output = ?, consecutive_down_count = 0, last_error = NULL, started_at_ms = NULL, acknowledged_at = NULL WHERE uuid = ?"),
+    recordFailure: db.prepare("UPDATE checks SET status = 'failed', last_ping_at = ?, last_ping_duration_ms = COALESCE(?, last_ping_duration_ms), last_output = ?, last_error = ?, consecutive_down_count = 0, started_at_ms = NULL, acknowledged_at = NULL WHERE uuid = ?"),
+    setDown: db.prepare("UPDATE checks SET status = 'down', consecutive_down_count = 1, missed_run_at_ms = ?, notified_down_count = 0, last_notified_at = NULL, acknowledged_at = NULL WHERE id = ?"),
+    recordMissedRuns: db.prepare("UPDATE checks SET consecutive_down_count = consecutive_down_count + ?, missed_run_at_ms = ? WHERE id = ? AND status = 'down'"),
+    recordNotification: db.prepare('UPDATE checks SET notified_down_count = ?, last_notified_at = COALESCE(?, last_notified_at) WHERE id = ?'),
+    acknowledge: db.prepare("UPDATE checks SET acknowledged_at = ? WHERE uuid = ? AND status = 'down'"),
+    startMaintenance: db.prepare("UPDATE checks SET status = 'maintenance', maintenance_source = ? WHERE uuid = ?"),
+    endMaintenance: db.prepare('UPDATE checks SET status = ?, maintenance_source = ?, maintenance_ended_at = ? WHERE uuid = ?'),
+    createEvent: db.prepare('INSERT INTO events (check_id, type, created_at, duration_ms, source_ip, user_agent, reason, output) VALUES (@checkId, @type, @createdAt, @durationMs, @sourceIp, @userAgent, @reason, @output)'),
+    getEvents: db.prepare('SELECT id, type, created_at, duration_ms, source_ip, user_agent, reason, output FROM events WHERE check_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?'),
+    getEventTotal: db.prepare('SELECT COUNT(*) as total FROM events WHERE check_id = ?'),
+    createStatusChange: db.prepare('INSERT INTO status_changes (check_id, from_status, to_status, created_at) VALUES (@checkId, @fromStatus, @toStatus, @createdAt)'),
+    getStatusAt: db.prepare('SELECT to_status FROM status_changes WHERE check_id = ? AND created_at <= ? ORDER BY created_at DESC, id DESC LIMIT 1'),
+    getStatusChanges: db.prepare('SELECT from_status, to_status, created_at FROM status_changes WHERE check_id = ? AND created_at > ? AND created_at <= ? ORDER BY created_at ASC, id ASC'),
+    // Totals and run durations from which the Prometheus counters and histograms are rebuilt. A NULL check ID selects all checks.
+    countSignals: db.prepare(`SELECT check_id, type, SUM(total) AS total FROM (
+                                SELECT check_id, type, COUNT(*) AS total FROM events WHERE type IN ('start', 'ping', 'fail') AND (@checkId IS NULL OR check_id = @checkId) GROUP BY check_id, type
+                                UNION ALL SELECT check_id, type, total FROM pruned_signals WHERE @checkId IS NULL OR check_id = @checkId
+                              ) GROUP BY check_id, type`),
+    countStatusChanges: db.prepare(`SELECT check_id, from_status, to_status, SUM(total) AS total FROM (
+                                      SELECT check_id, from_status, to_status, COUNT(*) AS total FROM status_changes WHERE from_status IS NOT NULL AND (@checkId IS NULL OR check_id = @checkId) GROUP BY check_id, from_status, to_status
+                                      UNION ALL SELECT check_id, from_status, to_status, total FROM pruned_status_changes WHERE @checkId IS NULL OR check_id = @checkId
+                                    ) GROUP BY check_id, from_status, to_status`),
+    getRollupWatermark: db.prepare("SELECT MAX(bucket_start) AS bucketStart FROM event_rollups WHERE resolution = 'hour'"),
+    rollUpHours: db.prepare(`INSERT OR REPLACE INTO event_rollups (check_id, resolution, bucket_start, run_count, failure_count, timed_count, duration_sum_ms, min_duration_ms, max_duration_ms)
+                             SELECT check_id, 'hour', created_at - created_at % 3600, COUNT(*), SUM(type = 'fail'), COUNT(duration_ms), COALESCE(SUM(duration_ms), 0), MIN(duration_ms), MAX(duration_ms)
+                             FROM events WHERE type IN ('ping', 'fail') AND created_at >= ? GROUP BY check_id, created_at - created_at % 3600`),
+    rollUpDays: db.prepare(`INSERT OR REPLACE INTO event_rollups (check_id, resolution, bucket_start, run_count, failure_count, timed_count, duration_sum_ms, min_duration_ms, max_duration_ms)
+                            SELECT check_id, 'day', bucket_start - bucket_start % 86400, SUM(run_count), SUM(failure_count), SUM(timed_count), SUM(duration_sum_ms), MIN(min_duration_ms), MAX(max_duration_ms)
+                            FROM event_rollups WHERE resolution = 'hour' AND bucket_start >= ? GROUP BY check_id, bucket_start - bucket_start % 86400`),
+    getRollups: db.prepare(`SELECT bucket_start, run_count AS count, failure_count AS failures, min_duration_ms,
+                              CASE WHEN timed_count > 0 THEN CAST(ROUND(1.0 * duration_sum_ms / timed_count) AS INTEGER) END AS avg_duration_ms, max_duration_ms
+                            FROM event_rollups WHERE check_id = @checkId AND resolution = @resolution AND bucket_start >= @from AND bucket_start < @to ORDER BY bucket_start ASC`),
+    countPrunedSignals: db.prepare(`INSERT INTO pruned_signals (check_id, type, total)
+                                    SELECT check_id, type, COUNT(*) FROM events WHERE check_id = @checkId AND created_at < @before AND type IN ('start', 'ping', 'fail') GROUP BY type
+                                    ON CONFLICT (check_id, type) DO UPDATE SET total = total + excluded.total`),
+    pruneEvents: db.prepare('DELETE FROM events WHERE check_id = @checkId AND created_at < @before'),
+    pruneRollups: db.prepare('DELETE FROM event_rollups WHERE resolution = ? AND bucket_start < ?'),
+    // The latest change of each check before the cutoff is kept, since it tells the status at the cutoff.
+    countPrunedStatusChanges: db.prepare(`INSERT INTO pruned_status_changes (check_id, from_status, to_status, total)
+                                          SELECT check_id, from_status, to_status, COUNT(*) FROM status_changes
+                                          WHERE created_at < @before AND from_status IS NOT NULL AND id <> (
+                                            SELECT latest.id FROM status_changes AS latest WHERE latest.check_id = status_changes.check_id AND latest.created_at < @before ORDER BY latest.created_at DESC, latest.id DESC LIMIT 1
+                                          ) GROUP BY check_id, from_status, to_status
+                                          ON CONFLICT (check_id, from_status, to_status) DO UPDATE SET total = total + excluded.total`),
+    pruneStatusChanges: db.prepare(`DELETE FROM status_changes WHERE created_at < @before AND id <> (
+                                      SELECT latest.id FROM status_changes AS latest WHERE latest.check_id = status_changes.check_id AND latest.created_at < @before ORDER BY latest.created_at DESC, latest.id DESC LIMIT 1
+                                    )`),
+    pruneAuditLog: db.prepare('DELETE FROM audit_log WHERE created_at < ?'),
+    getRunDurations: db.prepare("SELECT check_id, type, duration_ms FROM events WHERE type IN ('ping', 'fail') AND duration_ms IS NOT NULL AND (@checkId IS NULL OR check_id = @checkId)"),
+    getWithoutStatusHistory: db.prepare('SELECT id, status FROM checks WHERE NOT EXISTS (SELECT 1 FROM status_changes WHERE status_changes.check_id = checks.id)'),
+    getAllMaintenanceWindows: db.prepare('SELECT * FROM maintenance_windows ORDER BY id ASC'),
+    getMaintenanceWindows: db.prepare('SELECT * FROM maintenance_windows WHERE check_id = ? ORDER BY id ASC'),
+    getMaintenanceWindowById: db.prepare('SELECT * FROM maintenance_windows WHERE id = ?'),
+    createMaintenanceWindow: db.prepare('INSERT INTO maintenance_windows (check_id, starts_at, ends_at, schedule, duration, timezone, reason, created_at) VALUES (@checkId, @startsAt, @endsAt, @schedule, @duration, @timezone, @reason, @createdAt)'),
+    deleteMaintenanceWindow: db.prepare('DELETE FROM maintenance_windows WHERE id = ? AND check_id = ?'),
+    getAllEscalationPolicies: db.prepare('SELECT escalation_policies.*, (SELECT COUNT(*) FROM checks WHERE checks.escalation_policy_id = escalation_policies.id) AS check_count FROM escalation_policies ORDER BY name ASC'),
+    getEscalationPolicyById: db.prepare('SELECT escalation_policies.*, (SELECT COUNT(*) FROM checks WHERE checks.escalation_policy_id = escalation_policies.id) AS check_count FROM escalation_policies WHERE id = ?'),
+    getEscalationPolicyByName: db.prepare('SELECT id FROM escalation_policies WHERE name = ?'),
+    createEscalationPolicy: db.prepare('INSERT INTO escalation_policies (name, repeat_interval, created_at) VALUES (@name, @repeatInterval, @createdAt)'),
+    updateEscalationPolicy: db.prepare('UPDATE escalation_policies SET name = @name, repeat_interval = @repeatInterval WHERE id = @id'),
+    deleteEscalationPolicy: db.prepare('DELETE FROM escalation_policies WHERE id = ?'),
+    getEscalationSteps: db.prepare('SELECT down_count, channel_id FROM escalation_steps WHERE policy_id = ? ORDER BY down_count ASC, channel_id ASC'),
+    addEscalationStep: db.prepare('INSERT OR IGNORE INTO escalation_steps (policy_id, down_count, channel_id) VALUES (?, ?, ?)'),
+    removeAllEscalationSteps: db.prepare('DELETE FROM escalation_steps WHERE policy_id = ?'),
+    getAllChannels: db.prepare('SELECT * FROM channels ORDER BY name ASC'),
+    getChannelById: db.prepare('SELECT * FROM channels WHERE id = ?'),
+    createChannel: db.prepare('INSERT INTO channels (name, type, config, created_at) VALUES (@name, @type, @config, @createdAt)'),
+    deleteChannel: db.prepare('DELETE FROM channels WHERE id = ?'),
+    getChannelsForCheck: db.prepare('SELECT channels.* FROM channels JOIN check_channels ON check_channels.channel_id = channels.id WHERE check_channels.check_id = ? ORDER BY channels.name ASC'),
+    attachChannel: db.prepare('INSERT OR IGNORE INTO check_channels (check_id, channel_id) VALUES (?, ?)'),
+    detachAllChannels: db.prepare('DELETE FROM check_channels WHERE check_id = ?'),
+    addTag: db.prepare('INSERT OR IGNORE INTO check_tags (check_id, tag) VALUES (?, ?)'),
+    removeAllTags: db.prepare('DELETE FROM check_tags WHERE check_id = ?'),
+    getAllTags: db.prepare(`SELECT check_tags.tag, COUNT(*) AS check_count, tag_badges.badge_key FROM check_tags
+                            LEFT JOIN tag_badges ON tag_badges.tag = check_tags.tag GROUP BY check_tags.tag ORDER BY check_tags.tag ASC`),
+    getAllTagsByProject: db.prepare(`SELECT check_tags.tag, COUNT(*) AS check_count, tag_badges.badge_key FROM check_tags
+                                     JOIN checks ON checks.id = check_tags.check_id LEFT JOIN tag_badges ON tag_badges.tag = check_tags.tag
+                                     WHERE checks.project_id = ? GROUP BY check_tags.tag ORDER BY check_tags.tag ASC`),
+    getAllApiKeys: db.prepare('SELECT id, name, prefix, scope, project_id, created_at, last_used_at, revoked_at FROM api_keys ORDER BY created_at DESC'),
+    getApiKeyById: db.prepare('SELECT id, name, prefix, scope, project_id, created_at, last_used_at, revoked_at FROM api_keys WHERE id = ?'),
+    getActiveApiKeyByHash: db.prepare('SELECT id, name, prefix, scope, project_id, created_at, last_used_at FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'),
+    createApiKey: db.prepare('INSERT INTO api_keys (name, prefix, key_hash, scope, project_id, created_at) VALUES (@name, @prefix, @keyHash, @scope, @projectId, @createdAt)'),
+    revokeApiKey: db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+    // Only written once per minute per key, to keep authenticated requests from turning into writes.
+    touchApiKey: db.prepare('UPDATE api_keys SET last_used_at = @now WHERE id = @id AND (last_used_at IS NULL OR last_used_at < @now - 60)'),
+    getAllUsers: db.prepare('SELECT id, username, role, created_at, last_login_at FROM users ORDER BY username ASC'),
+    getUserById: db.prepare('SELECT id, username, role, created_at, last_login_at FROM users WHERE id = ?'),
+    getUserCredentials: db.prepare('SELECT id, password_hash FROM users WHERE username = ?'),
+    countUsers: db.prepare("SELECT COUNT(*) AS total, COUNT(CASE WHEN role = 'admin' THEN 1 END) AS admins FROM users"),
+    createUser: db.prepare('INSERT INTO users (username, password_hash, role, created_at) VALUES (@username, @passwordHash, @role, @createdAt)'),
+    updateUser: db.prepare('UPDATE users SET role = COALESCE(@role, role), password_hash = COALESCE(@passwordHash, password_hash) WHERE id = @id'),
+    deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+    recordLogin: db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?'),
+    getAllStatusPages: db.prepare('SELECT * FROM status_pages ORDER BY title ASC'),
+    getStatusPageById: db.prepare('SELECT * FROM status_pages WHERE id = ?'),
+    getStatusPageBySlug: db.prepare('SELECT * FROM status_pages WHERE slug = ?'),
+    createStatusPage: db.prepare('INSERT INTO status_pages (slug, title, description, created_at) VALUES (@slug, @title, @description, @createdAt)'),
+    updateStatusPage: db.prepare('UPDATE status_pages SET slug = @slug, title = @title, description = @description WHERE id = @id'),
+    deleteStatusPage: db.prepare('DELETE FROM status_pages WHERE id = ?'),
+    getStatusPageChecks: db.prepare(`SELECT checks.*, status_page_checks.display_name FROM status_page_checks
+                                     JOIN checks ON checks.id = status_page_checks.check_id
+                                     WHERE status_page_checks.page_id = ? ORDER BY status_page_checks.position ASC`),
+    addStatusPageCheck: db.prepare('INSERT OR IGNORE INTO status_page_checks (page_id, check_id, display_name, position) VALUES (@pageId, @checkId, @displayName, @position)'),
+    removeAllStatusPageChecks: db.prepare('DELETE FROM status_page_checks WHERE page_id = ?'),
+    recordAudit: db.prepare(`INSERT INTO audit_log (created_at, actor_type, actor_id, actor_name, action, target_type, target_id, target_name, before, after, source_ip, user_agent)
+                             VALUES (@createdAt, @actorType, @actorId, @actorName, @action, @targetType, @targetId, @targetName, @before, @after, @sourceIp, @userAgent)`),
+    getAllProjects: db.prepare('SELECT projects.*, (SELECT COUNT(*) FROM checks WHERE checks.project_id = projects.id) AS check_count FROM projects ORDER BY projects.name ASC'),
+    getProjectById: db.prepare('SELECT projects.*, (SELECT COUNT(*) FROM checks WHERE checks.project_id = projects.id) AS check_count FROM projects WHERE projects.id = ?'),
+    getFirstProject: db.prepare('SELECT id FROM projects ORDER BY id ASC LIMIT 1'),
+    getProjectByPingKey: db.prepare('SELECT * FROM projects WHERE ping_key = ?'),
+    createProject: db.prepare('INSERT INTO projects (name, ping_key, auto_provision, created_at) VALUES (@name, @pingKey, @autoProvision, @createdAt)'),
+    getProjectsWithoutPingKey: db.prepare('SELECT id FROM projects WHERE ping_key IS NULL'),
+    setPingKey: db.prepare('UPDATE projects SET ping_key = ? WHERE id = ?'),
+    deleteProject: db.prepare('DELETE FROM projects WHERE id = ?'),
+    getChecksByProject: db.prepare(`${SELECT_CHECKS} WHERE checks.project_id = ?`),
+    assignOrphanedChecks: db.prepare('UPDATE checks SET project_id = ? WHERE project_id IS NULL')
+  }
+
+  // Checks created before projects existed are moved into the default project.
+  queries.assignOrphanedChecks.run(getDefaultProjectId())
+  // Projects and checks from before slug ping URLs existed get their ping key and slug.
+  for (const { id } of queries.getProjectsWithoutPingKey.all()) {
+    queries.setPingKey.run(generatePingKey(), id)
+  }
+  for (const { id, name, project_id: projectId } of queries.getWithoutSlug.all()) {
+    queries.setSlug.run(uniqueSlug(projectId, slugs.slugify(name)), id)
+  }
+  // Checks from before status badges existed get their badge key.
+  for (const { id } of queries.getWithoutBadgeKey.all()) {
+    queries.setBadgeKey.run(generateBadgeKey(), id)
+  }
+  // The status history of checks from before it was recorded starts with their current status.
+  for (const { id, status } of queries.getWithoutStatusHistory.all()) {
+    recordStatusChange(id, null, status)
   }
 
   console.log('Database initialized successfully.')
 }
 
-/** Retrieves a paginated list of checks from the database. */
-function getAllChecks ({ page = 1, limit = 20 }) {
+/**
+ * Turns the comma-separated `tags` column of a check row into a sorted array.
+ * @param {object} row - The check row from the database.
+ * @returns {object|undefined} The check with its `tags` as an array.
+ */
+function hydrateCheck (row) {
+  return row && { ...row, tags: row.tags ? row.tags.split(',').sort() : [] }
+}
+
+/**
+ * Builds the WHERE clause of a filtered check list.
+ * @param {object} filters - See `getAllChecks`.
+ * @returns {{ where: string, params: object }} The clause (empty without filters) and its named parameters.
+ */
+function buildCheckFilter ({ projectId, status, tag, search }) {
+  const conditions = []
+  const params = {}
+  if (projectId) {
+    conditions.push('checks.project_id = @projectId')
+    params.projectId = projectId
+  }
+  if (status && status.length > 0) {
+    conditions.push(`checks.status IN (${status.map((_, i) => `@status${i}`).join(', ')})`)
+    status.forEach((value, i) => { params[`status${i}`] = value })
+  }
+  if (tag) {
+    conditions.push('EXISTS (SELECT 1 FROM check_tags WHERE check_tags.check_id = checks.id AND check_tags.tag = @tag)')
+    params.tag = tag.toLowerCase()
+  }
+  if (search) {
+    // LIKE is case-insensitive for ASCII; wildcards in the search term are matched literally.
+    conditions.push("checks.name LIKE @search ESCAPE '\\'")
+    params.search = `%${search.replace(/[\\%_]/g, '\\$&')}%`
+  }
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params }
+}
+
+/**
+ * Retrieves a filtered, sorted and paginated list of checks from the database.
+ * @param {object} [options]
+ * @param {number} [options.page] - The page number.
+ * @param {number} [options.limit] - The page size.
+ * @param {number|null} [options.projectId] - Only checks of this project.
+ * @param {string[]} [options.status] - Only checks with one of these statuses.
+ * @param {string} [options.tag] - Only checks with this tag.
+ * @param {string} [options.search] - Only checks whose name contains this text.
+ * @param {string} [options.sort] - 'name', 'status' or 'last_ping'.
+ * @param {string} [options.order] - 'asc' or 'desc'.
+ */
+function getAllChecks ({ page = 1, limit = 20, projectId = null, status, tag, search, sort = 'name', order = 'asc' } = {}) {
   const offset = (page - 1) * limit
-  const checks = queries.getAll.all(limit, offset)
-  const { total } = queries.getTotal.get()
+  const { where, params } = buildCheckFilter({ projectId, status, tag, search })
+  const direction = order === 'desc' ? 'DESC' : 'ASC'
+  const orderBy = `${checkSortOrders[sort] || checkSortOrders.name} ${direction}, checks.name ASC, checks.id ASC`
+  const checks = db.prepare(`${SELECT_CHECKS} ${where} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset })
+    .map(hydrateCheck)
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM checks ${where}`).get(params)
 
   return {
     checks,
@@ -103,77 +631,1116 @@ function getAllChecks ({ page = 1, limit = 20 }) {
 
 /** Retrieves all checks without pagination, for internal use. */
 function getAllChecksUnpaginated ({ activeOnly = false } = {}) {
-  return activeOnly ? queries.getAllActive.all() : queries.getAllUnpaginated.all()
+  return (activeOnly ? queries.getAllActive.all() : queries.getAllUnpaginated.all()).map(hydrateCheck)
 }
 
 /** Retrieves a single check by its UUID. */
 function getCheckByUuid (uuid) {
-  return queries.getByUuid.get(uuid)
+  return hydrateCheck(queries.getByUuid.get(uuid))
+}
+
+/** Retrieves a single check by its internal ID. */
+function getCheckById (id) {
+  return hydrateCheck(queries.getById.get(id))
+}
+
+/** Retrieves a single check by its project and slug. */
+function getCheckBySlug (projectId, slug) {
+  return hydrateCheck(queries.getBySlug.get(projectId, slug))
+}
+
+/**
+ * Finds a slug that is not yet used in a project, by appending '-2', '-3' and so on if necessary.
+ * @param {number} projectId - The project's ID.
+ * @param {string} slug - The preferred slug.
+ * @param {number|null} [checkId] - A check whose own slug does not count as taken.
+ * @returns {string}
+ */
+function uniqueSlug (projectId, slug, checkId = null) {
+  let candidate = slug
+  for (let n = 2; ; n++) {
+    const existing = queries.getIdBySlug.get(projectId, candidate)
+    if (!existing || existing.id === checkId) return candidate
+    candidate = `${slug}-${n}`
+  }
 }
 
-/** Creates a new check. */
-const createCheck = asTransaction(({ name, schedule, grace }) => {
+/**
+ * Replaces the tags of a check. Tags are stored in lowercase, so 'Nightly' and 'nightly' are the same tag.
+ * @param {number} checkId - The internal ID of the check.
+ * @param {string[]} tags - The new tags.
+ */
+function setCheckTags (checkId, tags) {
+  queries.removeAllTags.run(checkId)
+  for (const tag of tags) {
+    queries.addTag.run(checkId, tag.toLowerCase())
+  }
+}
+
+/**
+ * Retrieves all tags in use with the number of checks carrying each, optionally limited to one project.
+ * @param {number|null} [projectId] - The project's ID.
+ */
+function getAllTags (projectId = null) {
+  return projectId ? queries.getAllTagsByProject.all(projectId) : queries.getAllTags.all()
+}
+
+/**
+ * Creates a new check. Without an explicit slug, one is derived from the name and made unique within the project;
+ * an explicit slug must not be taken (see `getCheckBySlug`).
+ */
+const createCheck = announcing('check_created', asTransaction(({ name, slug = null, schedule, grace, timezone = null, retention = null, projectId = null, escalationPolicyId = null, tags = [] }) => {
+  const targetProjectId = projectId ?? getDefaultProjectId()
   const newCheck = {
     uuid: uuidv4(),
     name,
+    slug: slug || uniqueSlug(targetProjectId, slugs.slugify(name)),
     schedule,
     grace,
+    timezone,
+    retention,
+    projectId: targetProjectId,
+    escalationPolicyId,
+    badgeKey: generateBadgeKey(),
     createdAt: Math.floor(Date.now() / 1000)
   }
   const info = queries.create.run(newCheck)
-  return queries.getById.get(info.lastInsertRowid)
-})
+  setCheckTags(info.lastInsertRowid, tags)
+  recordStatusChange(info.lastInsertRowid, null, 'new', newCheck.createdAt)
+  return getCheckById(info.lastInsertRowid)
+}))
+
+/** The check columns that can be changed after creation. */
+const editableCheckFields = ['name', 'slug', 'schedule', 'grace', 'timezone', 'retention', 'project_id', 'escalation_policy_id']
+
+/**
+ * Updates the settings of an existing check. The UUID, status and ping history are kept.
+ * The slug does not follow name changes, so that slug ping URLs stay stable. When the check moves to a project
+ * in which its slug is taken, a free one is chosen.
+ * @param {string} uuid - The check's UUID.
+ * @param {object} changes - The columns to change, plus optionally the new `tags`; other keys are ignored.
+ * @returns {object|null} The updated check, or null if it does not exist.
+ */
+const updateCheck = announcing('check_updated', asTransaction((uuid, changes) => {
+  const check = getCheckByUuid(uuid)
+  if (!check) return null
+  if (changes.project_id !== undefined && changes.project_id !== check.project_id && changes.slug === undefined) {
+    changes = { ...changes, slug: uniqueSlug(changes.project_id, check.slug, check.id) }
+  }
+  const fields = editableCheckFields.filter(field => changes[field] !== undefined)
+  if (fields.length > 0) {
+    const assignments = fields.map(field => `${field} = @${field}`).join(', ')
+    const params = Object.fromEntries(fields.map(field => [field, changes[field]]))
+    db.prepare(`UPDATE checks SET ${assignments} WHERE uuid = @uuid`).run({ ...params, uuid })
+  }
+  if (changes.tags !== undefined) {
+    setCheckTags(check.id, changes.tags)
+  }
+  return getCheckByUuid(uuid)
+}))
 
 /** Deletes a check by its UUID. */
 function deleteCheck (uuid) {
-  return queries.delete.run(uuid).changes
+  const check = getCheckByUuid(uuid)
+  const changes = queries.delete.run(uuid).changes
+  if (changes > 0) announce('check_deleted', { check })
+  return changes
+}
+
+/**
+ * Appends an entry to a check's event history.
+ * @param {number} checkId - The internal ID of the check.
+ * @param {string} type - The event type ('start', 'ping', 'fail', 'down', 'maintenance_on', 'maintenance_off' or 'acknowledge').
+ * @param {object} [details] - Optional event details.
+ * @param {number} [details.duration] - The reported job duration in milliseconds.
+ * @param {string} [details.sourceIp] - The IP address the event originated from.
+ * @param {string} [details.userAgent] - The User-Agent header of the originating request.
+ * @param {string} [details.reason] - A free-form reason, e.g. for failures.
+ * @param {string} [details.output] - The output sent with the signal.
+ * @param {number} [details.createdAt] - The Unix timestamp of the event. Defaults to now.
+ */
+function recordEvent (checkId, type, { duration = null, sourceIp = null, userAgent = null, reason = null, output = null, createdAt } = {}) {
+  queries.createEvent.run({
+    checkId,
+    type,
+    createdAt: createdAt ?? Math.floor(Date.now() / 1000),
+    durationMs: Number.isFinite(duration) ? duration : null,
+    sourceIp,
+    userAgent,
+    reason,
+    output
+  })
+}
+
+/**
+ * Appends an entry to a check's status history, which uptime reports are calculated from.
+ * @param {number} checkId - The internal ID of the check.
+ * @param {string|null} fromStatus - The previous status, or null for the first entry.
+ * @param {string} toStatus - The new status.
+ * @param {number} [createdAt] - The Unix timestamp of the change. Defaults to now.
+ */
+function recordStatusChange (checkId, fromStatus, toStatus, createdAt) {
+  queries.createStatusChange.run({ checkId, fromStatus, toStatus, createdAt: createdAt ?? Math.floor(Date.now() / 1000) })
+}
+
+/**
+ * Retrieves the status history of a check within a time window.
+ * @param {string} uuid - The UUID of the check.
+ * @param {number} from - The Unix timestamp the window starts at.
+ * @param {number} to - The Unix timestamp the window ends at.
+ * @returns {{ initialStatus: string|null, changes: object[] }|null} The status at `from` (null if the history starts
+ *   later) and the changes within the window, oldest first. Null if the check was not found.
+ */
+function getStatusHistory (uuid, from, to) {
+  const check = getCheckByUuid(uuid)
+  if (!check) return null
+
+  const initial = queries.getStatusAt.get(check.id, from)
+  return {
+    initialStatus: initial ? initial.to_status : null,
+    changes: queries.getStatusChanges.all(check.id, from, to)
+  }
+}
+
+/** Retrieves a paginated event history for a check, newest first. Returns null if the check does not exist. */
+function getCheckEvents (uuid, { page = 1, limit = 50 } = {}) {
+  const check = getCheckByUuid(uuid)
+  if (!check) return null
+
+  const offset = (page - 1) * limit
+  const events = queries.getEvents.all(check.id, limit, offset)
+  const { total } = queries.getEventTotal.get(check.id)
+
+  return {
+    events,
+    meta: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    }
+  }
+}
+
+/**
+ * Counts the recorded signals and status changes of one or all checks, for rebuilding Prometheus counters.
+ * @param {number|null} [checkId] - The internal ID of the check, or null for all checks.
+ * @returns {{ signals: object[], statusChanges: object[] }} The totals per check and signal type (`start`, `ping`
+ *   or `fail`), and per check and pair of statuses.
+ */
+function getMetricTotals (checkId = null) {
+  return {
+    signals: queries.countSignals.all({ checkId }),
+    statusChanges: queries.countStatusChanges.all({ checkId })
+  }
+}
+
+/**
+ * Iterates over the measured or reported run durations of one or all checks, for rebuilding Prometheus histograms.
+ * The rows are streamed, since the event history can be long.
+ * @param {number|null} [checkId] - The internal ID of the check, or null for all checks.
+ * @returns {IterableIterator<{ check_id: number, type: string, duration_ms: number }>} The ping and fail events with a duration.
+ */
+function iterateRunDurations (checkId = null) {
+  return queries.getRunDurations.iterate({ checkId })
+}
+
+/**
+ * Retrieves the start of the latest hourly rollup. Runs before it are fully rolled up; the hour starting at it
+ * may have had further runs since.
+ * @returns {number|null} A Unix timestamp, or null if nothing was rolled up yet.
+ */
+function getRollupWatermark () {
+  return queries.getRollupWatermark.get().bucketStart
 }
 
-/** Records a successful ping for a check. */
+/**
+ * Recomputes the hourly rollups of the runs from `since` on, and the daily rollups of the days they fall in.
+ * @param {number} since - A Unix timestamp at the start of an hour, usually `getRollupWatermark()`.
+ */
+const rollUpEvents = asTransaction((since) => {
+  queries.rollUpHours.run(since)
+  queries.rollUpDays.run(since - since % 86400)
+})
+
+/**
+ * Retrieves the rollups of a check, oldest first.
+ * @param {number} checkId - The internal ID of the check.
+ * @param {'hour'|'day'} resolution - The rollups to retrieve.
+ * @param {number} from - Unix timestamp; rollups starting before it are left out.
+ * @param {number} to - Unix timestamp; rollups starting at or after it are left out.
+ * @returns {object[]} The `bucket_start`, `count`, `failures` and `min_duration_ms`, `avg_duration_ms` and
+ *   `max_duration_ms` of each hour or day with runs.
+ */
+function getRollups (checkId, resolution, from, to) {
+  return queries.getRollups.all({ checkId, resolution, from, to })
+}
+
+/**
+ * Deletes the events of a check that were recorded before a time. Their signals stay counted in `getMetricTotals`.
+ * @param {number} checkId - The internal ID of the check.
+ * @param {number} before - Unix timestamp.
+ * @returns {number} The number of deleted events.
+ */
+const pruneEvents = asTransaction((checkId, before) => {
+  queries.countPrunedSignals.run({ checkId, before })
+  return queries.pruneEvents.run({ checkId, before }).changes
+})
+
+/**
+ * Deletes the rollups of every check that start before a time.
+ * @param {'hour'|'day'} resolution - The rollups to delete.
+ * @param {number} before - Unix timestamp.
+ * @returns {number} The number of deleted rollups.
+ */
+function pruneRollups (resolution, before) {
+  return queries.pruneRollups.run(resolution, before).changes
+}
+
+/**
+ * Deletes the status changes of every check that were recorded before a time, except for each check's latest one,
+ * which tells its status at that time. They stay counted in `getMetricTotals`.
+ * @param {number} before - Unix timestamp.
+ * @returns {number} The number of deleted status changes.
+ */
+const pruneStatusChanges = asTransaction((before) => {
+  queries.countPrunedStatusChanges.run({ before })
+  return queries.pruneStatusChanges.run({ before }).changes
+})
+
+/**
+ * Deletes the audit log entries that were recorded before a time.
+ * @param {number} before - Unix timestamp.
+ * @returns {number} The number of deleted entries.
+ */
+function pruneAuditLog (before) {
+  return queries.pruneAuditLog.run(before).changes
+}
+
+/**
+ * Returns the pages freed by deletions to the file system.
+ * @returns {number} The number of pages that were free before.
+ */
+function incrementalVacuum () {
+  const freePages = db.pragma('freelist_count', { simple: true })
+  if (freePages > 0) db.pragma('incremental_vacuum')
+  return freePages
+}
+
+/**
+ * Copies the database into a file with SQLite's online backup, which yields a consistent snapshot while the
+ * service keeps writing, unlike copying `pulse.db` and its write-ahead log.
+ * @param {string} destination - The path of the snapshot. An existing file is overwritten.
+ * @returns {Promise<object>} Resolves when the snapshot is complete.
+ */
+function backup (destination) {
+  return db.backup(destination)
+}
+
+/**
+ * Computes the duration of the current run from a pending start signal.
+ * @param {object} check - The check object from the database.
+ * @param {number} nowMs - The current time in milliseconds.
+ * @returns {number|null} The run duration in milliseconds, or null if no run was started.
+ */
+function measureRun (check, nowMs) {
+  return check.started_at_ms ? Math.max(0, nowMs - check.started_at_ms) : null
+}
+
+/** Records the start of a job run, so that its duration can be measured when it finishes. */
+const recordStart = withTransition((uuid, { sourceIp, userAgent, output = null } = {}) => {
+  const check = getCheckByUuid(uuid)
+  if (!check) return null
+  const nowMs = Date.now()
+  const signal = { type: 'start', duration: null }
+  recordEvent(check.id, 'start', { sourceIp, userAgent, output, createdAt: Math.floor(nowMs / 1000) })
+  if (check.status === 'maintenance') return { check, previousStatus: check.status, signal }
+  queries.recordStart.run(nowMs, uuid)
+  return { check: getCheckByUuid(uuid), previousStatus: check.status, signal }
+})
+
+/**
+ * Records a successful ping for a check.
+ * If the run was announced with a start signal, the measured duration takes precedence over the reported one.
+ * The output sent with the ping, if any, replaces the check's `last_output`.
+ */
 /** FIX: Prevents pings from changing the status of a check in maintenance mode. */
-const recordPing = asTransaction((uuid, duration) => {
+const recordPing = withTransition((uuid, { duration = null, sourceIp, userAgent, output = null } = {}) => {
   const check = getCheckByUuid(uuid)
   if (!check) {
     return null // Check not found
   }
+  const nowMs = Date.now()
+  const now = Math.floor(nowMs / 1000)
+  const runDuration = measureRun(check, nowMs) ?? duration
+  const signal = { type: 'ping', duration: runDuration }
+  // The ping is kept in the history even when it is ignored, so that runs during maintenance remain visible.
+  recordEvent(check.id, 'ping', { duration: runDuration, sourceIp, userAgent, output, createdAt: now })
   if (check.status === 'maintenance') {
     // Ignore pings for checks in maintenance to prevent state corruption.
-    return check
+    return { check, previousStatus: check.status, signal }
   }
-  const result = queries.recordPing.run(Math.floor(Date.now() / 1000), duration, uuid)
-  return result.changes > 0 ? getCheckByUuid(uuid) : null
+  const result = queries.recordPing.run(now, runDuration, output, uuid)
+  return result.changes > 0 ? { check: getCheckByUuid(uuid), previousStatus: check.status, signal } : null
 })
 
-/** Records an explicit failure for a check. */
-const recordFailure = asTransaction((uuid, reason) => {
-  const result = queries.recordFailure.run(Math.floor(Date.now() / 1000), reason, uuid)
-  return result.changes > 0 ? getCheckByUuid(uuid) : null
+/** Records an explicit failure for a check. Like pings, failures are ignored while the check is in maintenance. */
+const recordFailure = withTransition((uuid, { reason = null, sourceIp, userAgent, output = null } = {}) => {
+  const check = getCheckByUuid(uuid)
+  if (!check) return null
+  const nowMs = Date.now()
+  const now = Math.floor(nowMs / 1000)
+  const runDuration = measureRun(check, nowMs)
+  const signal = { type: 'fail', duration: runDuration }
+  recordEvent(check.id, 'fail', { duration: runDuration, reason, sourceIp, userAgent, output, createdAt: now })
+  if (check.status === 'maintenance') return { check, previousStatus: check.status, signal }
+  const result = queries.recordFailure.run(now, runDuration, output, reason, uuid)
+  return result.changes > 0 ? { check: getCheckByUuid(uuid), previousStatus: check.status, signal } : null
 })
 
-/** Marks a check as 'down'. */
-const setCheckDown = asTransaction((id) => {
-  const result = queries.setDown.run(id)
-  return result.changes > 0 ? queries.getById.get(id) : null
+/**
+ * Marks a check as 'down' and starts a new outage: the down count restarts at 1 and any acknowledgement is cleared.
+ * @param {number} id - The internal ID of the check.
+ * @param {number} missedRunAtMs - The expected run that was missed, in milliseconds.
+ */
+const setCheckDown = withTransition((id, missedRunAtMs) => {
+  const check = getCheckById(id)
+  if (!check) return null
+  queries.setDown.run(missedRunAtMs ?? null, id)
+  recordEvent(id, 'down')
+  return { check: getCheckById(id), previousStatus: check.status }
 })
 
-/** Toggles maintenance mode for a check. */
-const toggleMaintenance = asTransaction((uuid) => {
+/**
+ * Counts further runs a check has missed while it is down.
+ * @param {number} id - The internal ID of the check.
+ * @param {number} count - The number of newly missed runs.
+ * @param {number} missedRunAtMs - The latest missed run, in milliseconds.
+ * @returns {object|null} The updated check, or null if it is not down.
+ */
+const recordMissedRuns = announcing('check_updated', (id, count, missedRunAtMs) => {
+  const result = queries.recordMissedRuns.run(count, missedRunAtMs, id)
+  return result.changes > 0 ? getCheckById(id) : null
+})
+
+/**
+ * Remembers how far the escalation policy of a check has been applied during the current outage.
+ * @param {number} id - The internal ID of the check.
+ * @param {number} downCount - The consecutive_down_count the policy was applied at.
+ * @param {number|null} notifiedAt - The Unix timestamp of the notification sent, or null to keep the previous one.
+ */
+function recordNotification (id, downCount, notifiedAt = null) {
+  queries.recordNotification.run(downCount, notifiedAt, id)
+}
+
+/**
+ * Acknowledges the current outage of a check, which stops reminders and escalation until it recovers.
+ * @param {string} uuid - The UUID of the check.
+ * @param {object} [details] - The source IP and user agent of the request.
+ * @returns {object|null} The updated check, or null if it is not down.
+ */
+const acknowledgeCheck = announcing('check_updated', asTransaction((uuid, { sourceIp, userAgent } = {}) => {
   const check = getCheckByUuid(uuid)
   if (!check) return null
-  const newStatus = check.status === 'maintenance' ? (check.last_ping_at ? 'up' : 'new') : 'maintenance'
-  queries.setStatus.run(newStatus, uuid)
+  const now = Math.floor(Date.now() / 1000)
+  if (queries.acknowledge.run(now, uuid).changes === 0) return null
+  recordEvent(check.id, 'acknowledge', { sourceIp, userAgent, createdAt: now })
   return getCheckByUuid(uuid)
+}))
+
+/**
+ * Puts a check in maintenance or takes it out again. Leaving maintenance restores 'up' (or 'new' if the check
+ * was never pinged) and restarts the schedule, so that runs skipped during maintenance do not mark it as down.
+ * @param {object} check - The check object from the database.
+ * @param {boolean} enabled - Whether the check enters maintenance.
+ * @param {object} details - The source ('manual' or 'window') and the event details.
+ * @returns {{ check: object, previousStatus: string }} The transition.
+ */
+function setMaintenance (check, enabled, { source, reason = null, sourceIp = null, userAgent = null }) {
+  if (enabled) {
+    queries.startMaintenance.run(source, check.uuid)
+  } else {
+    queries.endMaintenance.run(check.last_ping_at ? 'up' : 'new', source, Math.floor(Date.now() / 1000), check.uuid)
+  }
+  recordEvent(check.id, enabled ? 'maintenance_on' : 'maintenance_off', { reason, sourceIp, userAgent })
+  return { check: getCheckByUuid(check.uuid), previousStatus: check.status }
+}
+
+/** Toggles maintenance mode for a check. */
+const toggleMaintenance = withTransition((uuid, { sourceIp, userAgent } = {}) => {
+  const check = getCheckByUuid(uuid)
+  if (!check) return null
+  return setMaintenance(check, check.status !== 'maintenance', { source: 'manual', sourceIp, userAgent })
+})
+
+/**
+ * Puts a check in maintenance because one of its maintenance windows has started.
+ * @param {string} uuid - The UUID of the check.
+ * @param {object} window - The active maintenance window.
+ */
+const startScheduledMaintenance = withTransition((uuid, window) => {
+  const check = getCheckByUuid(uuid)
+  if (!check || check.status === 'maintenance') return null
+  return setMaintenance(check, true, { source: 'window', reason: window.reason || `Maintenance window #${window.id}` })
+})
+
+/** Takes a check out of maintenance because its maintenance windows have ended. Manual maintenance is left alone. */
+const endScheduledMaintenance = withTransition((uuid) => {
+  const check = getCheckByUuid(uuid)
+  if (!check || check.status !== 'maintenance' || check.maintenance_source !== 'window') return null
+  return setMaintenance(check, false, { source: 'window', reason: 'Maintenance window ended' })
 })
 
+/** Retrieves the maintenance windows of all checks. */
+function getAllMaintenanceWindows () {
+  return queries.getAllMaintenanceWindows.all()
+}
+
+/** Retrieves the maintenance windows of a check, oldest first. */
+function getMaintenanceWindows (checkId) {
+  return queries.getMaintenanceWindows.all(checkId)
+}
+
+/**
+ * Adds a maintenance window to a check. One-off windows have `startsAt` and `endsAt`;
+ * recurring windows have a cron `schedule`, a `duration` and an optional `timezone`.
+ */
+function createMaintenanceWindow ({ checkId, startsAt = null, endsAt = null, schedule = null, duration = null, timezone = null, reason = null }) {
+  const info = queries.createMaintenanceWindow.run({
+    checkId,
+    startsAt,
+    endsAt,
+    schedule,
+    duration,
+    timezone,
+    reason,
+    createdAt: Math.floor(Date.now() / 1000)
+  })
+  return queries.getMaintenanceWindowById.get(info.lastInsertRowid)
+}
+
+/** Deletes a maintenance window of a check. Returns the number of deleted windows. */
+function deleteMaintenanceWindow (checkId, id) {
+  return queries.deleteMaintenanceWindow.run(id, checkId).changes
+}
+
+/**
+ * Parses the JSON configuration of a channel row.
+ * @param {object} row - The channel row from the database.
+ * @returns {object|undefined} The channel with its `config` as an object.
+ */
+function hydrateChannel (row) {
+  return row && { ...row, config: JSON.parse(row.config) }
+}
+
+/**
+ * Adds the steps of an escalation policy.
+ * @param {number} policyId - The ID of the policy.
+ * @param {Array<{ downCount: number, channelIds: number[] }>} steps - The channels to notify per down count.
+ */
+function addEscalationSteps (policyId, steps) {
+  for (const { downCount, channelIds } of steps) {
+    for (const channelId of channelIds) {
+      queries.addEscalationStep.run(policyId, downCount, channelId)
+    }
+  }
+}
+
+/**
+ * Groups the steps of an escalation policy by down count.
+ * @param {object} row - The policy row from the database.
+ * @returns {object|undefined} The policy with its `steps`, e.g. `[{ down_count: 1, channel_ids: [1] }]`.
+ */
+function hydrateEscalationPolicy (row) {
+  if (!row) return row
+  const steps = []
+  for (const { down_count: downCount, channel_id: channelId } of queries.getEscalationSteps.all(row.id)) {
+    const step = steps.find(s => s.down_count === downCount)
+    if (step) {
+      step.channel_ids.push(channelId)
+    } else {
+      steps.push({ down_count: downCount, channel_ids: [channelId] })
+    }
+  }
+  return { ...row, steps }
+}
+
+/** Retrieves all escalation policies. */
+function getAllEscalationPolicies () {
+  return queries.getAllEscalationPolicies.all().map(hydrateEscalationPolicy)
+}
+
+/** Retrieves a single escalation policy by its ID. */
+function getEscalationPolicyById (id) {
+  return hydrateEscalationPolicy(queries.getEscalationPolicyById.get(id))
+}
+
+/** Retrieves an escalation policy by its exact name. */
+function getEscalationPolicyByName (name) {
+  const row = queries.getEscalationPolicyByName.get(name)
+  return row ? getEscalationPolicyById(row.id) : undefined
+}
+
+/** Creates an escalation policy from a name, an optional repeat interval and its steps. */
+const createEscalationPolicy = asTransaction(({ name, repeatInterval = null, steps }) => {
+  const info = queries.createEscalationPolicy.run({ name, repeatInterval, createdAt: Math.floor(Date.now() / 1000) })
+  addEscalationSteps(info.lastInsertRowid, steps)
+  return getEscalationPolicyById(info.lastInsertRowid)
+})
+
+/** Replaces the name, repeat interval and steps of an escalation policy. Returns null if it does not exist. */
+const updateEscalationPolicy = asTransaction((id, { name, repeatInterval = null, steps }) => {
+  if (!queries.getEscalationPolicyById.get(id)) return null
+  queries.updateEscalationPolicy.run({ id, name, repeatInterval })
+  queries.removeAllEscalationSteps.run(id)
+  addEscalationSteps(id, steps)
+  return getEscalationPolicyById(id)
+})
+
+/** Deletes an escalation policy. Its checks are left without one. */
+function deleteEscalationPolicy (id) {
+  return queries.deleteEscalationPolicy.run(id).changes
+}
+
+/** Retrieves all notification channels. */
+function getAllChannels () {
+  return queries.getAllChannels.all().map(hydrateChannel)
+}
+
+/** Retrieves a single notification channel by its ID. */
+function getChannelById (id) {
+  return hydrateChannel(queries.getChannelById.get(id))
+}
+
+/** Creates a new notification channel. */
+const createChannel = asTransaction(({ name, type, config }) => {
+  const info = queries.createChannel.run({
+    name,
+    type,
+    config: JSON.stringify(config),
+    createdAt: Math.floor(Date.now() / 1000)
+  })
+  return getChannelById(info.lastInsertRowid)
+})
+
+/** Deletes a notification channel by its ID. It is detached from all checks. */
+function deleteChannel (id) {
+  return queries.deleteChannel.run(id).changes
+}
+
+/** Retrieves the notification channels attached to a check. */
+function getChannelsForCheck (checkId) {
+  return queries.getChannelsForCheck.all(checkId).map(hydrateChannel)
+}
+
+/**
+ * Replaces the set of notification channels attached to a check.
+ * @param {string} uuid - The check's UUID.
+ * @param {number[]} channelIds - The IDs of the channels to attach. Unknown IDs are ignored.
+ * @returns {object[]|null} The attached channels, or null if the check does not exist.
+ */
+const setCheckChannels = asTransaction((uuid, channelIds) => {
+  const check = getCheckByUuid(uuid)
+  if (!check) return null
+  queries.detachAllChannels.run(check.id)
+  for (const channelId of channelIds) {
+    if (queries.getChannelById.get(channelId)) {
+      queries.attachChannel.run(check.id, channelId)
+    }
+  }
+  return getChannelsForCheck(check.id)
+})
+
+/**
+ * Returns the ID of the default project, which receives checks created without a project.
+ * The oldest project is the default; a 'Default' project is created if there is none.
+ * @returns {number}
+ */
+function getDefaultProjectId () {
+  const project = queries.getFirstProject.get()
+  if (project) return project.id
+  return createProject({ name: 'Default' }).id
+}
+
+/** Generates the secret ping key of a project. */
+function generatePingKey () {
+  return crypto.randomBytes(16).toString('base64url')
+}
+
+/** Generates the public key of a status badge. */
+function generateBadgeKey () {
+  return crypto.randomBytes(12).toString('base64url')
+}
+
+/** Retrieves a check by the key of its status badge. */
+function getCheckByBadgeKey (badgeKey) {
+  return hydrateCheck(queries.getByBadgeKey.get(badgeKey))
+}
+
+/**
+ * Gives a check a new badge key, so that published badges with the old one stop working.
+ * @param {string} uuid - The check's UUID.
+ * @returns {object|null} The updated check, or null if it does not exist.
+ */
+const regenerateCheckBadgeKey = announcing('check_updated', (uuid) => {
+  const check = getCheckByUuid(uuid)
+  if (!check) return null
+  queries.setBadgeKey.run(generateBadgeKey(), check.id)
+  return getCheckById(check.id)
+})
+
+/** Retrieves the badge of a tag by its key, as `{ tag, badge_key }`. */
+function getTagBadgeByKey (badgeKey) {
+  return queries.getTagBadgeByKey.get(badgeKey)
+}
+
+/**
+ * Creates the badge of a tag, or gives it a new key if it already has one.
+ * @param {string} tag - The tag, matched case-insensitively.
+ * @returns {{ tag: string, badge_key: string }} The badge.
+ */
+function setTagBadge (tag) {
+  const normalizedTag = tag.toLowerCase()
+  queries.setTagBadge.run({ tag: normalizedTag, badgeKey: generateBadgeKey(), createdAt: Math.floor(Date.now() / 1000) })
+  return queries.getTagBadge.get(normalizedTag)
+}
+
+/** Deletes the badge of a tag. Returns the number of deleted badges. */
+function deleteTagBadge (tag) {
+  return queries.deleteTagBadge.run(tag.toLowerCase()).changes
+}
+
+/** Retrieves the statuses of all checks with a tag. */
+function getStatusesByTag (tag) {
+  return queries.getStatusesByTag.all(tag.toLowerCase()).map(({ status }) => status)
+}
+
+/** Retrieves all projects with the number of checks in each. */
+function getAllProjects () {
+  return queries.getAllProjects.all()
+}
+
+/** Retrieves a single project by its ID. */
+function getProjectById (id) {
+  return queries.getProjectById.get(id)
+}
+
+/** Retrieves a single project by its ping key. */
+function getProjectByPingKey (pingKey) {
+  return queries.getProjectByPingKey.get(pingKey)
+}
+
+/** Creates a new project with a fresh ping key. */
+const createProject = asTransaction(({ name, autoProvision = false }) => {
+  const info = queries.createProject.run({
+    name,
+    pingKey: generatePingKey(),
+    autoProvision: autoProvision ? 1 : 0,
+    createdAt: Math.floor(Date.now() / 1000)
+  })
+  return getProjectById(info.lastInsertRowid)
+})
+
+/** The project columns that can be changed after creation. */
+const editableProjectFields = ['name', 'auto_provision']
+
+/**
+ * Updates the settings of a project.
+ * @param {number} id - The project's ID.
+ * @param {object} changes - The columns to change; keys outside of the editable fields are ignored.
+ * @returns {object|null} The updated project, or null if it does not exist.
+ */
+const updateProject = asTransaction((id, changes) => {
+  if (!getProjectById(id)) return null
+  const fields = editableProjectFields.filter(field => changes[field] !== undefined)
+  if (fields.length > 0) {
+    const assignments = fields.map(field => `${field} = @${field}`).join(', ')
+    const params = Object.fromEntries(fields.map(field => [field, changes[field]]))
+    db.prepare(`UPDATE projects SET ${assignments} WHERE id = @id`).run({ ...params, id })
+  }
+  return getProjectById(id)
+})
+
+/** Replaces the ping key of a project, invalidating its previous slug ping URLs. */
+const regeneratePingKey = asTransaction((id) => {
+  const result = queries.setPingKey.run(generatePingKey(), id)
+  return result.changes > 0 ? getProjectById(id) : null
+})
+
+/** Deletes a project by its ID. The caller must make sure it no longer contains checks. */
+function deleteProject (id) {
+  return queries.deleteProject.run(id).changes
+}
+
+/** Retrieves all checks of a project without pagination, for internal use. */
+function getChecksByProject (projectId) {
+  return queries.getChecksByProject.all(projectId).map(hydrateCheck)
+}
+
+/**
+ * Hashes an API key for storage and lookup.
+ * API keys are long random strings, so a fast hash is sufficient.
+ * @param {string} key - The plain-text API key.
+ * @returns {string} The hex-encoded SHA-256 hash.
+ */
+function hashApiKey (key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/** Retrieves all API keys, including revoked ones. Hashes are never returned. */
+function getAllApiKeys () {
+  return queries.getAllApiKeys.all()
+}
+
+/** Retrieves an API key by its ID, without its hash. */
+function getApiKeyById (id) {
+  return queries.getApiKeyById.get(id)
+}
+
+/**
+ * Creates a new API key.
+ * @param {object} params
+ * @param {string} params.name - A label describing what the key is used for.
+ * @param {string} params.scope - 'read' or 'write'.
+ * @param {number|null} [params.projectId] - Restricts the key to the checks of one project.
+ * @returns {object} The stored key metadata plus the plain-text `key`, which cannot be retrieved again.
+ */
+const createApiKey = asTransaction(({ name, scope, projectId = null }) => {
+  const key = `pulse_${crypto.randomBytes(24).toString('base64url')}`
+  const info = queries.createApiKey.run({
+    name,
+    prefix: key.slice(0, 12),
+    keyHash: hashApiKey(key),
+    scope,
+    projectId,
+    createdAt: Math.floor(Date.now() / 1000)
+  })
+  return { ...queries.getApiKeyById.get(info.lastInsertRowid), key }
+})
+
+/** Revokes an API key by its ID. Returns the number of revoked keys. */
+function revokeApiKey (id) {
+  return queries.revokeApiKey.run(Math.floor(Date.now() / 1000), id).changes
+}
+
+/**
+ * Looks up an active API key by its plain-text value and records its use.
+ * @param {string} key - The plain-text API key.
+ * @returns {object|undefined} The key metadata, or undefined if the key is unknown or revoked.
+ */
+function authenticateApiKey (key) {
+  const apiKey = queries.getActiveApiKeyByHash.get(hashApiKey(key))
+  if (apiKey) {
+    queries.touchApiKey.run({ id: apiKey.id, now: Math.floor(Date.now() / 1000) })
+  }
+  return apiKey
+}
+
+/** Retrieves all user accounts, sorted by username. Password hashes are never returned. */
+function getAllUsers () {
+  return queries.getAllUsers.all()
+}
+
+/** Retrieves a user account by its ID, without its password hash. */
+function getUserById (id) {
+  return queries.getUserById.get(id)
+}
+
+/**
+ * Retrieves the password hash of a user account, for logins only.
+ * @param {string} username - The username, matched case-insensitively.
+ * @returns {{ id: number, password_hash: string }|undefined}
+ */
+function getUserCredentials (username) {
+  return queries.getUserCredentials.get(username)
+}
+
+/** Counts the user accounts. */
+function countUsers () {
+  return queries.countUsers.get().total
+}
+
+/** Counts the user accounts with the admin role. */
+function countAdmins () {
+  return queries.countUsers.get().admins
+}
+
+/**
+ * Creates a user account.
+ * @param {object} params
+ * @param {string} params.username - The username, unique regardless of case.
+ * @param {string} params.passwordHash - The hash from `users.hashPassword`.
+ * @param {string} params.role - 'viewer', 'editor' or 'admin'.
+ * @returns {object} The new user.
+ */
+function createUser ({ username, passwordHash, role }) {
+  const info = queries.createUser.run({ username, passwordHash, role, createdAt: Math.floor(Date.now() / 1000) })
+  return getUserById(info.lastInsertRowid)
+}
+
+/**
+ * Changes the role and/or password of a user account.
+ * @param {number} id - The user's ID.
+ * @param {object} changes
+ * @param {string} [changes.role] - The new role.
+ * @param {string} [changes.passwordHash] - The hash of the new password.
+ * @returns {object|undefined} The updated user, or undefined if it does not exist.
+ */
+function updateUser (id, { role = null, passwordHash = null }) {
+  queries.updateUser.run({ id, role, passwordHash })
+  return getUserById(id)
+}
+
+/** Deletes a user account by its ID. Returns the number of deleted accounts. */
+function deleteUser (id) {
+  return queries.deleteUser.run(id).changes
+}
+
+/** Records that a user has logged in. */
+function recordLogin (id) {
+  queries.recordLogin.run(Math.floor(Date.now() / 1000), id)
+}
+
+/**
+ * Adds the checks of a status page to it.
+ * @param {object} row - The page row from the database.
+ * @returns {object|undefined} The page with its `checks` in display order, e.g. `[{ uuid, name, display_name }]`.
+ */
+function hydrateStatusPage (row) {
+  if (!row) return row
+  const checks = queries.getStatusPageChecks.all(row.id).map(({ uuid, name, display_name: displayName }) => ({ uuid, name, display_name: displayName }))
+  return { ...row, checks }
+}
+
+/** Retrieves all status pages, sorted by title. */
+function getAllStatusPages () {
+  return queries.getAllStatusPages.all().map(hydrateStatusPage)
+}
+
+/** Retrieves a status page by its ID. */
+function getStatusPageById (id) {
+  return hydrateStatusPage(queries.getStatusPageById.get(id))
+}
+
+/** Retrieves a status page by its slug, without its checks. */
+function getStatusPageBySlug (slug) {
+  return queries.getStatusPageBySlug.get(slug)
+}
+
+/**
+ * Retrieves the checks shown on a status page, in display order.
+ * @param {number} pageId - The page's ID.
+ * @returns {object[]} The check rows, each with the `display_name` it has on the page (null for its own name).
+ */
+function getStatusPageChecks (pageId) {
+  return queries.getStatusPageChecks.all(pageId)
+}
+
+/**
+ * Sets the checks of a status page, in display order.
+ * @param {number} pageId - The page's ID.
+ * @param {{ checkId: number, displayName?: string|null }[]} checks - The checks.
+ */
+function setStatusPageChecks (pageId, checks) {
+  queries.removeAllStatusPageChecks.run(pageId)
+  checks.forEach(({ checkId, displayName = null }, position) => {
+    queries.addStatusPageCheck.run({ pageId, checkId, displayName, position })
+  })
+}
+
+/**
+ * Creates a status page.
+ * @param {object} params
+ * @param {string} params.slug - The page's unique, URL-safe name.
+ * @param {string} params.title - The page's heading.
+ * @param {string|null} [params.description] - Text shown below the heading.
+ * @param {{ checkId: number, displayName?: string|null }[]} params.checks - The checks shown on the page.
+ * @returns {object} The new page.
+ */
+const createStatusPage = asTransaction(({ slug, title, description = null, checks }) => {
+  const info = queries.createStatusPage.run({ slug, title, description, createdAt: Math.floor(Date.now() / 1000) })
+  setStatusPageChecks(info.lastInsertRowid, checks)
+  return getStatusPageById(info.lastInsertRowid)
+})
+
+/** Replaces the slug, title, description and checks of a status page. Returns null if it does not exist. */
+const updateStatusPage = asTransaction((id, { slug, title, description = null, checks }) => {
+  if (!queries.getStatusPageById.get(id)) return null
+  queries.updateStatusPage.run({ id, slug, title, description })
+  setStatusPageChecks(id, checks)
+  return getStatusPageById(id)
+})
+
+/** Deletes a status page by its ID. Returns the number of deleted pages. */
+function deleteStatusPage (id) {
+  return queries.deleteStatusPage.run(id).changes
+}
+
+/**
+ * Records an entry of the audit log.
+ * @param {object} entry
+ * @param {{ type: string, id: number|null, name: string|null }} entry.actor - Who acted.
+ * @param {string} entry.action - What was done, e.g. 'check.delete'.
+ * @param {{ type: string, id: number|string, name: string|null }|null} [entry.target] - What it was done to.
+ * @param {object|null} [entry.before] - The changed values before the action, stored as JSON.
+ * @param {object|null} [entry.after] - The changed values after the action, stored as JSON.
+ * @param {string|null} [entry.sourceIp] - The client's address.
+ * @param {string|null} [entry.userAgent] - The client's User-Agent header.
+ */
+function recordAudit ({ actor, action, target = null, before = null, after = null, sourceIp = null, userAgent = null }) {
+  queries.recordAudit.run({
+    createdAt: Math.floor(Date.now() / 1000),
+    actorType: actor.type,
+    actorId: actor.id,
+    actorName: actor.name,
+    action,
+    targetType: target?.type ?? null,
+    targetId: target ? String(target.id) : null,
+    targetName: target?.name ?? null,
+    before: before && JSON.stringify(before),
+    after: after && JSON.stringify(after),
+    sourceIp,
+    userAgent
+  })
+}
+
+/**
+ * Retrieves a filtered and paginated list of audit log entries, newest first.
+ * @param {object} [options]
+ * @param {number} [options.page] - The page number.
+ * @param {number} [options.limit] - The page size.
+ * @param {string} [options.action] - Only this action, or all actions of a kind with a trailing dot, e.g. 'check.'.
+ * @param {string} [options.actorType] - Only entries by users or by API keys.
+ * @param {number} [options.actorId] - Only entries by this user or key; requires `actorType`.
+ * @param {string} [options.targetType] - Only entries about this kind of target.
+ * @param {string} [options.targetId] - Only entries about this target; requires `targetType`.
+ * @param {number} [options.from] - Only entries from this Unix timestamp on.
+ * @param {number} [options.to] - Only entries before this Unix timestamp.
+ */
+function getAuditLog ({ page = 1, limit = 50, action, actorType, actorId, targetType, targetId, from, to } = {}) {
+  const conditions = []
+  const params = {}
+  const filter = (condition, name, value) => {
+    if (value === undefined || value === null || value === '') return
+    conditions.push(condition)
+    params[name] = value
+  }
+  if (action?.endsWith('.')) {
+    filter("action LIKE @action ESCAPE '\\'", 'action', `${action.replace(/[\\%_]/g, '\\$&')}%`)
+  } else {
+    filter('action = @action', 'action', action)
+  }
+  filter('actor_type = @actorType', 'actorType', actorType)
+  filter('actor_id = @actorId', 'actorId', actorId)
+  filter('target_type = @targetType', 'targetType', targetType)
+  filter('target_id = @targetId', 'targetId', targetId)
+  filter('created_at >= @from', 'from', from)
+  filter('created_at < @to', 'to', to)
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
+  const offset = (page - 1) * limit
+  const entries = db.prepare(`SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset })
+    .map(entry => ({ ...entry, before: JSON.parse(entry.before), after: JSON.parse(entry.after) }))
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM audit_log ${where}`).get(params)
+
+  return {
+    entries,
+    meta: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    }
+  }
+}
+
 export const data = {
   setup,
+  inTransaction,
   getAllChecks,
   getAllChecksUnpaginated,
   getCheckByUuid,
+  getCheckBySlug,
+  getAllTags,
+  getCheckEvents,
+  getStatusHistory,
+  getMetricTotals,
+  iterateRunDurations,
+  getRollupWatermark,
+  rollUpEvents,
+  getRollups,
+  pruneEvents,
+  pruneRollups,
+  pruneStatusChanges,
+  pruneAuditLog,
+  incrementalVacuum,
+  backup,
   createCheck,
+  updateCheck,
   deleteCheck,
+  recordStart,
   recordPing,
   recordFailure,
   setCheckDown,
-  toggleMaintenance
+  recordMissedRuns,
+  recordNotification,
+  acknowledgeCheck,
+  toggleMaintenance,
+  startScheduledMaintenance,
+  endScheduledMaintenance,
+  getAllMaintenanceWindows,
+  getMaintenanceWindows,
+  createMaintenanceWindow,
+  deleteMaintenanceWindow,
+  getAllEscalationPolicies,
+  getEscalationPolicyById,
+  getEscalationPolicyByName,
+  createEscalationPolicy,
+  updateEscalationPolicy,
+  deleteEscalationPolicy,
+  getAllChannels,
+  getChannelById,
+  createChannel,
+  deleteChannel,
+  getChannelsForCheck,
+  setCheckChannels,
+  getCheckByBadgeKey,
+  regenerateCheckBadgeKey,
+  getTagBadgeByKey,
+  setTagBadge,
+  deleteTagBadge,
+  getStatusesByTag,
+  getAllProjects,
+  getProjectById,
+  getProjectByPingKey,
+  getDefaultProjectId,
+  createProject,
+  updateProject,
+  regeneratePingKey,
+  deleteProject,
+  getChecksByProject,
+  getAllApiKeys,
+  getApiKeyById,
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  getAllUsers,
+  getUserById,
+  getUserCredentials,
+  countUsers,
+  countAdmins,
+  createUser,
+  updateUser,
+  deleteUser,
+  recordLogin,
+  getAllStatusPages,
+  getStatusPageById,
+  getStatusPageBySlug,
+  getStatusPageChecks,
+  createStatusPage,
+  updateStatusPage,
+  deleteStatusPage,
+  recordAudit,
+  getAuditLog
 }
@@ -0,0 +1,42 @@
+import { schedules } from './schedules.js'
+
+/**
+ * Lists the channels of the escalation steps a check has reached.
+ * @param {object} policy - The escalation policy with its steps.
+ * @param {number} downCount - The number of consecutively missed runs.
+ * @returns {number[]} The channel IDs, without duplicates.
+ */
+function getReachedChannelIds (policy, downCount) {
+  const reached = policy.steps.filter(step => step.down_count <= downCount)
+  return [...new Set(reached.flatMap(step => step.channel_ids))]
+}
+
+/**
+ * Decides whom an escalation policy notifies about a check that is down, if anyone.
+ * Steps are notified once, as soon as the check has missed their number of runs in a row. In between,
+ * the channels of all reached steps are reminded every `repeat_interval`. Acknowledged checks are left alone.
+ * @param {object} policy - The escalation policy with its steps.
+ * @param {object} check - The check object from the database.
+ * @param {number} now - The current Unix timestamp.
+ * @returns {{ kind: 'escalation'|'reminder', channelIds: number[] }|null} The notification to send, or null for none.
+ */
+function planNotification (policy, check, now) {
+  if (check.status !== 'down' || check.acknowledged_at) return null
+
+  const downCount = check.consecutive_down_count
+  const newSteps = policy.steps.filter(step => step.down_count > check.notified_down_count && step.down_count <= downCount)
+  if (newSteps.length > 0) {
+    return { kind: 'escalation', channelIds: [...new Set(newSteps.flatMap(step => step.channel_ids))] }
+  }
+
+  const repeatSeconds = schedules.parseDuration(policy.repeat_interval) / 1000
+  if (repeatSeconds > 0 && check.last_notified_at && now - check.last_notified_at >= repeatSeconds) {
+    return { kind: 'reminder', channelIds: getReachedChannelIds(policy, downCount) }
+  }
+  return null
+}
+
+export const escalation = {
+  getReachedChannelIds,
+  planNotification
+}
@@ -0,0 +1,79 @@
+import { Cron } from 'croner'
+import { schedules } from './schedules.js'
+
+/**
+ * Creates the cron job of a recurring maintenance window.
+ * @param {object} window - The maintenance window from the database.
+ * @returns {Cron} A paused job, only used to compute run times.
+ */
+function toCron (window) {
+  return new Cron(window.schedule, { timezone: window.timezone || process.env.CRON_TIMEZONE || 'UTC', paused: true })
+}
+
+/**
+ * Finds the occurrence of a maintenance window that covers a moment, if any.
+ * One-off windows have a single occurrence from `starts_at` to `ends_at`; recurring windows start at
+ * every run of their cron `schedule` and last for their `duration`.
+ * @param {object} window - The maintenance window from the database.
+ * @param {number} nowMs - The moment in milliseconds.
+ * @returns {{ startsAt: number, endsAt: number }|null} The occurrence in Unix seconds, or null if the window is not active.
+ */
+function getActiveOccurrence (window, nowMs) {
+  if (!window.schedule) {
+    return window.starts_at * 1000 <= nowMs && nowMs < window.ends_at * 1000
+      ? { startsAt: window.starts_at, endsAt: window.ends_at }
+      : null
+  }
+  const durationMs = schedules.parseDuration(window.duration)
+  try {
+    // The latest run that started less than one duration ago, if any, is the active occurrence.
+    const run = toCron(window).nextRun(new Date(nowMs - durationMs))
+    if (!run || run.getTime() > nowMs) return null
+    const startsAt = Math.floor(run.getTime() / 1000)
+    return { startsAt, endsAt: startsAt + Math.floor(durationMs / 1000) }
+  } catch (error) {
+    console.error(`Invalid schedule "${window.schedule}" for maintenance window ${window.id}.`, error.message)
+    return null
+  }
+}
+
+/**
+ * Computes when a maintenance window starts next.
+ * @param {object} window - The maintenance window from the database.
+ * @param {number} nowMs - The moment to look ahead from, in milliseconds.
+ * @returns {number|null} A Unix timestamp in seconds, or null if the window does not start again.
+ */
+function getNextStart (window, nowMs) {
+  if (!window.schedule) {
+    return window.starts_at * 1000 > nowMs ? window.starts_at : null
+  }
+  try {
+    const run = toCron(window).nextRun(new Date(nowMs))
+    return run ? Math.floor(run.getTime() / 1000) : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Finds the active occurrence of a check's maintenance windows that lasts the longest.
+ * @param {object[]} windows - The check's maintenance windows.
+ * @param {number} nowMs - The moment in milliseconds.
+ * @returns {{ window: object, startsAt: number, endsAt: number }|null} The occurrence, or null if no window is active.
+ */
+function findActiveOccurrence (windows, nowMs) {
+  let active = null
+  for (const window of windows) {
+    const occurrence = getActiveOccurrence(window, nowMs)
+    if (occurrence && (!active || occurrence.endsAt > active.endsAt)) {
+      active = { window, ...occurrence }
+    }
+  }
+  return active
+}
+
+export const maintenance = {
+  getActiveOccurrence,
+  getNextStart,
+  findActiveOccurrence
+}
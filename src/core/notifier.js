@@ -0,0 +1,293 @@
+import nodemailer from 'nodemailer'
+import { data } from './db.js'
+import { bus } from './bus.js'
+import { escalation } from './escalation.js'
+
+/** Timeout for outbound notification requests, so that a slow receiver cannot pile up requests. */
+const REQUEST_TIMEOUT_MS = 10000
+
+/** Colors used by chat integrations that support them, keyed by the new status. */
+const statusColors = { up: '#3fb950', down: '#f85149', failed: '#d29922' }
+
+const channelTypes = ['webhook', 'slack', 'discord', 'teams', 'googlechat', 'email']
+
+let mailTransport = null
+
+/**
+ * Lazily creates the SMTP transport from the SMTP_* environment variables.
+ * @returns {import('nodemailer').Transporter}
+ */
+function getMailTransport () {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('Email notifications require SMTP_HOST to be configured.')
+  }
+  if (!mailTransport) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+  }
+  return mailTransport
+}
+
+/**
+ * Decides whether a status transition should be announced.
+ * Notified transitions are: any -> down, any -> failed, and new/down/failed -> up.
+ * Entering or leaving maintenance is never announced.
+ * @param {string} from - The previous status.
+ * @param {string} to - The new status.
+ * @returns {boolean}
+ */
+function isNotifiable (from, to) {
+  if (from === 'maintenance' || to === 'maintenance') return false
+  return to === 'down' || to === 'failed' || (to === 'up' && from !== 'up')
+}
+
+/**
+ * Builds the human-readable summary shared by all channel types.
+ * @param {object} check - The check object from the database.
+ * @param {string} from - The previous status.
+ * @param {string} [kind] - 'escalation' or 'reminder' for notifications about a check that is still down.
+ * @returns {{ event: string, title: string, text: string }}
+ */
+function describe (check, from, kind) {
+  const lastPing = check.last_ping_at ? new Date(check.last_ping_at * 1000).toISOString() : 'never'
+  const lines = [
+    `Schedule: ${check.schedule} • Grace: ${check.grace}`,
+    `Last ping: ${lastPing}`
+  ]
+  if (check.status === 'failed' && check.last_error) {
+    lines.push(`Reason: ${check.last_error}`)
+  }
+  if (kind) {
+    const missed = `Missed ${check.consecutive_down_count} runs in a row.`
+    lines.unshift(kind === 'reminder' ? `Reminder: ${missed} Acknowledge the check to stop reminders.` : `Escalated: ${missed}`)
+    return { event: 'check.still_down', title: `${check.name} is still DOWN`, text: lines.join('\n') }
+  }
+  lines.unshift(`Status changed from ${from} to ${check.status}.`)
+  return { event: `check.${check.status}`, title: `${check.name} is ${check.status.toUpperCase()}`, text: lines.join('\n') }
+}
+
+/**
+ * Posts a JSON payload to a URL.
+ * @param {string} url - The target URL.
+ * @param {object} payload - The JSON body.
+ */
+async function postJson (url, payload) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  })
+  if (!response.ok) {
+    throw new Error(`Request failed with status: ${response.status}`)
+  }
+}
+
+/**
+ * Delivery functions per channel type.
+ * Each receives the channel's config, the check, the previous status and the summary.
+ */
+const senders = {
+  webhook: (config, check, from, { event }) => postJson(config.url, {
+    event,
+    previousStatus: from,
+    check: {
+      uuid: check.uuid,
+      name: check.name,
+      status: check.status,
+      schedule: check.schedule,
+      grace: check.grace,
+      lastPingAt: check.last_ping_at,
+      lastError: check.last_error,
+      consecutiveDownCount: check.consecutive_down_count
+    },
+    timestamp: Math.floor(Date.now() / 1000)
+  }),
+
+  slack: (config, check, from, { title, text }) => postJson(config.url, {
+    text: title,
+    attachments: [{ color: statusColors[check.status], title, text }]
+  }),
+
+  discord: (config, check, from, { title, text }) => postJson(config.url, {
+    embeds: [{ title, description: text, color: parseInt(statusColors[check.status].slice(1), 16) }]
+  }),
+
+  // Adaptive Card, accepted by both Teams workflows and legacy incoming webhooks.
+  teams: (config, check, from, { title, text }) => postJson(config.url, {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+          { type: 'TextBlock', text: text.split('\n').join('\n\n'), wrap: true }
+        ]
+      }
+    }]
+  }),
+
+  googlechat: (config, check, from, { title, text }) => postJson(config.url, {
+    text: `*${title}*\n${text}`
+  }),
+
+  email: async (config, check, from, { title, text }) => {
+    await getMailTransport().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: config.to,
+      subject: `[Pulse] ${title}`,
+      text
+    })
+  }
+}
+
+/**
+ * Validates a channel configuration for the given type.
+ * @param {string} type - The channel type.
+ * @param {object} config - The channel configuration.
+ * @returns {string|null} An error message about the config, or null if the configuration is valid.
+ */
+function validateChannelConfig (type, config) {
+  if (!channelTypes.includes(type)) {
+    return `must be one of: ${channelTypes.join(', ')}`
+  }
+  if (!config || typeof config !== 'object') {
+    return 'is required'
+  }
+  if (type === 'email') {
+    return typeof config.to === 'string' && config.to.includes('@') ? null : 'requires a "to" address for email channels'
+  }
+  try {
+    const { protocol } = new URL(config.url)
+    return protocol === 'http:' || protocol === 'https:' ? null : 'requires a "url" using http or https'
+  } catch (error) {
+    return 'requires a valid "url"'
+  }
+}
+
+/**
+ * Delivers a notification about a check to a single channel.
+ * @param {object} channel - The channel from the database.
+ * @param {object} check - The check object from the database.
+ * @param {string} from - The previous status.
+ * @param {string} [kind] - 'escalation' or 'reminder' for notifications about a check that is still down.
+ */
+async function sendToChannel (channel, check, from, kind) {
+  const send = senders[channel.type]
+  if (!send) {
+    throw new Error(`Unsupported channel type: ${channel.type}`)
+  }
+  await send(channel.config, check, from, describe(check, from, kind))
+}
+
+/**
+ * Delivers a notification to several channels.
+ * Failures are logged per channel and never propagate to the caller.
+ */
+async function deliver (channels, check, from, kind) {
+  await Promise.all(channels.map(async (channel) => {
+    try {
+      await sendToChannel(channel, check, from, kind)
+      console.log(`Notified channel '${channel.name}' that '${check.name}' is ${kind ? 'still DOWN' : check.status.toUpperCase()}.`)
+    } catch (error) {
+      console.error(`Failed to notify channel '${channel.name}' (${channel.type}) about '${check.name}':`, error.message)
+    }
+  }))
+}
+
+/**
+ * Loads channels by ID, skipping deleted ones and those in `excludedIds`.
+ * @param {number[]} channelIds - The channel IDs.
+ * @param {number[]} [excludedIds] - Channels that are notified anyway.
+ * @returns {object[]}
+ */
+function getChannels (channelIds, excludedIds = []) {
+  return channelIds
+    .filter(id => !excludedIds.includes(id))
+    .map(id => data.getChannelById(id))
+    .filter(Boolean)
+}
+
+/**
+ * Applies a check's escalation policy while it is down: notifies steps as they are reached and sends reminders.
+ * The progress is stored before sending, so that the next status evaluation does not notify twice.
+ * @param {object} check - The check object from the database.
+ * @param {number[]} [excludedIds] - Channels that are notified anyway.
+ */
+async function escalate (check, excludedIds = []) {
+  const policy = check.escalation_policy_id && data.getEscalationPolicyById(check.escalation_policy_id)
+  if (!policy) return
+  const now = Math.floor(Date.now() / 1000)
+  const plan = escalation.planNotification(policy, check, now)
+  if (!plan && check.notified_down_count === check.consecutive_down_count) return
+  data.recordNotification(check.id, check.consecutive_down_count, plan ? now : null)
+  if (!plan) return
+  // The first notification of an outage reads like any other down alert.
+  const kind = plan.kind === 'reminder' || check.consecutive_down_count > 1 ? plan.kind : undefined
+  await deliver(getChannels(plan.channelIds, excludedIds), check, 'down', kind)
+}
+
+/**
+ * Notifies all channels attached to a check about a status transition, and applies its escalation policy.
+ * When a check recovers, the channels its policy notified during the outage are told as well.
+ * @param {object} transition - The transition announced on the bus.
+ */
+async function notifyTransition ({ check, from, to }) {
+  if (!isNotifiable(from, to)) return
+  const channels = data.getChannelsForCheck(check.id)
+  const attachedIds = channels.map(channel => channel.id)
+  const policy = check.escalation_policy_id && data.getEscalationPolicyById(check.escalation_policy_id)
+  if (policy && from === 'down') {
+    const notifiedIds = escalation.getReachedChannelIds(policy, check.notified_down_count)
+    channels.push(...getChannels(notifiedIds, attachedIds))
+  }
+  await Promise.all([
+    deliver(channels, check, from),
+    to === 'down' ? escalate(check, attachedIds) : null
+  ])
+}
+
+/**
+ * Sends a test notification to a channel, using a sample check.
+ * @param {object} channel - The channel from the database.
+ */
+function sendTestNotification (channel) {
+  const sampleCheck = {
+    uuid: '00000000-0000-0000-0000-000000000000',
+    name: 'Pulse test notification',
+    status: 'up',
+    schedule: '1d',
+    grace: '1h',
+    last_ping_at: Math.floor(Date.now() / 1000),
+    last_error: null
+  }
+  return sendToChannel(channel, sampleCheck, 'new')
+}
+
+/**
+ * Subscribes to status transitions on the bus.
+ */
+function startNotifier () {
+  bus.on('transition', (transition) => {
+    notifyTransition(transition).catch(error => console.error('Failed to dispatch notifications:', error))
+  })
+  bus.on('still_down', ({ check }) => {
+    escalate(check).catch(error => console.error('Failed to dispatch escalations:', error))
+  })
+  console.log('Notification dispatcher started.')
+}
+
+export const notifier = {
+  channelTypes,
+  validateChannelConfig,
+  sendTestNotification,
+  startNotifier
+}
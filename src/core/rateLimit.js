@@ -0,0 +1,147 @@
+import { schedules } from './schedules.js'
+
+/**
+ * Reads a duration setting from the environment.
+ * @param {string} name - The environment variable.
+ * @param {string} fallback - The default, e.g. '1m'.
+ * @returns {number} The duration in milliseconds.
+ * @throws {Error} If the variable is set but not a positive duration, so that a typo does not disable a limit.
+ */
+function durationSetting (name, fallback) {
+  const value = process.env[name] || fallback
+  const ms = schedules.parseDuration(value)
+  if (ms <= 0) {
+    throw new Error(`${name} must be a duration such as 30s, 10m or 1h; got "${value}".`)
+  }
+  return ms
+}
+
+/**
+ * Reads a count setting from the environment.
+ * @param {string} name - The environment variable.
+ * @param {number} fallback - The default.
+ * @returns {number} The count. 0 disables the limit.
+ * @throws {Error} If the variable is set but not a whole number.
+ */
+function countSetting (name, fallback) {
+  const value = process.env[name]
+  if (value === undefined || value === '') return fallback
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a whole number (0 disables the limit); got "${value}".`)
+  }
+  return parseInt(value, 10)
+}
+
+/**
+ * Creates a fixed-window limiter that allows each client a number of requests per window.
+ * @param {number} max - The requests allowed per window. 0 allows any number.
+ * @param {number} windowMs - The length of a window in milliseconds.
+ */
+function createLimiter (max, windowMs) {
+  /** @type {Map<string, { count: number, resetAt: number }>} */
+  const windows = new Map()
+  // Forget clients whose window has ended, so that the map does not grow with every address ever seen.
+  setInterval(() => {
+    const now = Date.now()
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key)
+    }
+  }, windowMs).unref()
+
+  return {
+    max,
+    /**
+     * Counts a request.
+     * @param {string} key - The client, e.g. its IP address.
+     * @returns {{ allowed: boolean, retryAfter: number }} Whether the request is within the limit, and otherwise
+     *   the seconds until the client's window ends.
+     */
+    hit (key) {
+      if (max === 0) return { allowed: true, retryAfter: 0 }
+      const now = Date.now()
+      let window = windows.get(key)
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs }
+        windows.set(key, window)
+      }
+      window.count++
+      return { allowed: window.count <= max, retryAfter: Math.ceil((window.resetAt - now) / 1000) }
+    }
+  }
+}
+
+/**
+ * Creates a guard that locks a client out after repeated failed logins.
+ * Every `maxFailures` failures in a row lock the client out, first for `lockoutMs`, then twice as long with each
+ * further lockout, up to `maxLockoutMs`. A successful login, or `maxLockoutMs` without any failure, starts over.
+ * @param {number} maxFailures - The failures allowed before a lockout. 0 disables the lockout.
+ * @param {number} lockoutMs - The first lockout.
+ * @param {number} maxLockoutMs - The longest lockout.
+ */
+function createLoginGuard (maxFailures, lockoutMs, maxLockoutMs) {
+  /** @type {Map<string, { failures: number, lockouts: number, lockedUntil: number, lastFailureAt: number }>} */
+  const clients = new Map()
+  setInterval(() => {
+    const now = Date.now()
+    for (const [key, client] of clients) {
+      if (client.lockedUntil <= now && client.lastFailureAt + maxLockoutMs <= now) clients.delete(key)
+    }
+  }, Math.min(maxLockoutMs, 60 * 60 * 1000)).unref()
+
+  return {
+    /**
+     * Tells whether a client is locked out.
+     * @param {string} key - The client, e.g. its IP address.
+     * @returns {number} The seconds until the lockout ends, or 0 if the client may try to log in.
+     */
+    lockedFor (key) {
+      const client = clients.get(key)
+      const remaining = client ? client.lockedUntil - Date.now() : 0
+      return remaining > 0 ? Math.ceil(remaining / 1000) : 0
+    },
+
+    /**
+     * Records a failed login.
+     * @param {string} key - The client.
+     * @returns {number} The seconds the client is now locked out for, or 0 if it has attempts left.
+     */
+    fail (key) {
+      if (maxFailures === 0) return 0
+      const now = Date.now()
+      let client = clients.get(key)
+      if (!client || client.lastFailureAt + maxLockoutMs <= now) {
+        client = { failures: 0, lockouts: 0, lockedUntil: 0, lastFailureAt: now }
+        clients.set(key, client)
+      }
+      client.lastFailureAt = now
+      client.failures++
+      if (client.failures < maxFailures) return 0
+      const lockout = Math.min(lockoutMs * 2 ** client.lockouts, maxLockoutMs)
+      client.failures = 0
+      client.lockouts++
+      client.lockedUntil = now + lockout
+      return Math.ceil(lockout / 1000)
+    },
+
+    /**
+     * Records a successful login, which clears the client's failures and lockouts.
+     * @param {string} key - The client.
+     */
+    succeed (key) {
+      clients.delete(key)
+    }
+  }
+}
+
+const windowMs = durationSetting('RATE_LIMIT_WINDOW', '1m')
+
+/** Per-IP request limits of the ping and API routes, and the lockout of the admin login. */
+export const rateLimits = {
+  ping: createLimiter(countSetting('RATE_LIMIT_PING', 300), windowMs),
+  api: createLimiter(countSetting('RATE_LIMIT_API', 600), windowMs),
+  login: createLoginGuard(
+    countSetting('LOGIN_MAX_FAILURES', 5),
+    durationSetting('LOGIN_LOCKOUT', '1m'),
+    durationSetting('LOGIN_LOCKOUT_MAX', '1h')
+  )
+}
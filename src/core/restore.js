@@ -0,0 +1,138 @@
+import fs from 'fs'
+import path from 'path'
+import Database from 'better-sqlite3'
+
+// This module must not import db.js, which opens the live database as soon as it is loaded.
+
+/** The live database, as opened by db.js. */
+const DATABASE_PATH = path.join(process.cwd(), 'data', 'pulse.db')
+
+/**
+ * Tables and columns a snapshot must have to be restored. Tables and columns added by later versions are created by
+ * the schema migrations on the next start, so older snapshots can be restored too.
+ */
+const REQUIRED_SCHEMA = {
+  checks: ['id', 'uuid', 'name', 'schedule', 'grace', 'status', 'last_ping_at', 'created_at'],
+  events: ['id', 'check_id', 'type', 'created_at']
+}
+
+/**
+ * Checks that a file is an intact Pulse database.
+ * @param {string} file - The path of the snapshot.
+ * @returns {string[]} The problems found; empty if the snapshot can be restored.
+ */
+function validateSnapshot (file) {
+  let snapshot
+  try {
+    snapshot = new Database(file, { readonly: true, fileMustExist: true })
+  } catch (error) {
+    return [`cannot be opened: ${error.message}`]
+  }
+  try {
+    const problems = []
+    const integrity = snapshot.pragma('integrity_check', { simple: true })
+    if (integrity !== 'ok') {
+      problems.push(`fails the integrity check: ${integrity}`)
+    }
+    for (const [table, columns] of Object.entries(REQUIRED_SCHEMA)) {
+      const existing = new Set(snapshot.pragma(`table_info(${table})`).map(column => column.name))
+      if (existing.size === 0) {
+        problems.push(`has no "${table}" table`)
+        continue
+      }
+      const missing = columns.filter(column => !existing.has(column))
+      if (missing.length > 0) {
+        problems.push(`lacks the "${table}" columns ${missing.join(', ')}`)
+      }
+    }
+    if (problems.length === 0 && snapshot.pragma('foreign_key_check').length > 0) {
+      problems.push('has rows that refer to missing rows')
+    }
+    return problems
+  } catch (error) {
+    return [`cannot be read: ${error.message}`]
+  } finally {
+    snapshot.close()
+  }
+}
+
+/**
+ * Locks the live database against every other connection, so that Pulse cannot open it until the lock is closed.
+ * Leaving write-ahead logging folds the log into the file, so that the database is complete on its own, and only
+ * succeeds while no other connection has the database open.
+ * @param {string} file - The path of the live database.
+ * @returns {Database} The connection holding the lock. Closing it releases the lock.
+ * @throws {Error} If a running Pulse has the database open.
+ */
+function lockDatabase (file) {
+  const live = new Database(file, { fileMustExist: true, timeout: 0 })
+  try {
+    live.pragma('locking_mode = EXCLUSIVE')
+    live.pragma('journal_mode = DELETE')
+    live.exec('BEGIN EXCLUSIVE')
+    return live
+  } catch (error) {
+    live.close()
+    if (error.code === 'SQLITE_BUSY') {
+      throw new Error('The database is in use. Stop Pulse before restoring a snapshot.')
+    }
+    throw error
+  }
+}
+
+/**
+ * Replaces the live database with a snapshot, e.g. one written by the scheduled backups or
+ * `POST /api/v1/admin/backup`. Pulse must be stopped.
+ * The snapshot is validated first. The live database stays locked from before the snapshot is copied until it has
+ * been replaced, so that Pulse cannot start in between. It is kept next to the new one as
+ * pulse-before-restore-<time>.db, and the snapshot is copied under a temporary name and then renamed over it, so
+ * that an interrupted restore leaves no half-written database behind.
+ * @param {string} file - The path of the snapshot.
+ * @param {string} [databasePath] - The path of the live database.
+ * @returns {Promise<{ previous: string|null, checks: number }>} Where the replaced database was moved, and the number
+ *   of checks in the restored one.
+ * @throws {Error} If the snapshot is invalid or Pulse is running.
+ */
+async function restoreSnapshot (file, databasePath = DATABASE_PATH) {
+  const problems = validateSnapshot(file)
+  if (problems.length > 0) {
+    throw new Error(`${file} cannot be restored. It ${problems.join('; it ')}.`)
+  }
+
+  const lock = fs.existsSync(databasePath) ? lockDatabase(databasePath) : null
+  const restoringPath = `${databasePath}.restoring`
+  let previous = null
+  try {
+    const snapshot = new Database(file, { readonly: true })
+    try {
+      await snapshot.backup(restoringPath)
+    } finally {
+      snapshot.close()
+    }
+
+    if (lock) {
+      previous = path.join(path.dirname(databasePath), `pulse-before-restore-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}Z.db`)
+      // A second name for the live database, so that the path of the live database never goes missing.
+      fs.linkSync(databasePath, previous)
+    }
+    for (const suffix of ['-wal', '-shm']) {
+      fs.rmSync(`${databasePath}${suffix}`, { force: true })
+    }
+    fs.renameSync(restoringPath, databasePath)
+  } catch (error) {
+    fs.rmSync(restoringPath, { force: true })
+    throw error
+  } finally {
+    lock?.close()
+  }
+
+  const restored = new Database(databasePath, { readonly: true })
+  const { total } = restored.prepare('SELECT COUNT(*) AS total FROM checks').get()
+  restored.close()
+  return { previous, checks: total }
+}
+
+export const restore = {
+  validateSnapshot,
+  restoreSnapshot
+}
@@ -0,0 +1,98 @@
+import { data } from './db.js'
+import { schedules } from './schedules.js'
+
+/** Shortest retention of a check's events, so that the history always covers the latest runs. */
+const MIN_EVENT_RETENTION_MS = 60 * 60 * 1000
+
+/** Shortest retention of the status history, so that it covers the longest uptime report (365 days). */
+const MIN_STATUS_RETENTION_MS = 366 * 24 * 60 * 60 * 1000
+
+/**
+ * Reads a retention setting from the environment.
+ * @param {string} name - The environment variable.
+ * @param {string} fallback - The default, e.g. '90d'.
+ * @param {number} minimumMs - The shortest retention allowed.
+ * @returns {number} The retention in milliseconds, or 0 to keep the data forever.
+ * @throws {Error} If the variable is set but neither 0 nor a duration of at least `minimumMs`, so that a typo
+ *   does not delete history.
+ */
+function retentionSetting (name, fallback, minimumMs) {
+  const value = process.env[name] || fallback
+  if (value === '0') return 0
+  const ms = schedules.parseDuration(value)
+  if (ms < minimumMs) {
+    throw new Error(`${name} must be 0 (keep forever) or a duration of at least ${minimumMs / (60 * 60 * 1000)}h such as 30d; got "${value}".`)
+  }
+  return ms
+}
+
+/**
+ * How long each kind of history is kept. Hourly rollups must outlive a day, since the daily rollups are
+ * recomputed from them.
+ */
+const settings = {
+  events: retentionSetting('RETENTION_EVENTS', '90d', MIN_EVENT_RETENTION_MS),
+  hourlyRollups: retentionSetting('RETENTION_HOURLY', '90d', 2 * 24 * 60 * 60 * 1000),
+  dailyRollups: retentionSetting('RETENTION_DAILY', '730d', 2 * 24 * 60 * 60 * 1000),
+  statusChanges: retentionSetting('RETENTION_STATUS', '730d', MIN_STATUS_RETENTION_MS),
+  auditLog: retentionSetting('RETENTION_AUDIT', '730d', 2 * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * Tells whether a per-check retention is valid.
+ * @param {string} value - The check's retention, e.g. '7d'.
+ * @returns {boolean}
+ */
+function isValidRetention (value) {
+  return schedules.isInterval(value) && schedules.parseDuration(value) >= MIN_EVENT_RETENTION_MS
+}
+
+/**
+ * Rolls up the runs recorded since the last pass, then deletes the events, rollups, status changes and audit log
+ * entries that are older than their retention and returns the freed pages to the file system. Events are only
+ * deleted once they are rolled up.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {{ events: number, rollups: number, statusChanges: number, auditEntries: number, freedPages: number }}
+ *   The number of deleted rows of each kind, and of freed pages.
+ */
+function runRetention (now = Date.now()) {
+  const nowSeconds = Math.floor(now / 1000)
+  data.rollUpEvents(data.getRollupWatermark() ?? 0)
+  // The hour of the latest rollup may see further runs, so its events are kept until the next pass.
+  const rolledUpBefore = data.getRollupWatermark() ?? nowSeconds
+
+  let events = 0
+  for (const check of data.getAllChecksUnpaginated()) {
+    const retentionMs = check.retention ? schedules.parseDuration(check.retention) : settings.events
+    if (retentionMs === 0) continue
+    events += data.pruneEvents(check.id, Math.min(nowSeconds - Math.floor(retentionMs / 1000), rolledUpBefore))
+  }
+
+  let rollups = 0
+  if (settings.hourlyRollups > 0) {
+    // The day of the latest rollup is recomputed from its hours on the next pass.
+    const before = Math.min(nowSeconds - Math.floor(settings.hourlyRollups / 1000), rolledUpBefore - rolledUpBefore % 86400)
+    rollups += data.pruneRollups('hour', before)
+  }
+  if (settings.dailyRollups > 0) {
+    rollups += data.pruneRollups('day', nowSeconds - Math.floor(settings.dailyRollups / 1000))
+  }
+
+  let statusChanges = 0
+  if (settings.statusChanges > 0) {
+    statusChanges = data.pruneStatusChanges(nowSeconds - Math.floor(settings.statusChanges / 1000))
+  }
+  let auditEntries = 0
+  if (settings.auditLog > 0) {
+    auditEntries = data.pruneAuditLog(nowSeconds - Math.floor(settings.auditLog / 1000))
+  }
+
+  const freedPages = events + rollups + statusChanges + auditEntries > 0 ? data.incrementalVacuum() : 0
+  return { events, rollups, statusChanges, auditEntries, freedPages }
+}
+
+export const retention = {
+  settings,
+  isValidRetention,
+  runRetention
+}
@@ -1,61 +1,131 @@
 import cron from 'croner'
 import { data } from './db.js'
 import { metrics } from '../metrics.js'
+import { schedules } from './schedules.js'
+import { maintenance } from './maintenance.js'
+import { bus } from './bus.js'
+import { invalidateCheckLists } from './cache.js'
+import { retention } from './retention.js'
+import { backups } from './backups.js'
+
+/** Most missed runs counted per status evaluation, so that long outages of frequent checks are caught up gradually. */
+const MAX_MISSED_RUNS_PER_PASS = 100
+
+/**
+ * Puts a check in maintenance when one of its maintenance windows is active, and takes it out when none is.
+ * Checks put in maintenance by hand are left alone. Ending maintenance by hand during a window ends that
+ * occurrence early; the check enters maintenance again at the window's next occurrence.
+ * @param {object} check - The check object from the database.
+ * @param {object[]} windows - The check's maintenance windows.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {object|null} The updated check, or null if its status did not change.
+ */
+function applyMaintenanceWindows (check, windows, now) {
+  const occurrence = maintenance.findActiveOccurrence(windows, now)
+  // Maintenance ended by hand after the occurrence started (and after the window was added) ends that occurrence.
+  const endedByHand = check.maintenance_source === 'manual' &&
+    check.maintenance_ended_at >= occurrence?.startsAt &&
+    check.maintenance_ended_at >= occurrence?.window.created_at
+  if (occurrence && check.status !== 'maintenance' && !endedByHand) {
+    console.log(`Check '${check.name}' (${check.uuid}) entered maintenance window #${occurrence.window.id} until ${new Date(occurrence.endsAt * 1000).toISOString()}.`)
+    return data.startScheduledMaintenance(check.uuid, occurrence.window)
+  }
+  if (!occurrence && check.status === 'maintenance' && check.maintenance_source === 'window') {
+    console.log(`Check '${check.name}' (${check.uuid}) left scheduled maintenance.`)
+    return data.endScheduledMaintenance(check.uuid)
+  }
+  return null
+}
 
 /**
- * Parses a duration string (e.g., "10m", "1d") into milliseconds.
- * @param {string} durationStr - The duration string.
- * @returns {number} Duration in milliseconds.
+ * Applies the maintenance windows of a single check right away, e.g. after its windows were changed.
+ * @param {string} uuid - The UUID of the check.
+ * @returns {object|null} The updated check, or null if its status did not change.
  */
-function parseDuration (durationStr) {
-  if (typeof durationStr !== 'string') return 0
-  const match = durationStr.match(/^(\d+)(ms|s|m|h|d)$/)
-  if (!match) return 0
-  const value = parseInt(match[1], 10)
-  const unit = match[2]
-  switch (unit) {
-    case 'ms': return value
-    case 's': return value * 1000
-    case 'm': return value * 60 * 1000
-    case 'h': return value * 60 * 60 * 1000
-    case 'd': return value * 24 * 60 * 60 * 1000
-    default: return 0
+function syncMaintenance (uuid) {
+  const check = data.getCheckByUuid(uuid)
+  if (!check) return null
+  const updatedCheck = applyMaintenanceWindows(check, data.getMaintenanceWindows(check.id), Date.now())
+  if (updatedCheck) {
+    metrics.updateMetricsForCheck(updatedCheck)
   }
+  return updatedCheck
 }
 
 /**
- * The core status evaluation engine. It runs every minute to check for overdue checks.
+ * Counts the runs a down check has missed since the last evaluation. A run is missed once its grace period is over.
+ * @param {object} check - The check object from the database, with status 'down'.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {object} The updated check, or the given check if no further run was missed.
+ */
+function countMissedRuns (check, now) {
+  const grace = schedules.parseDuration(check.grace)
+  let missedRunAt = check.missed_run_at_ms ?? schedules.getExpectedRunTime(check)
+  let missed = 0
+  while (missedRunAt !== null && missed < MAX_MISSED_RUNS_PER_PASS) {
+    const nextRun = schedules.getRunAfter(check, missedRunAt)
+    if (nextRun === null || now <= nextRun + grace) break
+    missedRunAt = nextRun
+    missed++
+  }
+  if (missed === 0) return check
+
+  const updatedCheck = data.recordMissedRuns(check.id, missed, missedRunAt)
+  if (!updatedCheck) return check
+  metrics.updateMetricsForCheck(updatedCheck)
+  return updatedCheck
+}
+
+/**
+ * The core status evaluation engine. It runs every minute to start and end scheduled maintenance
+ * and to check for overdue checks.
  */
 function runStatusChecks () {
-  const checks = data.getAllChecksUnpaginated({ activeOnly: true })
   const now = Date.now()
+  let changed = false
 
-  for (const check of checks) {
-    const scheduleMs = parseDuration(check.schedule)
-    const graceMs = parseDuration(check.grace)
+  const windowsByCheck = new Map()
+  for (const window of data.getAllMaintenanceWindows()) {
+    windowsByCheck.set(window.check_id, [...(windowsByCheck.get(window.check_id) || []), window])
+  }
+  for (const check of data.getAllChecksUnpaginated()) {
+    if (!windowsByCheck.has(check.id) && check.maintenance_source !== 'window') continue
+    const updatedCheck = applyMaintenanceWindows(check, windowsByCheck.get(check.id) || [], now)
+    if (updatedCheck) {
+      metrics.updateMetricsForCheck(updatedCheck)
+      changed = true
+    }
+  }
 
-    // Determine the timestamp to measure against.
-    // For 'new' checks, it's their creation time. For all others, it's the last ping.
-    const referenceTime = (check.status === 'new' && check.created_at)
-      ? check.created_at * 1000
-      : check.last_ping_at * 1000
+  const checks = data.getAllChecksUnpaginated({ activeOnly: true })
 
-    // If there's no reference time, we can't determine if it's late.
-    if (!referenceTime) continue
+  for (const check of checks) {
+    // Interval schedules are due one interval after the last ping; cron schedules at the
+    // first scheduled run after it. Either way, the grace period is added on top.
+    const deadline = schedules.getDeadline(check)
 
-    const deadline = referenceTime + scheduleMs + graceMs
+    // If there's no reference time (or the schedule is invalid), we can't determine if it's late.
+    if (deadline === null) continue
 
     if (now > deadline) {
-      // Only update if the status is not already 'down' to avoid redundant writes.
       if (check.status !== 'down') {
-        console.log(`Check '${check.name}' (${check.uuid}) is now DOWN. Last event was at ${new Date(referenceTime).toISOString()}.`)
-        const updatedCheck = data.setCheckDown(check.id)
+        console.log(`Check '${check.name}' (${check.uuid}) is now DOWN. Last event was at ${new Date(schedules.getReferenceTime(check)).toISOString()}.`)
+        const updatedCheck = data.setCheckDown(check.id, schedules.getExpectedRunTime(check))
         if (updatedCheck) {
           metrics.updateMetricsForCheck(updatedCheck)
+          changed = true
         }
+      } else {
+        // consecutive_down_count keeps counting the runs missed during the outage, which drives escalation.
+        bus.emit('still_down', { check: countMissedRuns(check, now) })
       }
     }
   }
+
+  // Dashboards reload the list when a live update changes a status, so it must not be served from the cache.
+  if (changed) {
+    invalidateCheckLists()
+  }
 }
 
 /**
@@ -68,6 +138,30 @@ function startStatusEngine () {
   console.log('Status evaluation engine started. [Running every minute]')
 }
 
+/**
+ * Prunes old history and rolls it up, see `retention.runRetention`. Failures are logged and retried on the next pass.
+ */
+function runRetention () {
+  try {
+    const { events, rollups, statusChanges, auditEntries, freedPages } = retention.runRetention()
+    if (events + rollups + statusChanges + auditEntries > 0) {
+      console.log(`Retention: deleted ${events} events, ${rollups} rollups, ${statusChanges} status changes and ${auditEntries} audit log entries, freed ${freedPages} pages.`)
+    }
+  } catch (error) {
+    console.error('Retention pass failed:', error)
+  }
+}
+
+/**
+ * Initializes the background job that rolls up and prunes the event history.
+ */
+function startRetentionJob () {
+  // Run once on startup, then every hour.
+  runRetention()
+  cron('30 * * * *', { timezone: 'UTC' }, runRetention)
+  console.log('Retention job started. [Running every hour]')
+}
+
 /**
  * Sends a summary report to the configured webhook URL (e.g., Google Chat).
  */
@@ -150,7 +244,43 @@ function startWebhookScheduler () {
   }
 }
 
+/**
+ * Takes a scheduled snapshot of the database and deletes the oldest ones beyond `BACKUP_KEEP`.
+ */
+async function runBackup () {
+  try {
+    const file = await backups.createSnapshot()
+    const deleted = backups.rotateSnapshots()
+    console.log(`Database snapshot written to ${file}.${deleted.length > 0 ? ` Deleted ${deleted.length} old snapshots.` : ''}`)
+  } catch (error) {
+    console.error('Database snapshot failed:', error)
+  }
+}
+
+/**
+ * Schedules the database snapshots based on the environment variables.
+ */
+function startBackupScheduler () {
+  const { schedule, directory, keep } = backups.settings
+  const timezone = process.env.CRON_TIMEZONE || 'UTC'
+
+  if (!schedule) {
+    console.log('Scheduled database snapshots are disabled (set BACKUP_SCHEDULE to enable them).')
+    return
+  }
+
+  try {
+    cron(schedule, { timezone }, runBackup)
+    console.log(`Database snapshots scheduled with pattern: "${schedule}" in timezone ${timezone}, into ${directory} (keeping ${keep || 'all'}).`)
+  } catch (error) {
+    console.error(`Invalid CRON pattern "${schedule}" for database snapshots. Scheduled snapshots disabled.`, error)
+  }
+}
+
 export const scheduler = {
   startStatusEngine,
-  startWebhookScheduler
+  startRetentionJob,
+  syncMaintenance,
+  startWebhookScheduler,
+  startBackupScheduler
 }
@@ -0,0 +1,154 @@
+import { Cron } from 'croner'
+
+const DURATION_PATTERN = /^(\d+)(ms|s|m|h|d)$/
+
+/**
+ * Parses a duration string (e.g., "10m", "1d") into milliseconds.
+ * @param {string} durationStr - The duration string.
+ * @returns {number} Duration in milliseconds.
+ */
+function parseDuration (durationStr) {
+  if (typeof durationStr !== 'string') return 0
+  const match = durationStr.match(DURATION_PATTERN)
+  if (!match) return 0
+  const value = parseInt(match[1], 10)
+  const unit = match[2]
+  switch (unit) {
+    case 'ms': return value
+    case 's': return value * 1000
+    case 'm': return value * 60 * 1000
+    case 'h': return value * 60 * 60 * 1000
+    case 'd': return value * 24 * 60 * 60 * 1000
+    default: return 0
+  }
+}
+
+/**
+ * Tells whether a schedule is a fixed interval (e.g. "10m") rather than a cron expression.
+ * @param {string} schedule - The check's schedule.
+ * @returns {boolean}
+ */
+function isInterval (schedule) {
+  return DURATION_PATTERN.test(schedule)
+}
+
+/**
+ * Resolves the timezone a check's cron schedule is evaluated in.
+ * @param {object} check - The check object from the database.
+ * @returns {string} An IANA timezone name.
+ */
+function getTimezone (check) {
+  return check.timezone || process.env.CRON_TIMEZONE || 'UTC'
+}
+
+/**
+ * Tells whether a timezone name is known to the runtime.
+ * @param {string} timezone - An IANA timezone name, e.g. "Europe/London".
+ * @returns {boolean}
+ */
+function isValidTimezone (timezone) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Tells whether a schedule is either a valid interval or a valid cron expression.
+ * @param {string} schedule - The schedule to validate.
+ * @param {string} [timezone] - The timezone the cron expression is evaluated in.
+ * @returns {boolean}
+ */
+function isValidSchedule (schedule, timezone) {
+  if (typeof schedule !== 'string') return false
+  if (isInterval(schedule)) return parseDuration(schedule) > 0
+  try {
+    // Croner validates the pattern and the timezone on construction and when computing runs.
+    new Cron(schedule, { timezone: timezone || process.env.CRON_TIMEZONE || 'UTC' }).nextRun()
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Determines the time from which the next expected ping is measured.
+ * For 'new' checks, it's their creation time. For all others, it's the last ping.
+ * If maintenance ended later than that, the schedule restarts from the end of maintenance.
+ * @param {object} check - The check object from the database.
+ * @returns {number|null} A timestamp in milliseconds, or null if there is none.
+ */
+function getReferenceTime (check) {
+  const reference = (check.status === 'new' && check.created_at)
+    ? check.created_at * 1000
+    : check.last_ping_at * 1000
+  return Math.max(reference, (check.maintenance_ended_at || 0) * 1000) || null
+}
+
+/**
+ * Computes the first run of a check's schedule after a given time.
+ * Interval schedules run one interval later; cron schedules at the first scheduled run after it.
+ * @param {object} check - The check object from the database.
+ * @param {number} time - A timestamp in milliseconds.
+ * @returns {number|null} A timestamp in milliseconds, or null if it cannot be determined.
+ */
+function getRunAfter (check, time) {
+  if (isInterval(check.schedule)) {
+    return time + parseDuration(check.schedule)
+  }
+  try {
+    const nextRun = new Cron(check.schedule, { timezone: getTimezone(check) }).nextRun(new Date(time))
+    return nextRun ? nextRun.getTime() : null
+  } catch (error) {
+    console.error(`Invalid schedule "${check.schedule}" for check '${check.name}' (${check.uuid}).`, error.message)
+    return null
+  }
+}
+
+/**
+ * Computes when the next ping of a check is expected, ignoring the grace period.
+ * Interval schedules expect it one interval after the reference time; cron schedules at the
+ * first scheduled run after the reference time.
+ * @param {object} check - The check object from the database.
+ * @returns {number|null} A timestamp in milliseconds, or null if it cannot be determined.
+ */
+function getExpectedRunTime (check) {
+  const referenceTime = getReferenceTime(check)
+  return referenceTime ? getRunAfter(check, referenceTime) : null
+}
+
+/**
+ * Computes the moment after which a check is considered late.
+ * @param {object} check - The check object from the database.
+ * @returns {number|null} A timestamp in milliseconds, or null if it cannot be determined.
+ */
+function getDeadline (check) {
+  const expectedRunTime = getExpectedRunTime(check)
+  return expectedRunTime === null ? null : expectedRunTime + parseDuration(check.grace)
+}
+
+/**
+ * Computes the next expected ping time of a check for display purposes.
+ * @param {object} check - The check object from the database.
+ * @returns {number|null} A Unix timestamp in seconds, or null for paused or unschedulable checks.
+ */
+function getNextPingAt (check) {
+  if (check.status === 'maintenance') return null
+  const expectedRunTime = getExpectedRunTime(check)
+  return expectedRunTime === null ? null : Math.floor(expectedRunTime / 1000)
+}
+
+export const schedules = {
+  parseDuration,
+  isInterval,
+  isValidSchedule,
+  isValidTimezone,
+  getTimezone,
+  getReferenceTime,
+  getRunAfter,
+  getExpectedRunTime,
+  getDeadline,
+  getNextPingAt
+}
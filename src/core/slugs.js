@@ -0,0 +1,41 @@
+/**
+ * Slugs that would be shadowed by the signal suffixes of UUID ping URLs (`/ping/<uuid>/start`, `/ping/<uuid>/fail`).
+ * Slugs consisting only of digits are excluded for the same reason (`/ping/<uuid>/<exit-status>`).
+ */
+const RESERVED_SLUGS = ['start', 'fail']
+
+/** Longest slug derived from a check name. Explicit slugs may use the full 100 characters. */
+const MAX_DERIVED_LENGTH = 80
+
+/**
+ * Tells whether a string can be used as the slug of a check.
+ * Slugs are lowercase words of letters and digits, separated by single hyphens.
+ * @param {string} slug - The slug to validate.
+ * @returns {boolean}
+ */
+function isValidSlug (slug) {
+  return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug) && !/^\d+$/.test(slug) && !RESERVED_SLUGS.includes(slug)
+}
+
+/**
+ * Derives a slug from a check name, e.g. 'Nightly DB Backup (EU)' becomes 'nightly-db-backup-eu'.
+ * Accents are dropped; names without any usable character become 'check'.
+ * @param {string} name - The check's name.
+ * @returns {string} A valid slug. It is not necessarily unique.
+ */
+function slugify (name) {
+  const slug = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_DERIVED_LENGTH)
+    .replace(/^-+|-+$/g, '')
+  if (!slug) return 'check'
+  return isValidSlug(slug) ? slug : `${slug}-check`
+}
+
+export const slugs = {
+  isValidSlug,
+  slugify
+}
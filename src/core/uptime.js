@@ -0,0 +1,87 @@
+/** Statuses that count towards availability. Time in 'new' or 'maintenance' is excluded from the calculation. */
+const COUNTED_STATUSES = ['up', 'down', 'failed']
+
+/**
+ * Splits a status history into contiguous segments clipped to a time window.
+ * Time before the first known status is not covered by any segment.
+ * @param {{ initialStatus: string|null, changes: object[] }} history - The history from `data.getStatusHistory`.
+ * @param {number} from - The Unix timestamp the window starts at.
+ * @param {number} to - The Unix timestamp the window ends at.
+ * @returns {Array<{ status: string, from: number, to: number }>} The segments, oldest first.
+ */
+function toSegments ({ initialStatus, changes }, from, to) {
+  const segments = []
+  let status = initialStatus
+  let start = from
+  for (const change of changes) {
+    if (status && change.created_at > start) {
+      segments.push({ status, from: start, to: change.created_at })
+    }
+    status = change.to_status
+    start = Math.max(change.created_at, from)
+  }
+  if (status && to > start) {
+    segments.push({ status, from: start, to })
+  }
+  return segments
+}
+
+/**
+ * Sums the seconds spent in each status between two timestamps.
+ * @param {object[]} segments - The segments from `toSegments`.
+ * @param {number} from - The Unix timestamp to start at.
+ * @param {number} to - The Unix timestamp to end at.
+ * @returns {object} Seconds per status, e.g. `{ up: 86000, down: 400 }`.
+ */
+function sumDurations (segments, from, to) {
+  const durations = {}
+  for (const segment of segments) {
+    const seconds = Math.min(segment.to, to) - Math.max(segment.from, from)
+    if (seconds > 0) durations[segment.status] = (durations[segment.status] || 0) + seconds
+  }
+  return durations
+}
+
+/**
+ * Computes the uptime percentage from the seconds spent in each status.
+ * @param {object} durations - Seconds per status.
+ * @returns {number|null} The share of counted time the check was up, rounded to three decimals,
+ *   or null if no counted time is known.
+ */
+function toPercent (durations) {
+  const counted = COUNTED_STATUSES.reduce((sum, status) => sum + (durations[status] || 0), 0)
+  if (counted === 0) return null
+  return Math.round(((durations.up || 0) / counted) * 100000) / 1000
+}
+
+/**
+ * Computes a check's uptime over a time window, overall and split into equal buckets for sparklines.
+ * Time spent in maintenance, in 'new' or before the history starts does not count as up or down.
+ * @param {{ initialStatus: string|null, changes: object[] }} history - The history from `data.getStatusHistory`.
+ * @param {number} from - The Unix timestamp the window starts at.
+ * @param {number} to - The Unix timestamp the window ends at.
+ * @param {number} [bucketCount=1] - The number of buckets to split the window into.
+ * @returns {{ uptimePercent: number|null, durations: object, buckets: object[] }} The report.
+ */
+function computeUptime (history, from, to, bucketCount = 1) {
+  const segments = toSegments(history, from, to)
+  const durations = sumDurations(segments, from, to)
+
+  const bucketSize = (to - from) / bucketCount
+  const buckets = []
+  for (let i = 0; i < bucketCount; i++) {
+    const bucketFrom = Math.round(from + i * bucketSize)
+    const bucketTo = i === bucketCount - 1 ? to : Math.round(from + (i + 1) * bucketSize)
+    buckets.push({
+      from: bucketFrom,
+      to: bucketTo,
+      uptimePercent: toPercent(sumDurations(segments, bucketFrom, bucketTo))
+    })
+  }
+
+  return { uptimePercent: toPercent(durations), durations, buckets }
+}
+
+export const uptime = {
+  computeUptime
+}
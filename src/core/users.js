@@ -0,0 +1,96 @@
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { data } from './db.js'
+
+const scrypt = promisify(crypto.scrypt)
+
+/** The roles of user accounts, from the least to the most privileged. */
+const ROLES = ['viewer', 'editor', 'admin']
+
+/**
+ * scrypt cost parameters. N = 2^15 takes tens of milliseconds per hash, which is slow enough to make guessing
+ * stolen hashes expensive and fast enough for logins. `maxmem` must allow 128 * N * r bytes.
+ */
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 }
+const KEY_LENGTH = 64
+
+/**
+ * Hashes a password for storage.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} The hash as `scrypt$<N>$<r>$<p>$<salt>$<key>`, with the salt and key base64-encoded.
+ */
+async function hashPassword (password) {
+  const salt = crypto.randomBytes(16)
+  const key = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS)
+  const { N, r, p } = SCRYPT_PARAMS
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$')
+}
+
+/**
+ * Compares a password with a stored hash in constant time.
+ * @param {string} password - The plain-text password.
+ * @param {string} passwordHash - The hash from `hashPassword`.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword (password, passwordHash) {
+  const [algorithm, N, r, p, salt, expected] = passwordHash.split('$')
+  if (algorithm !== 'scrypt') return false
+  const expectedKey = Buffer.from(expected, 'base64')
+  const params = { N: Number(N), r: Number(r), p: Number(p), maxmem: SCRYPT_PARAMS.maxmem }
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), expectedKey.length, params)
+  return crypto.timingSafeEqual(key, expectedKey)
+}
+
+/** A hash that is compared when a username is unknown, so that the response time does not reveal which users exist. */
+const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'))
+
+/**
+ * Checks a username and password.
+ * @param {string} username - The username, matched case-insensitively.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<object|null>} The user, or null if the username is unknown or the password is wrong.
+ */
+async function authenticate (username, password) {
+  const credentials = data.getUserCredentials(username)
+  const valid = await verifyPassword(password, credentials ? credentials.password_hash : await dummyHash)
+  if (!credentials || !valid) return null
+  data.recordLogin(credentials.id)
+  return data.getUserById(credentials.id)
+}
+
+/**
+ * Tells whether a role includes the privileges of another, e.g. admins can do everything editors can.
+ * @param {string} role - The user's role.
+ * @param {string} requiredRole - The least privileged role allowed.
+ * @returns {boolean}
+ */
+function hasRole (role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole)
+}
+
+/**
+ * Creates the first admin account on startup, so that deployments that logged in with `ADMIN_SECRET` keep working.
+ * The account is named `ADMIN_USERNAME` (default `admin`) and its password is `ADMIN_SECRET`. Once any user exists,
+ * neither variable is used again: changing `ADMIN_SECRET` does not change the admin's password.
+ * @param {import('fastify').FastifyBaseLogger} log - The logger.
+ * @throws {Error} If there are no users and `ADMIN_SECRET` is not set.
+ */
+async function bootstrapAdmin (log) {
+  if (data.countUsers() > 0) return
+  const password = process.env.ADMIN_SECRET
+  if (!password) {
+    throw new Error('There are no user accounts yet. Set ADMIN_SECRET to create the first admin.')
+  }
+  const username = process.env.ADMIN_USERNAME || 'admin'
+  data.createUser({ username, passwordHash: await hashPassword(password), role: 'admin' })
+  log.info(`Created the admin account "${username}" with ADMIN_SECRET as its password.`)
+}
+
+export const users = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  authenticate,
+  hasRole,
+  bootstrapAdmin
+}
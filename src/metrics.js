@@ -1,12 +1,25 @@
 import prom from 'prom-client'
 import { data } from './core/db.js'
+import { bus } from './core/bus.js'
 
 const registry = new prom.Registry()
 prom.collectDefaultMetrics({ register: registry })
 
-const labelNames = ['name', 'uuid']
+/**
+ * Check labels that can be turned on with `METRICS_LABELS`. None are on by default, since adding a label to existing
+ * series breaks the queries, dashboards and alerts written for them.
+ */
+const OPTIONAL_LABELS = ['project', 'tags']
+const configuredLabels = (process.env.METRICS_LABELS ?? '').split(',').map(label => label.trim()).filter(Boolean)
+const labelNames = ['name', 'uuid', ...OPTIONAL_LABELS.filter(label => configuredLabels.includes(label))]
 const statusMap = { down: 0, up: 1, new: 2, maintenance: 3, failed: 4 }
 
+/** The `outcome` of each signal type in `pulse_pings_total`. */
+const signalOutcomes = { start: 'start', ping: 'success', fail: 'failure' }
+
+/** Upper bounds of the run duration buckets in seconds, from sub-second scripts to daily batch jobs. */
+const DURATION_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 1800, 3600, 7200, 14400, 43200, 86400]
+
 const gauges = {
   status: new prom.Gauge({
     name: 'pulse_check_status',
@@ -28,19 +41,120 @@ const gauges = {
   }),
   consecutiveDownCount: new prom.Gauge({
     name: 'pulse_check_consecutive_down_count',
-    help: 'Number of consecutive times the check has been marked down by timeout.',
+    help: 'Number of consecutive expected runs the check has missed while down.',
     labelNames,
     registers: [registry]
   })
 }
 
+const counters = {
+  pings: new prom.Counter({
+    name: 'pulse_pings_total',
+    help: 'Signals received from the job, by outcome: start, success or failure.',
+    labelNames: [...labelNames, 'outcome'],
+    registers: [registry]
+  }),
+  failures: new prom.Counter({
+    name: 'pulse_failures_total',
+    help: 'Failed runs, by outcome: failed (reported by the job) or down (missed its deadline).',
+    labelNames: [...labelNames, 'outcome'],
+    registers: [registry]
+  }),
+  transitions: new prom.Counter({
+    name: 'pulse_status_transitions_total',
+    help: 'Status changes of the check, by previous and new status.',
+    labelNames: [...labelNames, 'from', 'to'],
+    registers: [registry]
+  })
+}
+
+const rejectedRequests = new prom.Counter({
+  name: 'pulse_rejected_requests_total',
+  help: 'Requests rejected with 429 Too Many Requests, by scope: ping, api (rate limits) or login (lockout).',
+  labelNames: ['scope'],
+  registers: [registry]
+})
+
+const durationHistogram = new prom.Histogram({
+  name: 'pulse_check_duration_seconds',
+  help: 'Duration of the runs that reported or measured one, by outcome: success or failure.',
+  labelNames: [...labelNames, 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+})
+
+const statuses = Object.keys(statusMap)
+
+/**
+ * The metrics with a series per check, each with the sets of extra labels its series can have,
+ * so that every series of a check can be removed.
+ */
+const checkMetrics = [
+  ...Object.values(gauges).map(metric => ({ metric, variants: [{}] })),
+  { metric: counters.pings, variants: Object.values(signalOutcomes).map(outcome => ({ outcome })) },
+  { metric: counters.failures, variants: [{ outcome: 'failed' }, { outcome: 'down' }] },
+  { metric: counters.transitions, variants: statuses.flatMap(from => statuses.map(to => ({ from, to }))) },
+  { metric: durationHistogram, variants: [{ outcome: 'success' }, { outcome: 'failure' }] }
+]
+
+/**
+ * Builds the label set identifying a check's series.
+ * @param {object} check - The check object from the database.
+ * @returns {object} The Prometheus labels.
+ */
+function labelsFor (check) {
+  const labels = { name: check.name, uuid: check.uuid, project: check.project_name || '', tags: (check.tags || []).join(',') }
+  return Object.fromEntries(labelNames.map(label => [label, labels[label]]))
+}
+
+/**
+ * Counts a signal received from a job and records the duration of the run it finished, if known.
+ * @param {object} check - The check object from the database.
+ * @param {string} type - The signal type: 'start', 'ping' or 'fail'.
+ * @param {number|null} durationMs - The run duration in milliseconds.
+ * @param {number} [count] - The number of signals, when rebuilding from the event history.
+ */
+function countSignal (check, type, durationMs, count = 1) {
+  const labels = labelsFor(check)
+  counters.pings.inc({ ...labels, outcome: signalOutcomes[type] }, count)
+  if (type === 'fail') {
+    counters.failures.inc({ ...labels, outcome: 'failed' }, count)
+  }
+  if (type !== 'start' && durationMs !== null && durationMs !== undefined) {
+    durationHistogram.observe({ ...labels, outcome: signalOutcomes[type] }, durationMs / 1000)
+  }
+}
+
+/**
+ * Counts a status change of a check. Changes to 'down' are also counted as failed runs.
+ * @param {object} check - The check object from the database.
+ * @param {string} from - The previous status.
+ * @param {string} to - The new status.
+ * @param {number} [count] - The number of changes, when rebuilding from the status history.
+ */
+function countTransition (check, from, to, count = 1) {
+  const labels = labelsFor(check)
+  counters.transitions.inc({ ...labels, from, to }, count)
+  if (to === 'down') {
+    counters.failures.inc({ ...labels, outcome: 'down' }, count)
+  }
+}
+
+/**
+ * Counts a request rejected by a rate limit or the login lockout.
+ * @param {'ping'|'api'|'login'} scope - The limit that rejected it.
+ */
+function countRejectedRequest (scope) {
+  rejectedRequests.inc({ scope })
+}
+
 /**
  * Updates all metric gauges for a given check object.
  * @param {object} check - The check object from the database.
  */
 function updateMetricsForCheck (check) {
   if (!check) return
-  const labels = { name: check.name, uuid: check.uuid }
+  const labels = labelsFor(check)
   const statusValue = statusMap[check.status] ?? 2 // Default to 'new' if status is unknown
 
   gauges.status.set(labels, statusValue)
@@ -58,32 +172,86 @@ function updateMetricsForCheck (check) {
 }
 
 /**
- * Removes all metric gauges for a given check.
+ * Removes all metric series for a given check.
  * @param {object} check - The check object to remove.
  */
 function removeMetricsForCheck (check) {
   if (!check) return
-  const labels = { name: check.name, uuid: check.uuid }
-  Object.values(gauges).forEach(gauge => gauge.remove(labels))
+  const labels = labelsFor(check)
+  for (const { metric, variants } of checkMetrics) {
+    variants.forEach(variant => metric.remove({ ...labels, ...variant }))
+  }
+}
+
+/**
+ * Rebuilds the counters and histograms of one or all checks from the event and status history.
+ * @param {Map<number, object>} checksById - The checks to rebuild, keyed by internal ID.
+ * @param {number|null} checkId - The internal ID of the only check to rebuild, or null for all checks.
+ */
+function replayHistory (checksById, checkId) {
+  const { signals, statusChanges } = data.getMetricTotals(checkId)
+  for (const { check_id: id, type, total } of signals) {
+    // Durations are observed one by one below.
+    const check = checksById.get(id)
+    if (check) countSignal(check, type, null, total)
+  }
+  for (const { check_id: id, from_status: from, to_status: to, total } of statusChanges) {
+    const check = checksById.get(id)
+    if (check) countTransition(check, from, to, total)
+  }
+  for (const { check_id: id, type, duration_ms: durationMs } of data.iterateRunDurations(checkId)) {
+    const check = checksById.get(id)
+    if (check) durationHistogram.observe({ ...labelsFor(check), outcome: signalOutcomes[type] }, durationMs / 1000)
+  }
+}
+
+/**
+ * Re-labels the metric series of a check after its settings were edited.
+ * When a label changed (the name, project or tags), the series of the previous labels are removed and the
+ * counters are rebuilt from the check's history under the new labels.
+ * @param {object} previousCheck - The check object before the edit.
+ * @param {object} check - The check object after the edit.
+ */
+function relabelMetricsForCheck (previousCheck, check) {
+  const previousLabels = labelsFor(previousCheck)
+  const labels = labelsFor(check)
+  if (labelNames.some(label => previousLabels[label] !== labels[label])) {
+    removeMetricsForCheck(previousCheck)
+    replayHistory(new Map([[check.id, check]]), check.id)
+  }
+  updateMetricsForCheck(check)
 }
 
 /**
  * Hydrates all metrics from the database on application startup.
+ * Gauges come from the checks' current state; counters and histograms are rebuilt from the recorded events and
+ * status changes, so they continue where they left off (as far as the history goes) instead of restarting at zero.
  */
 function hydrateMetrics () {
+  const unknownLabels = configuredLabels.filter(label => !OPTIONAL_LABELS.includes(label))
+  if (unknownLabels.length > 0) {
+    throw new Error(`METRICS_LABELS may only contain ${OPTIONAL_LABELS.join(', ')}; got ${unknownLabels.join(', ')}.`)
+  }
   console.log('Hydrating Prometheus metrics from database...')
   const allChecks = data.getAllChecksUnpaginated()
   // Clear all previous metrics to handle cases where checks were deleted while offline
-  Object.values(gauges).forEach(gauge => gauge.reset())
+  checkMetrics.forEach(({ metric }) => metric.reset())
   for (const check of allChecks) {
     updateMetricsForCheck(check)
   }
+  replayHistory(new Map(allChecks.map(check => [check.id, check])), null)
   console.log(`Metrics hydrated for ${allChecks.length} checks.`)
 }
 
+// Counters follow the data layer, whoever records the signal or changes the status.
+bus.on('signal', ({ check, type, duration }) => countSignal(check, type, duration))
+bus.on('transition', ({ check, from, to }) => countTransition(check, from, to))
+
 export const metrics = {
   registry,
   updateMetricsForCheck,
   removeMetricsForCheck,
+  relabelMetricsForCheck,
+  countRejectedRequest,
   hydrateMetrics
 }